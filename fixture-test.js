@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * Fixture tests through the public library API
+ *
+ * Parses trimmed copies of the upstream servers README in its late-2024 and
+ * mid-2025 layouts, then drives the tools end to end: an in-process MCP
+ * client talks to createRegistryServer, which reads the README from a
+ * local fake GitHub. Every JSON payload is checked against its definition
+ * in the output schema.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const {
+  createRegistryServer,
+  loadConfig,
+  parseREADMEContent,
+  classifyServers,
+  buildSearchIndex,
+  searchServers,
+  TOOLS
+} = require('./src/index.js');
+const outputSchema = require('./src/data/output-schema.json');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf-8');
+
+// Local stand-in for GitHub and npm; routes can be swapped while it runs
+function startFakeGitHub(routes) {
+  const requests = [];
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const route = routes[req.url.split('?')[0]];
+      requests.push(req.url);
+      const { status = 200, body = {} } = route ? (typeof route === 'function' ? route(req) : route) : { status: 404, body: { message: 'Not Found' } };
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+const SCHEMA_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number',
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  null: value => value === null
+};
+
+// Output schema definition for each payload kind
+const SCHEMA_BY_KIND = Object.fromEntries(Object.values(outputSchema.definitions)
+  .filter(definition => definition.properties?.kind?.const)
+  .map(definition => [definition.properties.kind.const, definition]));
+
+/**
+ * Where a value breaks a schema, covering the keywords output-schema.json uses
+ */
+function schemaErrors(schema, value, at = '$') {
+  if (schema.$ref) {
+    return schemaErrors(outputSchema.definitions[schema.$ref.replace('#/definitions/', '')], value, at);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => schemaErrors(option, value, at).length === 0).length;
+    return matches === 1 ? [] : [`${at} matches ${matches} of its oneOf schemas`];
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => SCHEMA_TYPES[type](value))) {
+    return [`${at} is not ${types.join(' or ')}: ${JSON.stringify(value)}`];
+  }
+
+  const errors = [];
+  if ('const' in schema && value !== schema.const) errors.push(`${at} is not ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} is not one of ${JSON.stringify(schema.enum)}: ${JSON.stringify(value)}`);
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} is below ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} is above ${schema.maximum}`);
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} has fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} has more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${at}[${i}]`)));
+  } else if (SCHEMA_TYPES.object(value)) {
+    (schema.required || []).filter(name => !(name in value)).forEach(name => errors.push(`${at}.${name} is missing`));
+    Object.entries(value).forEach(([name, field]) => {
+      const fieldSchema = schema.properties?.[name] || schema.additionalProperties;
+      if (fieldSchema && typeof fieldSchema === 'object') errors.push(...schemaErrors(fieldSchema, field, `${at}.${name}`));
+    });
+  }
+  return errors;
+}
+
+function countBy(servers, key) {
+  return servers.reduce((counts, server) => ({ ...counts, [key(server)]: (counts[key(server)] || 0) + 1 }), {});
+}
+
+async function runFixtureTests() {
+  console.log('🧪 Testing against README fixtures...\n');
+
+  console.log('1️⃣  Parsing the late-2024 README...');
+  const older = parseREADMEContent(readFixture('servers-readme-2024-12.md'), { source: 'github' });
+  const olderById = Object.fromEntries(older.map(server => [server.id, server]));
+
+  assert.strictEqual(older.length, 40);
+  assert.deepStrictEqual(countBy(older, server => server.tier), { official: 19, integration: 8, community: 13 });
+  assert.strictEqual(new Set(older.map(server => server.id)).size, older.length, 'ids are unique');
+  assert.strictEqual(olderById['mcp-postgresql'].repository.url,
+    'https://github.com/modelcontextprotocol/servers/tree/main/src/postgres');
+  assert.strictEqual(olderById['mcp-postgresql'].archived, false, 'reference servers were not archived yet');
+  assert.strictEqual(olderById['axiom'].description,
+    'Query and analyze your Axiom logs, traces, and all other event data in natural language', 'logos are stripped');
+  assert.strictEqual(olderById['cloudflare'].author, 'cloudflare');
+  assert.strictEqual(olderById['e2b'].description, 'Run code in secure sandboxes hosted by E2B');
+  assert.strictEqual(olderById['notion'].repository.url, 'https://github.com/suekou/mcp-notion-server');
+  assert.strictEqual(olderById['notion-2'].repository.url, 'https://github.com/v-3/notion-server', 'repeated names get their own id');
+  assert.strictEqual(olderById['mcp-get'].section, 'Resources');
+  assert.ok(!older.some(server => /not a server|contributing/i.test(server.displayName || server.name)),
+    'code blocks and non-registry sections are skipped');
+  console.log(`✅ ${older.length} entries across reference, integration, community and resource sections`);
+
+  console.log('\n2️⃣  Parsing the mid-2025 README...');
+  const newer = parseREADMEContent(readFixture('servers-readme-2025-06.md'), { source: 'github' });
+  const newerById = Object.fromEntries(newer.map(server => [server.id, server]));
+
+  assert.strictEqual(newer.length, 39);
+  assert.deepStrictEqual(countBy(newer, server => `${server.tier}${server.archived ? '/archived' : ''}`),
+    { official: 7, 'official/archived': 7, integration: 10, community: 15 });
+  assert.ok(!newer.some(server => /sdk/i.test(server.displayName || '')), 'the SDK list above the sections is skipped');
+  assert.strictEqual(newerById['mcp-postgresql'].archived, true);
+  assert.strictEqual(newerById['mcp-postgresql'].repository.url,
+    'https://github.com/modelcontextprotocol/servers-archived/tree/main/src/postgres');
+  assert.strictEqual(newerById['mcp-brave-search'].description,
+    "Web and local search using Brave's Search API. Has been replaced by the official server.");
+  assert.strictEqual(newerById['brave-search'].tier, 'integration', 'a reference server and its replacement are both listed');
+  assert.strictEqual(newerById['github'].description, "GitHub's official MCP Server", '<picture> logos are stripped');
+  assert.strictEqual(newerById['notion'].repository.url, 'https://github.com/makenotion/notion-mcp-server', 'link fragments are dropped');
+  assert.strictEqual(newerById['apify'].description.startsWith('Actors MCP Server: Use 3,000+'), true);
+  assert.strictEqual(newerById['codemirror-mcp'].section, 'Frameworks', 'nested headings resolve to their section');
+
+  const crlf = parseREADMEContent(readFixture('servers-readme-2025-06.md').replace(/\n/g, '\r\n'), { source: 'github' });
+  assert.deepStrictEqual(crlf, newer, 'Windows line endings parse the same');
+  console.log(`✅ ${newer.length} entries, archived reference servers and nested framework headings`);
+
+  console.log('\n3️⃣  Classifying and searching the snapshot...');
+  const classified = classifyServers(newer);
+  const classifiedById = Object.fromEntries(classified.map(server => [server.id, server]));
+  assert.deepStrictEqual(classifiedById['neon'].categories, ['database'], '"serverless Postgres" in the description is enough');
+  assert.deepStrictEqual(classifiedById['airtable'].categories, ['database']);
+  assert.deepStrictEqual(classifiedById['mcp-postgresql'].categories, ['database']);
+  const index = buildSearchIndex(classified);
+  const databases = searchServers(index, { query: 'postgres database' }).results.map(result => result.server.id);
+  assert.ok(databases.includes('neon'));
+  assert.ok(databases.includes('mcp-postgresql'));
+  assert.strictEqual(searchServers(index, { query: 'kubernets' }).results[0].server.id, 'kubernetes', 'typos still match');
+  console.log('✅ Category and ranked search over real entries');
+
+  console.log('\n4️⃣  Driving the tools with an in-process MCP client...');
+  const readme = readFixture('servers-readme-2025-06.md');
+  let readmeStatus = 200;
+  const fake = await startFakeGitHub({
+    '/repos/modelcontextprotocol/servers/readme': () => (readmeStatus === 200
+      ? { body: { content: Buffer.from(readme).toString('base64'), encoding: 'base64' } }
+      : { status: readmeStatus, body: { message: 'Not Found' } }),
+    '/repos/modelcontextprotocol/servers': { body: { stargazers_count: 60000, pushed_at: new Date().toISOString(), license: { spdx_id: 'MIT' }, archived: false, owner: { login: 'modelcontextprotocol', type: 'Organization' } } },
+    '/repos/modelcontextprotocol/servers-archived': { body: { stargazers_count: 900, pushed_at: '2025-05-29T00:00:00Z', license: { spdx_id: 'MIT' }, archived: true } },
+    '/repos/github/github-mcp-server': { body: { stargazers_count: 15000, pushed_at: new Date().toISOString(), license: { spdx_id: 'MIT' }, archived: false, owner: { login: 'github', type: 'Organization' } } }
+  });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-fixtures-'));
+
+  const config = loadConfig({
+    MCP_REGISTRY_GITHUB_API_URL: fake.url,
+    MCP_REGISTRY_CACHE: 'false',
+    MCP_REGISTRY_COLLECTIONS_PATH: path.join(dir, 'collections.json')
+  });
+  // npm lookups go to the fake too, so every package is unpublished
+  config.npm = { registryUrl: fake.url, downloadsUrl: fake.url };
+
+  const client = new Client({ name: 'fixture-test', version: '1.0.0' }, { capabilities: {} });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const server = createRegistryServer({ config });
+  const checkedKinds = new Set();
+  const callJSON = async (name, args = {}) => {
+    const result = await client.callTool({ name, arguments: { ...args, format: 'json' } });
+    const payload = JSON.parse(result.content[0].text);
+    assert.ok(SCHEMA_BY_KIND[payload.kind], `${name} returned a documented kind (${payload.kind})`);
+    assert.deepStrictEqual(schemaErrors(SCHEMA_BY_KIND[payload.kind], payload), [], `${name} matches the ${payload.kind} schema`);
+    checkedKinds.add(payload.kind);
+    return { ...payload, isError: Boolean(result.isError) };
+  };
+
+  try {
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+
+    const { tools } = await client.listTools();
+    assert.deepStrictEqual(tools.map(tool => tool.name), TOOLS.map(tool => tool.name));
+    assert.strictEqual(fake.requests.length, 0, 'nothing is fetched before the first call');
+
+    const search = await callJSON('registry_search_servers', { query: 'postgres', limit: 5 });
+    assert.strictEqual(search.kind, 'search');
+    assert.ok(search.results.some(result => result.server.id === 'neon'));
+
+    const details = await client.callTool({ name: 'registry_get_server_details', arguments: { serverId: 'github' } });
+    assert.strictEqual(details.content.length, 2, 'markdown first, then JSON, by default');
+    const markdownOnly = await client.callTool({ name: 'registry_get_server_details', arguments: { serverId: 'github', format: 'markdown' } });
+    assert.deepStrictEqual(markdownOnly.content, details.content.slice(0, 1));
+    assert.ok(details.content[0].text.includes('GitHub'));
+    const record = JSON.parse(details.content[1].text).server;
+    assert.strictEqual(record.stars, 15000, 'enriched from the fake GitHub');
+    assert.strictEqual(record.tier, 'integration');
+
+    const archived = await callJSON('registry_get_server_details', { serverId: 'mcp-postgresql' });
+    assert.strictEqual(archived.server.archived, true);
+
+    const categories = await callJSON('registry_list_categories');
+    assert.strictEqual(categories.kind, 'categories');
+    assert.strictEqual(categories.categories.reduce((sum, category) => sum + category.count, 0) >= newer.length, true);
+
+    const missing = await callJSON('registry_get_server_details', { serverId: 'kubernets' });
+    assert.strictEqual(missing.kind, 'notFound');
+    assert.strictEqual(missing.isError, true);
+    assert.strictEqual(missing.suggestions[0].id, 'kubernetes');
+
+    const invalid = await callJSON('registry_search_servers', { query: 'postgres', limit: 500 });
+    assert.deepStrictEqual([invalid.kind, invalid.code, invalid.isError], ['error', 'INVALID_ARGUMENT', true]);
+    const liveTools = (await client.listTools()).tools;
+    const categoryEnum = liveTools.find(tool => tool.name === 'registry_search_servers').inputSchema.properties.category.enum;
+    assert.ok(categoryEnum.includes('database') && !categoryEnum.includes('security'), 'the category enum follows the loaded data');
+
+    const { contents } = await client.readResource({ uri: 'registry://servers/mcp-git' });
+    assert.ok(contents.some(content => content.text.includes('mcp-git')));
+
+    await callJSON('registry_get_server_details', { serverId: 'github' });
+    await callJSON('registry_get_server_readme', { serverId: 'github' });
+    await callJSON('registry_compare_servers', { serverIds: ['github', 'mcp-git'] });
+    await callJSON('registry_status');
+    await callJSON('registry_whats_new');
+    await callJSON('registry_export_snapshot', { path: path.join(dir, 'snapshot.json') });
+    await callJSON('registry_generate_client_config', { serverIds: ['mcp-git', 'github'], host: 'vscode' });
+    await callJSON('registry_create_collection', { name: 'Data', notes: 'Databases', serverIds: ['neon', 'mcp-postgresql@0.6.2'] });
+    await callJSON('registry_update_collection', { name: 'data', add: ['mcp-sqlite'], remove: ['neon'] });
+    await callJSON('registry_list_collections');
+    await callJSON('registry_list_collections', { name: 'Data' });
+    await callJSON('registry_export_collection', { name: 'Data', host: 'cursor' });
+    await callJSON('registry_delete_collection', { name: 'Data' });
+    fs.writeFileSync(path.join(dir, 'claude_desktop_config.json'), JSON.stringify({
+      mcpServers: { git: { command: 'uvx', args: ['mcp-server-git'] }, mine: { command: 'node', args: ['server.js'] } }
+    }));
+    await callJSON('registry_audit_installed', { configPath: path.join(dir, 'claude_desktop_config.json') });
+
+    const readmeFetches = () => fake.requests.filter(url => url.startsWith('/repos/modelcontextprotocol/servers/readme')).length;
+    assert.strictEqual(readmeFetches(), 1, 'one fetch serves every call');
+    const refreshed = await callJSON('registry_refresh_data');
+    assert.strictEqual(refreshed.status, 'ok');
+    assert.strictEqual(refreshed.serverCount, newer.length);
+    assert.strictEqual(readmeFetches(), 2);
+
+    readmeStatus = 404;
+    const failed = await callJSON('registry_refresh_data');
+    assert.notStrictEqual(failed.status, 'ok', 'a failed fetch is reported');
+    const stillServed = await callJSON('registry_search_servers', { query: 'zotero' });
+    assert.strictEqual(stillServed.results[0].server.id, 'zotero', 'the last good data is kept');
+
+    const undocumented = Object.keys(SCHEMA_BY_KIND).filter(kind => !checkedKinds.has(kind));
+    assert.deepStrictEqual(undocumented, [], 'every payload kind was checked against the schema');
+  } finally {
+    await client.close();
+    await fake.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ Every tool over MCP against the fake GitHub, each payload matching the output schema');
+
+  console.log('\n🎉 Fixture tests complete!');
+}
+
+runFixtureTests().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,218 @@
+/**
+ * Audit of the MCP servers configured on this machine
+ *
+ * Reads the host config files (Claude Desktop, VS Code, Cursor, or a file
+ * the user names), matches each entry to a registry record with
+ * installed.js, and flags entries that are not in the registry, archived,
+ * pinned to an older version than the one published, or low on trust.
+ * Only local files are read; nothing is looked up per entry.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { parseClientConfig, launchedPackage, matchInstalledServer } = require('./installed.js');
+
+// Trust scores below this are flagged unless the caller picks another threshold
+const DEFAULT_MIN_TRUST = 50;
+
+const HOST_LABELS = {
+  'claude-desktop': 'Claude Desktop',
+  vscode: 'VS Code',
+  'vscode-workspace': 'VS Code (workspace)',
+  cursor: 'Cursor',
+  custom: 'Config file'
+};
+
+/**
+ * Where MCP hosts keep their config on this platform
+ *
+ * @param {object} [options] - Overrides for tests
+ * @returns {Array<{host: string, path: string}>}
+ */
+function defaultConfigPaths(options = {}) {
+  const {
+    platform = process.platform,
+    home = os.homedir(),
+    env = process.env,
+    cwd = process.cwd()
+  } = options;
+
+  let appData;
+  if (platform === 'darwin') {
+    appData = path.join(home, 'Library', 'Application Support');
+  } else if (platform === 'win32') {
+    appData = env.APPDATA || path.join(home, 'AppData', 'Roaming');
+  } else {
+    appData = env.XDG_CONFIG_HOME || path.join(home, '.config');
+  }
+
+  return [
+    { host: 'claude-desktop', path: path.join(appData, 'Claude', 'claude_desktop_config.json') },
+    { host: 'vscode', path: path.join(appData, 'Code', 'User', 'mcp.json') },
+    { host: 'vscode-workspace', path: path.join(cwd, '.vscode', 'mcp.json') },
+    { host: 'cursor', path: path.join(home, '.cursor', 'mcp.json') }
+  ];
+}
+
+/**
+ * Host a user-supplied config file most likely belongs to
+ */
+function hostForPath(file) {
+  const name = path.basename(file);
+  if (name === 'claude_desktop_config.json') return 'claude-desktop';
+  if (name === 'mcp.json') {
+    const parent = path.basename(path.dirname(file));
+    if (parent === '.cursor') return 'cursor';
+    if (parent === '.vscode') return 'vscode-workspace';
+    return 'vscode';
+  }
+  return 'custom';
+}
+
+/**
+ * Read and parse host config files
+ *
+ * Missing files are reported with status `missing` and unparseable ones
+ * with status `invalid`, so one bad file does not stop the audit.
+ *
+ * @param {Array<{host: string, path: string}>} locations
+ * @returns {Promise<Array<{host: string, path: string, status: string, error: string|null, entries: Array<object>}>>}
+ */
+async function readHostConfigs(locations) {
+  return Promise.all(locations.map(async ({ host, path: file }) => {
+    const result = { host, path: file, status: 'ok', error: null, entries: [] };
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      return { ...result, status: error.code === 'ENOENT' ? 'missing' : 'invalid', error: error.code === 'ENOENT' ? null : error.message };
+    }
+    try {
+      return { ...result, entries: parseClientConfig(text) };
+    } catch (error) {
+      return { ...result, status: 'invalid', error: error.message };
+    }
+  }));
+}
+
+/**
+ * Compare dotted release versions; prerelease versions sort before their release
+ *
+ * @returns {number|null} Negative, zero or positive, or null when either is not a version
+ */
+function compareVersions(a, b) {
+  const parse = version => {
+    const match = String(version).replace(/^v/, '').match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?(-.+)?$/);
+    return match ? [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0), match[4] ? 0 : 1] : null;
+  };
+  const left = parse(a);
+  const right = parse(b);
+  if (!left || !right) return null;
+  const index = left.findIndex((part, i) => part !== right[i]);
+  return index === -1 ? 0 : left[index] - right[index];
+}
+
+/**
+ * Audit one config entry
+ *
+ * Arguments are left out of the finding: they often carry connection
+ * strings or tokens.
+ *
+ * @param {object} entry - From parseClientConfig
+ * @param {Array<object>} servers - Registry records
+ * @param {object} [options]
+ * @param {number} [options.minTrust] - Trust scores below this are flagged
+ */
+function auditEntry(entry, servers, options = {}) {
+  const { minTrust = DEFAULT_MIN_TRUST } = options;
+  const launched = launchedPackage(entry);
+  const server = matchInstalledServer(entry, servers);
+  const issues = [];
+
+  if (!server) {
+    issues.push({ type: 'not-in-registry', message: 'not found in the registry' });
+  } else {
+    if (server.archived) {
+      issues.push({ type: 'archived', message: 'archived, no longer maintained' });
+    }
+    // Registry versions come from npm, so only npm packages can be compared
+    if (launched?.version && launched.runtime === 'node' && launched.name === server.packageName &&
+      server.version && compareVersions(launched.version, server.version) < 0) {
+      issues.push({ type: 'outdated', message: `pinned to ${launched.version}, ${server.version} is published` });
+    }
+    // A server without enough data for a score has not shown it meets the threshold
+    const score = server.trust?.score ?? null;
+    if (score === null) {
+      issues.push({ type: 'low-trust', message: `not enough data for a trust score, ${minTrust} required` });
+    } else if (score < minTrust) {
+      issues.push({ type: 'low-trust', message: `trust score ${score}/100 is below ${minTrust}` });
+    }
+  }
+
+  return {
+    name: entry.name,
+    command: entry.command,
+    url: entry.url,
+    launched,
+    server: server
+      ? {
+        id: server.id,
+        name: server.displayName || server.name,
+        version: server.version || null,
+        tier: server.tier,
+        archived: Boolean(server.archived),
+        trust: server.trust ? { score: server.trust.score, level: server.trust.level } : null
+      }
+      : null,
+    issues
+  };
+}
+
+/**
+ * Audit every entry of the given config files
+ *
+ * @param {Array<object>} configs - From readHostConfigs
+ * @param {Array<object>} servers - Registry records
+ * @param {object} [options] - See auditEntry
+ * @returns {{configs: Array<object>, servers: Array<object>, summary: object}}
+ */
+function auditInstalled(configs, servers, options = {}) {
+  const findings = configs.flatMap(config => config.entries.map(entry => ({
+    host: config.host,
+    configPath: config.path,
+    ...auditEntry(entry, servers, options)
+  })));
+
+  const count = type => findings.filter(finding => finding.issues.some(issue => issue.type === type)).length;
+  return {
+    configs: configs.map(({ host, path: file, status, error, entries }) => ({
+      host,
+      label: HOST_LABELS[host] || host,
+      path: file,
+      status,
+      error,
+      serverCount: entries.length
+    })),
+    servers: findings,
+    summary: {
+      total: findings.length,
+      inRegistry: findings.filter(finding => finding.server).length,
+      notInRegistry: count('not-in-registry'),
+      archived: count('archived'),
+      outdated: count('outdated'),
+      lowTrust: count('low-trust'),
+      ok: findings.filter(finding => finding.issues.length === 0).length
+    }
+  };
+}
+
+module.exports = {
+  defaultConfigPaths,
+  hostForPath,
+  readHostConfigs,
+  compareVersions,
+  auditEntry,
+  auditInstalled,
+  DEFAULT_MIN_TRUST
+};
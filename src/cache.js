@@ -0,0 +1,197 @@
+/**
+ * Persistent on-disk cache
+ *
+ * Three files live in the cache directory:
+ * - `servers.json` holds the last merged server list and when it was fetched
+ * - `http-cache.json` holds ETag / Last-Modified validators and bodies, so
+ *   refreshes send conditional requests and a 304 costs no rate limit
+ * - `readmes.json` holds each server's parsed README, keyed by repository URL
+ *
+ * History snapshots live in a `history/` subdirectory, managed by history.js.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger.js');
+
+const CACHE_VERSION = 1;
+const SERVERS_FILE = 'servers.json';
+const HTTP_CACHE_FILE = 'http-cache.json';
+const READMES_FILE = 'readmes.json';
+// Validators nobody asked for in this long are dropped on save
+const HTTP_ENTRY_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Cache directory following the XDG base directory spec
+ */
+function resolveCacheDir(env = process.env) {
+  if (env.MCP_REGISTRY_CACHE_DIR) return env.MCP_REGISTRY_CACHE_DIR;
+  const base = env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'mcp-registry-interface');
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Ignoring unreadable cache file', { file, error });
+    }
+    return null;
+  }
+}
+
+/**
+ * Write via a temp file and rename, so readers never see half a file
+ */
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data));
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Create the disk cache
+ *
+ * @param {object} options
+ * @param {string} options.dir - Cache directory
+ */
+function createDiskCache(options) {
+  const { dir } = options;
+  const serversFile = path.join(dir, SERVERS_FILE);
+  const httpFile = path.join(dir, HTTP_CACHE_FILE);
+  const readmesFile = path.join(dir, READMES_FILE);
+
+  const stored = readJSON(httpFile);
+  const entries = new Map(stored && stored.version === CACHE_VERSION ? Object.entries(stored.entries) : []);
+
+  const httpStore = {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) entry.usedAt = Date.now();
+      return entry;
+    },
+    set(key, entry) {
+      entries.set(key, { ...entry, usedAt: Date.now() });
+    },
+    get size() {
+      return entries.size;
+    }
+  };
+
+  const storedReadmes = readJSON(readmesFile);
+  const readmes = new Map(storedReadmes && storedReadmes.version === CACHE_VERSION ? Object.entries(storedReadmes.entries) : []);
+
+  const readmeStore = {
+    get(key) {
+      return readmes.get(key);
+    },
+    set(key, entry) {
+      readmes.set(key, entry);
+    }
+  };
+
+  return {
+    dir,
+    serversFile,
+    httpStore,
+    readmeStore,
+
+    /**
+     * Last saved server list for the given source description, or null
+     */
+    readServers(sourceDescription) {
+      const data = readJSON(serversFile);
+      if (!data || data.version !== CACHE_VERSION || !Array.isArray(data.servers)) return null;
+      // Switching sources must not serve the old source's list
+      if (data.source !== sourceDescription) return null;
+      return { servers: data.servers, fetchedAt: data.fetchedAt };
+    },
+
+    writeServers(sourceDescription, servers, fetchedAt) {
+      writeJSON(serversFile, { version: CACHE_VERSION, source: sourceDescription, fetchedAt, servers });
+    },
+
+    /**
+     * Persist HTTP validators, dropping long-unused ones
+     */
+    saveHttpCache() {
+      const cutoff = Date.now() - HTTP_ENTRY_MAX_AGE;
+      for (const [key, entry] of entries) {
+        if ((entry.usedAt || 0) < cutoff) entries.delete(key);
+      }
+      writeJSON(httpFile, { version: CACHE_VERSION, entries: Object.fromEntries(entries) });
+    },
+
+    /**
+     * Persist parsed server READMEs
+     */
+    saveReadmes() {
+      writeJSON(readmesFile, { version: CACHE_VERSION, entries: Object.fromEntries(readmes) });
+    }
+  };
+}
+
+/**
+ * Wrap fetch so GET requests revalidate with If-None-Match / If-Modified-Since
+ *
+ * A 304 is turned back into a 200 carrying the stored body, so callers do
+ * not need to know about the cache. Responses keep their own headers.
+ *
+ * @param {object} store - `httpStore` from createDiskCache
+ * @param {Function} [fetchImpl] - Underlying fetch (default: global fetch)
+ */
+function createConditionalFetch(store, fetchImpl = fetch) {
+  return async function conditionalFetch(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    if (method !== 'GET') {
+      return fetchImpl(url, init);
+    }
+
+    const key = String(url);
+    const entry = store.get(key);
+    const headers = { ...(init.headers || {}) };
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+    const response = await fetchImpl(url, { ...init, headers });
+
+    if (response.status === 304 && entry) {
+      const revalidatedHeaders = new Headers(response.headers);
+      revalidatedHeaders.set('content-type', entry.contentType || 'application/json');
+      revalidatedHeaders.set('x-cache', 'revalidated');
+      return new Response(entry.body, { status: 200, statusText: 'OK', headers: revalidatedHeaders });
+    }
+
+    if (response.ok) {
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      if (etag || lastModified) {
+        store.set(key, {
+          etag,
+          lastModified,
+          contentType: response.headers.get('content-type'),
+          body: await response.clone().text()
+        });
+      }
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Human-readable age, e.g. "3 hours"
+ */
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.floor(hours / 24);
+  return `${days} days`;
+}
+
+module.exports = { resolveCacheDir, createDiskCache, createConditionalFetch, formatAge };
@@ -0,0 +1,175 @@
+/**
+ * Functional categorization and tag extraction
+ *
+ * Rules live in data/categories.json so they can be tuned without code
+ * changes. Each server gets one or more functional `categories` (the first
+ * is kept as `category`) and a set of `tags`, from its name, description,
+ * README section and repository topics. Provenance (official, integration,
+ * community) is the separate `tier` field.
+ */
+
+const rules = require('./data/categories.json');
+
+const FIELD_WEIGHTS = { name: 3, topics: 2, description: 1 };
+const SECTION_WEIGHT = 3;
+// Strong keywords name the category by themselves, e.g. "postgres" in a description
+const STRONG_FACTOR = 2;
+const TIERS = Object.keys(rules.tiers);
+
+/**
+ * Lowercase, collapse punctuation to spaces and pad, so whole-word and
+ * phrase matches are a plain substring test
+ */
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+const compiled = Object.entries(rules.categories).map(([name, rule]) => ({
+  name,
+  keywords: (rule.keywords || []).map(keyword => normalize(keyword)),
+  strongKeywords: (rule.strongKeywords || []).map(keyword => normalize(keyword)),
+  sections: (rule.sections || []).map(pattern => new RegExp(`^(${pattern})$`, 'i'))
+}));
+
+const compiledTags = Object.entries(rules.tags).map(([tag, keywords]) => ({
+  tag,
+  keywords: keywords.map(keyword => normalize(keyword))
+}));
+
+const ignoredTopics = new Set(rules.ignoredTopics);
+
+/**
+ * Tier for a record; older snapshots kept provenance in `category`
+ */
+function tierOf(server) {
+  if (TIERS.includes(server.tier)) return server.tier;
+  if (TIERS.includes(server.category)) return server.category;
+  return 'community';
+}
+
+function fieldsOf(server) {
+  const repoName = server.repository?.url ? server.repository.url.split('/').pop() : '';
+  return {
+    name: normalize([server.name, server.displayName, repoName].filter(Boolean).join(' ')),
+    topics: normalize((server.topics || []).join(' ')),
+    description: normalize(server.description)
+  };
+}
+
+/**
+ * Score every category for a server, best first
+ *
+ * @returns {Array<{category: string, score: number}>}
+ */
+function scoreCategories(server) {
+  const fields = fieldsOf(server);
+
+  return compiled
+    .map(rule => {
+      let score = 0;
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const matches = keywords => keywords.filter(keyword => fields[field].includes(keyword)).length;
+        score += weight * (matches(rule.keywords) + STRONG_FACTOR * matches(rule.strongKeywords));
+      });
+      if (server.section && rule.sections.some(pattern => pattern.test(server.section))) {
+        score += SECTION_WEIGHT;
+      }
+      return { category: rule.name, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Classify one server
+ *
+ * @returns {object} New record with `tier`, `categories`, `category` and `tags`
+ */
+function classifyServer(server) {
+  const tier = tierOf(server);
+  const fields = fieldsOf(server);
+
+  let categories = scoreCategories(server)
+    .filter(result => result.score >= rules.minScore)
+    .slice(0, rules.maxCategories)
+    .map(result => result.category);
+  if (categories.length === 0) {
+    categories = [rules.fallbackCategory];
+  }
+
+  const text = `${fields.name}${fields.description}`;
+  const tags = new Set([tier]);
+  (server.tags || [])
+    .filter(tag => !TIERS.includes(tag))
+    .forEach(tag => tags.add(tag));
+  if (server.archived) tags.add('archived');
+  compiledTags.forEach(({ tag, keywords }) => {
+    if (keywords.some(keyword => text.includes(keyword) || fields.topics.includes(keyword))) {
+      tags.add(tag);
+    }
+  });
+  (server.topics || [])
+    .map(topic => topic.toLowerCase())
+    .filter(topic => !ignoredTopics.has(topic))
+    .slice(0, 10)
+    .forEach(topic => tags.add(topic));
+
+  return { ...server, tier, categories, category: categories[0], tags: [...tags] };
+}
+
+/**
+ * Classify a server list
+ */
+function classifyServers(servers) {
+  return servers.map(classifyServer);
+}
+
+/**
+ * Description of a functional category or tier
+ */
+function getCategoryDescription(category) {
+  return rules.categories[category]?.description
+    || rules.tiers[category]
+    || rules.categories[rules.fallbackCategory].description;
+}
+
+/**
+ * Servers per category and per tier
+ *
+ * @returns {{categories: Array<{name: string, count: number, description: string}>, tiers: object}}
+ *   Categories sorted by count, tiers as `{ tier: count }`
+ */
+function countCategories(servers) {
+  const counts = new Map();
+  const tiers = {};
+  servers.forEach(server => {
+    (server.categories || [server.category || rules.fallbackCategory]).forEach(category => {
+      counts.set(category, (counts.get(category) || 0) + 1);
+    });
+    const tier = tierOf(server);
+    tiers[tier] = (tiers[tier] || 0) + 1;
+  });
+  return {
+    categories: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([name, count]) => ({ name, count, description: getCategoryDescription(name) })),
+    tiers
+  };
+}
+
+/**
+ * Every functional category name defined in the rules
+ */
+function listCategoryNames() {
+  return Object.keys(rules.categories);
+}
+
+module.exports = {
+  classifyServer,
+  classifyServers,
+  scoreCategories,
+  getCategoryDescription,
+  countCategories,
+  listCategoryNames,
+  TIERS
+};
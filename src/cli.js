@@ -0,0 +1,280 @@
+/**
+ * Command-line interface
+ *
+ * `mcp-registry-interface <command>` runs the same tools as the MCP server,
+ * against the same data and cache, so the registry can be used from shell
+ * scripts and CI. Without a command, or with `serve`, it starts the stdio
+ * MCP server that MCP hosts launch, or with `--http <port>` the shared HTTP
+ * server.
+ */
+
+const { createRegistry } = require('./registry.js');
+const { serveStdio } = require('./server.js');
+const { serveHttp } = require('./http.js');
+const { RENDERERS } = require('./render.js');
+const { HOSTS } = require('./clientconfig.js');
+const { ERROR_CODES, errorPayload } = require('./errors.js');
+const { logger } = require('./logger.js');
+const { version } = require('../package.json');
+
+const EXIT_OK = 0;
+// The command ran but did not get what was asked for: not found, fetch failed, nothing generated
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: mcp-registry-interface [command] [options]
+
+Commands:
+  serve                 Run the MCP server over stdio (the default)
+                          --http <port>  Serve MCP over SSE and a REST API instead
+  search [query...]     Search servers
+                          --category <name>  --tier <tier>  --source <type>
+                          --min-trust <0-100>  --limit <n>
+  show <id>             Details and install commands for one server
+  categories            Categories with server counts
+  refresh               Fetch fresh data, bypassing the cache
+  status                Cache, last fetch, sources, rate limit and parser diagnostics
+  config <ids...>       Client config for one or more servers
+                          --host <${Object.keys(HOSTS).join('|')}>
+
+Options:
+  --json                Print the JSON payload instead of text
+  --help                Show this help
+  --version             Show the version
+
+Exit codes: 0 success, 1 failure (not found, fetch failed, nothing generated, no data), 2 usage error`;
+
+// Flags that take a value, and the tool argument each one sets
+const VALUE_FLAGS = {
+  category: 'category',
+  tier: 'tier',
+  source: 'source',
+  'min-trust': 'minTrust',
+  limit: 'limit',
+  host: 'host',
+  http: 'port'
+};
+const NUMBER_FLAGS = new Set(['min-trust', 'limit', 'http']);
+const BOOLEAN_FLAGS = new Set(['json', 'help', 'version']);
+
+/**
+ * Each subcommand: the tool it runs, how many positional arguments it
+ * takes, the value flags it accepts, and how to build the tool arguments
+ */
+const COMMANDS = {
+  search: {
+    tool: 'registry_search_servers',
+    positional: [0, Infinity],
+    flags: ['category', 'tier', 'source', 'min-trust', 'limit'],
+    args: (positional, flags) => ({ ...flags, ...(positional.length > 0 ? { query: positional.join(' ') } : {}) })
+  },
+  show: {
+    tool: 'registry_get_server_details',
+    positional: [1, 1],
+    flags: [],
+    args: positional => ({ serverId: positional[0] })
+  },
+  categories: {
+    tool: 'registry_list_categories',
+    positional: [0, 0],
+    flags: [],
+    args: () => ({})
+  },
+  refresh: {
+    tool: 'registry_refresh_data',
+    positional: [0, 0],
+    flags: [],
+    args: () => ({})
+  },
+  status: {
+    tool: 'registry_status',
+    positional: [0, 0],
+    flags: [],
+    args: () => ({})
+  },
+  config: {
+    tool: 'registry_generate_client_config',
+    positional: [1, Infinity],
+    flags: ['host'],
+    args: (positional, flags) => ({ ...flags, serverIds: positional })
+  }
+};
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = 'USAGE';
+  return error;
+}
+
+/**
+ * Split argv into the command, positional arguments and flags
+ *
+ * Accepts `--name value` and `--name=value`; `--` ends the flags.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  let onlyPositional = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (onlyPositional || !arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      onlyPositional = true;
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN_FLAGS.has(name)) {
+      if (inline !== undefined) throw usageError(`--${name} does not take a value`);
+      flags[name] = true;
+    } else if (VALUE_FLAGS[name]) {
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined || value === '') throw usageError(`--${name} needs a value`);
+      flags[name] = value;
+    } else {
+      throw usageError(`Unknown option --${name}`);
+    }
+  }
+
+  return { command: positional.shift() || null, positional, flags };
+}
+
+/**
+ * Tool arguments for a subcommand, validated against what it accepts
+ */
+function toolArguments(command, positional, flags) {
+  const spec = COMMANDS[command];
+  const [min, max] = spec.positional;
+  if (positional.length < min) {
+    throw usageError(`${command} needs ${min === 1 ? 'an argument' : `at least ${min} arguments`}`);
+  }
+  if (positional.length > max) {
+    throw usageError(`${command} takes ${max === 0 ? 'no arguments' : `at most ${max} argument${max === 1 ? '' : 's'}`}`);
+  }
+
+  const values = {};
+  Object.keys(VALUE_FLAGS).filter(name => flags[name] !== undefined).forEach(name => {
+    if (!spec.flags.includes(name)) throw usageError(`${command} does not take --${name}`);
+    let value = flags[name];
+    if (NUMBER_FLAGS.has(name)) {
+      value = Number(value);
+      if (!Number.isFinite(value)) throw usageError(`--${name} must be a number`);
+    }
+    values[VALUE_FLAGS[name]] = value;
+  });
+  return spec.args(positional, values);
+}
+
+/**
+ * Exit code for a tool payload
+ */
+function exitCode(payload) {
+  // Bad arguments are a usage problem, the same as a bad flag
+  if (payload.code === ERROR_CODES.INVALID_ARGUMENT) return EXIT_USAGE;
+  if (payload.kind === 'error' || payload.kind === 'notFound') return EXIT_FAILURE;
+  if (payload.kind === 'refresh' && payload.status !== 'ok') return EXIT_FAILURE;
+  if (payload.kind === 'status' && payload.health === 'unavailable') return EXIT_FAILURE;
+  if (payload.kind === 'clientConfig' && !payload.config) return EXIT_FAILURE;
+  return EXIT_OK;
+}
+
+/**
+ * Serve over HTTP and shut down cleanly on SIGINT or SIGTERM
+ */
+async function serveUntilStopped(registry, port) {
+  const { host, token } = registry.config.http;
+  const server = await serveHttp(registry, { port, host, token });
+  const stop = () => {
+    logger.info('Shutting down');
+    server.close();
+    // Open SSE streams would otherwise keep the process alive
+    server.closeAllConnections();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {object} [options]
+ * @param {object} [options.stdout] - Writable for results (default: process.stdout)
+ * @param {object} [options.stderr] - Writable for errors (default: process.stderr)
+ * @param {object} [options.registry] - Registry to use instead of one configured from the environment
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv, options = {}) {
+  const { stdout = process.stdout, stderr = process.stderr } = options;
+
+  let parsed;
+  let toolArgs = null;
+  try {
+    parsed = parseArgs(argv);
+    const { command, positional, flags } = parsed;
+    if (flags.help) {
+      stdout.write(`${USAGE}\n`);
+      return EXIT_OK;
+    }
+    if (flags.version) {
+      stdout.write(`${version}\n`);
+      return EXIT_OK;
+    }
+    if (!command || command === 'serve') {
+      const { http: port, ...rest } = flags;
+      if (positional.length > 0 || Object.keys(rest).length > 0) throw usageError('serve takes no arguments other than --http');
+      if (port !== undefined && (!/^\d+$/.test(port) || Number(port) > 65535)) {
+        throw usageError('--http must be a port number');
+      }
+    } else if (COMMANDS[command]) {
+      toolArgs = toolArguments(command, positional, flags);
+    } else {
+      throw usageError(`Unknown command "${command}"`);
+    }
+  } catch (error) {
+    if (error.code !== 'USAGE') throw error;
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_USAGE;
+  }
+  const { command, flags } = parsed;
+
+  let registry;
+  try {
+    registry = options.registry || createRegistry();
+  } catch (error) {
+    // Invalid environment configuration
+    stderr.write(`❌ Error: ${error.message}\n`);
+    return EXIT_FAILURE;
+  }
+
+  if (!command || command === 'serve') {
+    if (flags.http !== undefined) {
+      await serveUntilStopped(registry, Number(flags.http));
+    } else {
+      await serveStdio(registry);
+    }
+    return EXIT_OK;
+  }
+
+  let payload;
+  try {
+    payload = await registry.runTool(COMMANDS[command].tool, toolArgs);
+  } catch (error) {
+    payload = errorPayload(error);
+  }
+
+  const code = exitCode(payload);
+  if (flags.json) {
+    // Scripts read the payload from stdout whether or not the command succeeded
+    stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
+  } else {
+    (code === EXIT_OK ? stdout : stderr).write(`${RENDERERS[payload.kind](payload)}\n`);
+  }
+  return code;
+}
+
+module.exports = { runCli, parseArgs, COMMANDS, EXIT_OK, EXIT_FAILURE, EXIT_USAGE };
@@ -0,0 +1,195 @@
+/**
+ * MCP client configuration fragments
+ *
+ * Turns detected install methods into the `mcpServers` style entries MCP
+ * hosts read, and merges them into an existing config file without
+ * overwriting entries the user already has.
+ */
+
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+const HOSTS = {
+  'claude-desktop': {
+    label: 'Claude Desktop (claude_desktop_config.json)',
+    key: 'mcpServers',
+    entry: ({ command, args, env }) => ({ command, args, ...(env ? { env } : {}) })
+  },
+  vscode: {
+    label: 'VS Code (.vscode/mcp.json)',
+    key: 'servers',
+    entry: ({ command, args, env }) => ({ type: 'stdio', command, args, ...(env ? { env } : {}) })
+  },
+  cursor: {
+    label: 'Cursor (~/.cursor/mcp.json)',
+    key: 'mcpServers',
+    entry: ({ command, args, env }) => ({ command, args, ...(env ? { env } : {}) })
+  },
+  generic: {
+    label: 'Generic stdio entry',
+    key: 'mcpServers',
+    entry: ({ command, args, env }) => ({ transport: 'stdio', command, args, ...(env ? { env } : {}) })
+  }
+};
+
+// Install methods in order of preference for a launch command
+const LAUNCH_PREFERENCE = ['npx', 'uvx', 'go', 'cargo', 'docker'];
+
+/**
+ * Placeholder value for an environment variable the user must fill in
+ */
+function envPlaceholder(name) {
+  return `<${name}>`;
+}
+
+/**
+ * Launch command for a server, from detectInstall output
+ *
+ * @param {object} install - From detectInstall
+ * @param {Array<string>} envVars - Variable names the server needs
+ * @returns {{command: string, args: Array<string>, env: object|null, via: string}|null} null when unknown
+ */
+function launchCommand(install, envVars = []) {
+  const method = LAUNCH_PREFERENCE
+    .map(type => install.methods.find(candidate => candidate.type === type))
+    .find(Boolean);
+  if (!method) return null;
+
+  const env = envVars.length > 0
+    ? Object.fromEntries(envVars.map(name => [name, envPlaceholder(name)]))
+    : null;
+
+  switch (method.type) {
+    case 'npx':
+      return { command: 'npx', args: ['-y', install.packageName], env, via: 'npx' };
+    case 'uvx': {
+      const [, ...args] = method.command.split(' ');
+      return { command: 'uvx', args, env, via: 'uvx' };
+    }
+    case 'go':
+      // `go install` puts the binary, named after the module's last path element, on GOPATH/bin
+      return { command: install.packageName.split('/').pop(), args: [], env, via: 'go install' };
+    case 'cargo':
+      return { command: install.packageName, args: [], env, via: 'cargo install' };
+    case 'docker': {
+      const image = method.command.match(/docker build -t (\S+)/)[1];
+      const envArgs = envVars.flatMap(name => ['-e', name]);
+      return { command: 'docker', args: ['run', '-i', '--rm', ...envArgs, image], env, via: 'docker (build the image first)' };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Launch command pinned to one version of the package
+ *
+ * Only package runners can be pinned: `npx pkg@1.2.3` and
+ * `uvx pkg==1.2.3`. Binaries built by go, cargo or docker are launched
+ * by name and cannot.
+ *
+ * @param {object} launch - From launchCommand
+ * @param {object} install - The detectInstall output it came from
+ * @param {string} version
+ * @returns {object|null} The pinned launch command, or null when it cannot be pinned
+ */
+function pinLaunchVersion(launch, install, version) {
+  const spec = { npx: `${install.packageName}@${version}`, uvx: `${install.packageName}==${version}` }[launch.via];
+  if (!spec || !launch.args.includes(install.packageName)) return null;
+  return { ...launch, args: launch.args.map(arg => (arg === install.packageName ? spec : arg)) };
+}
+
+/**
+ * Config fragment for a host
+ *
+ * @param {Array<{name: string, command: string, args: Array<string>, env: object|null}>} entries
+ * @param {string} host - One of HOSTS
+ * @returns {object} e.g. `{ mcpServers: { name: {...} } }`
+ */
+function buildClientConfig(entries, host) {
+  const spec = HOSTS[host];
+  if (!spec) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Unknown host "${host}". Use one of: ${Object.keys(HOSTS).join(', ')}`, { argument: 'host', allowed: Object.keys(HOSTS) });
+  }
+  return {
+    [spec.key]: Object.fromEntries(entries.map(entry => [entry.name, spec.entry(entry)]))
+  };
+}
+
+/**
+ * Merge a fragment into an existing config object
+ *
+ * Entries that already exist with different content are kept as they are
+ * and reported as conflicts, unless `overwrite` is set.
+ *
+ * @returns {{config: object, added: Array<string>, replaced: Array<string>, unchanged: Array<string>, conflicts: Array<string>}}
+ */
+function mergeClientConfig(existing, fragment, host, options = {}) {
+  const { key } = HOSTS[host];
+  if (existing[key] !== undefined && (typeof existing[key] !== 'object' || Array.isArray(existing[key]))) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, `"${key}" in the existing config is not an object`, { argument: 'configPath' });
+  }
+
+  const servers = { ...(existing[key] || {}) };
+  const result = { added: [], replaced: [], unchanged: [], conflicts: [] };
+
+  Object.entries(fragment[key]).forEach(([name, entry]) => {
+    if (!(name in servers)) {
+      servers[name] = entry;
+      result.added.push(name);
+    } else if (JSON.stringify(servers[name]) === JSON.stringify(entry)) {
+      result.unchanged.push(name);
+    } else if (options.overwrite) {
+      servers[name] = entry;
+      result.replaced.push(name);
+    } else {
+      result.conflicts.push(name);
+    }
+  });
+
+  return { config: { ...existing, [key]: servers }, ...result };
+}
+
+/**
+ * Line diff of two texts in unified style, with `context` lines around changes
+ */
+function diffLines(before, after, context = 2) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ op: '-', text: a[i++] });
+    } else {
+      lines.push({ op: '+', text: b[j++] });
+    }
+  }
+
+  const keep = lines.map((line, index) =>
+    lines.slice(Math.max(0, index - context), index + context + 1).some(near => near.op !== ' '));
+  const output = [];
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      output.push(`${line.op} ${line.text}`);
+    } else if (keep[index - 1]) {
+      output.push('  ...');
+    }
+  });
+  return output.join('\n');
+}
+
+module.exports = { HOSTS, launchCommand, pinLaunchVersion, buildClientConfig, mergeClientConfig, diffLines, envPlaceholder };
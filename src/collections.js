@@ -0,0 +1,251 @@
+/**
+ * Named collections of registry servers
+ *
+ * Collections are the user's own data, so they live in a JSON file under
+ * the config directory rather than the cache. Each one has notes and a list
+ * of server IDs, each optionally pinned to a version. The file is read on
+ * every call, so edits made by hand are picked up without a restart.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+const FILE_VERSION = 1;
+const MAX_NAME_LENGTH = 64;
+
+/**
+ * Collections file from the environment
+ */
+function resolveCollectionsPath(env = process.env) {
+  if (env.MCP_REGISTRY_COLLECTIONS_PATH) return env.MCP_REGISTRY_COLLECTIONS_PATH;
+  const base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'mcp-registry-interface', 'collections.json');
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, 'Collection name is required', { argument: 'name' });
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Collection name must be at most ${MAX_NAME_LENGTH} characters`, { argument: 'name' });
+  }
+  return name.trim();
+}
+
+function missingCollection(name) {
+  return toolError(ERROR_CODES.NOT_FOUND, `No collection named "${name}"`, { argument: 'name' });
+}
+
+/**
+ * `{id, version}` from a server reference, e.g. "postgres" or "postgres@1.2.0"
+ */
+function parseServerRef(ref) {
+  if (typeof ref !== 'string' || !ref.trim()) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, 'Server references must be non-empty strings');
+  }
+  const at = ref.lastIndexOf('@');
+  // A leading @ belongs to the ID, not a version
+  if (at <= 0) return { id: ref.trim(), version: null };
+  return { id: ref.slice(0, at).trim(), version: ref.slice(at + 1).trim() || null };
+}
+
+/**
+ * Create the collection store
+ *
+ * @param {object} options
+ * @param {string} options.file - JSON file holding the collections
+ */
+function createCollectionStore(options) {
+  const { file } = options;
+
+  function read() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      // Never overwrite a file we could not understand
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Cannot read collections from ${file}: ${error.message}`, { argument: null, file });
+    }
+    if (!data || typeof data.collections !== 'object' || Array.isArray(data.collections)) {
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `${file} is not a collections file`, { argument: null, file });
+    }
+    return data.collections;
+  }
+
+  function write(collections) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ version: FILE_VERSION, collections }, null, 2) + '\n');
+    fs.renameSync(temp, file);
+  }
+
+  function find(collections, name) {
+    const wanted = name.toLowerCase();
+    return Object.keys(collections).find(key => key.toLowerCase() === wanted) || null;
+  }
+
+  function list() {
+    return Object.values(read()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(name) {
+    const collections = read();
+    const key = find(collections, validateName(name));
+    if (!key) throw missingCollection(name);
+    return collections[key];
+  }
+
+  return {
+    file,
+
+    /**
+     * Every collection, by name
+     *
+     * @returns {Array<object>}
+     */
+    list,
+
+    /**
+     * One collection, matched case-insensitively
+     */
+    get,
+
+    /**
+     * Create a collection
+     *
+     * @param {string} name
+     * @param {object} [fields]
+     * @param {string} [fields.notes]
+     * @param {Array<{id: string, version: string|null}>} [fields.servers]
+     */
+    create(name, fields = {}) {
+      const collections = read();
+      const trimmed = validateName(name);
+      if (find(collections, trimmed)) {
+        throw toolError(ERROR_CODES.INVALID_ARGUMENT, `A collection named "${trimmed}" already exists`, { argument: 'name' });
+      }
+      const now = new Date().toISOString();
+      const collection = {
+        name: trimmed,
+        notes: fields.notes || '',
+        servers: dedupe(fields.servers || []),
+        createdAt: now,
+        updatedAt: now
+      };
+      write({ ...collections, [trimmed]: collection });
+      return collection;
+    },
+
+    /**
+     * Change a collection
+     *
+     * Adding a server that is already in the collection replaces its pin.
+     *
+     * @param {string} name
+     * @param {object} changes
+     * @param {string} [changes.rename] - New name
+     * @param {string} [changes.notes] - Replaces the notes
+     * @param {Array<{id: string, version: string|null}>} [changes.add]
+     * @param {Array<string>} [changes.remove] - Server IDs
+     */
+    update(name, changes = {}) {
+      const collections = read();
+      const key = find(collections, validateName(name));
+      if (!key) throw missingCollection(name);
+
+      const collection = { ...collections[key] };
+      const rest = { ...collections };
+      delete rest[key];
+
+      if (changes.rename !== undefined) {
+        const renamed = validateName(changes.rename);
+        if (find(rest, renamed)) throw toolError(ERROR_CODES.INVALID_ARGUMENT, `A collection named "${renamed}" already exists`, { argument: 'rename' });
+        collection.name = renamed;
+      }
+      if (changes.notes !== undefined) collection.notes = changes.notes;
+
+      const removed = new Set(changes.remove || []);
+      const missing = [...removed].filter(id => !collection.servers.some(server => server.id === id));
+      if (missing.length > 0) {
+        throw toolError(ERROR_CODES.NOT_FOUND, `Not in collection "${collection.name}": ${missing.join(', ')}`, { argument: 'remove' });
+      }
+      collection.servers = dedupe([
+        ...collection.servers.filter(server => !removed.has(server.id)),
+        ...(changes.add || [])
+      ]);
+
+      collection.updatedAt = new Date().toISOString();
+      write({ ...rest, [collection.name]: collection });
+      return collection;
+    },
+
+    /**
+     * Delete a collection and return it
+     */
+    delete(name) {
+      const collections = read();
+      const key = find(collections, validateName(name));
+      if (!key) throw missingCollection(name);
+      const removed = collections[key];
+      delete collections[key];
+      write(collections);
+      return removed;
+    },
+
+    /**
+     * Names of the collections each server ID belongs to
+     *
+     * @returns {Map<string, Array<string>>}
+     */
+    membership() {
+      const byId = new Map();
+      list().forEach(collection => {
+        collection.servers.forEach(({ id }) => {
+          byId.set(id, [...(byId.get(id) || []), collection.name]);
+        });
+      });
+      return byId;
+    }
+  };
+}
+
+/**
+ * One entry per server ID; later entries win so a re-added server takes its new pin
+ */
+function dedupe(servers) {
+  const byId = new Map();
+  servers.forEach(server => {
+    byId.delete(server.id);
+    byId.set(server.id, { id: server.id, version: server.version || null });
+  });
+  return [...byId.values()];
+}
+
+/**
+ * A collection with each server looked up in the registry
+ *
+ * @param {object} collection
+ * @param {Array<object>} servers - Registry records
+ */
+function describeCollection(collection, servers) {
+  const byId = new Map(servers.map(server => [server.id, server]));
+  return {
+    ...collection,
+    servers: collection.servers.map(({ id, version }) => {
+      const server = byId.get(id);
+      return {
+        id,
+        pinned: version,
+        found: Boolean(server),
+        name: server ? server.displayName || server.name : null,
+        latestVersion: server?.version || null,
+        archived: Boolean(server?.archived)
+      };
+    })
+  };
+}
+
+module.exports = { createCollectionStore, describeCollection, resolveCollectionsPath, parseServerRef };
@@ -0,0 +1,135 @@
+/**
+ * Side-by-side comparison of registry servers
+ *
+ * Builds one row of comparable facts per server from its record, detected
+ * install method and parsed README, then picks out the differences most
+ * likely to decide between them.
+ */
+
+const MIN_SERVERS = 2;
+const MAX_SERVERS = 6;
+const MAX_DIFFERENCES = 6;
+const DAY = 24 * 60 * 60 * 1000;
+// Pushes closer together than this are not worth mentioning
+const STALENESS_GAP = 180 * DAY;
+
+/**
+ * Comparable facts about one server
+ *
+ * @param {object} entry
+ * @param {object} entry.server - Registry record
+ * @param {object} entry.install - detectInstall output
+ * @param {object} entry.readme - `{tools, envVars}` from the parsed README, or `{error}`
+ */
+function comparisonRow({ server, install, readme }) {
+  const method = install.methods[0] || null;
+  return {
+    id: server.id,
+    name: server.displayName || server.name,
+    tier: server.tier,
+    categories: server.categories || [server.category],
+    runtime: install.runtime,
+    license: server.license || null,
+    stars: typeof server.stars === 'number' ? server.stars : null,
+    lastPush: server.lastPush || null,
+    archived: Boolean(server.archived),
+    toolCount: readme.error ? null : readme.tools.length,
+    requiredEnvVars: readme.error ? null : readme.envVars.filter(envVar => envVar.required === true).map(envVar => envVar.name),
+    install: method ? { type: method.type, command: method.command } : null
+  };
+}
+
+function names(rows) {
+  const list = rows.map(row => row.name);
+  return list.length > 1 ? `${list.slice(0, -1).join(', ')} and ${list[list.length - 1]}` : list[0];
+}
+
+function months(ms) {
+  return Math.round(ms / (30 * DAY));
+}
+
+/**
+ * Differences worth reading first, most important first
+ */
+function keyDifferences(rows) {
+  const differences = [];
+
+  const archived = rows.filter(row => row.archived);
+  if (archived.length > 0 && archived.length < rows.length) {
+    differences.push(`${names(archived)} ${archived.length === 1 ? 'is' : 'are'} archived and no longer maintained`);
+  }
+
+  const official = rows.filter(row => row.tier === 'official');
+  if (official.length > 0 && official.length < rows.length) {
+    differences.push(`Only ${names(official)} ${official.length === 1 ? 'is an official reference server' : 'are official reference servers'}`);
+  } else if (official.length === 0) {
+    const integrations = rows.filter(row => row.tier === 'integration');
+    if (integrations.length > 0 && integrations.length < rows.length) {
+      differences.push(`${names(integrations)} ${integrations.length === 1 ? 'is' : 'are'} maintained by the service's own company`);
+    }
+  }
+
+  const unlicensed = rows.filter(row => !row.license);
+  if (unlicensed.length > 0 && unlicensed.length < rows.length) {
+    differences.push(`${names(unlicensed)} ${unlicensed.length === 1 ? 'has' : 'have'} no license on record`);
+  }
+
+  const pushed = rows.filter(row => row.lastPush).sort((a, b) => Date.parse(b.lastPush) - Date.parse(a.lastPush));
+  if (pushed.length >= 2) {
+    const newest = pushed[0];
+    const oldest = pushed[pushed.length - 1];
+    const gap = Date.parse(newest.lastPush) - Date.parse(oldest.lastPush);
+    if (gap >= STALENESS_GAP) {
+      differences.push(`${oldest.name} was last pushed ${oldest.lastPush.slice(0, 10)}, ${months(gap)} months before ${newest.name}`);
+    }
+  }
+
+  const starred = rows.filter(row => row.stars !== null).sort((a, b) => b.stars - a.stars);
+  if (starred.length >= 2) {
+    const top = starred[0];
+    const bottom = starred[starred.length - 1];
+    if (top.stars >= 3 * Math.max(bottom.stars, 1)) {
+      differences.push(`${top.name} is the most popular (${top.stars.toLocaleString('en-US')} stars vs ${bottom.stars.toLocaleString('en-US')} for ${bottom.name})`);
+    }
+  }
+
+  const withTools = rows.filter(row => row.toolCount !== null).sort((a, b) => b.toolCount - a.toolCount);
+  if (withTools.length >= 2 && withTools[0].toolCount !== withTools[withTools.length - 1].toolCount) {
+    const most = withTools[0];
+    const fewest = withTools[withTools.length - 1];
+    differences.push(`${most.name} documents the most tools (${most.toolCount}, vs ${fewest.toolCount} for ${fewest.name})`);
+  }
+
+  const known = rows.filter(row => row.requiredEnvVars !== null);
+  const noCredentials = known.filter(row => row.requiredEnvVars.length === 0);
+  if (noCredentials.length > 0 && noCredentials.length < known.length) {
+    const needing = known.filter(row => row.requiredEnvVars.length > 0)
+      .map(row => `${row.name} needs ${row.requiredEnvVars.join(', ')}`);
+    differences.push(`${names(noCredentials)} can run without any required environment variables; ${needing.join('; ')}`);
+  }
+
+  const runtimes = new Set(rows.filter(row => row.runtime !== 'unknown').map(row => row.runtime));
+  if (runtimes.size > 1) {
+    differences.push(`Runtimes differ: ${rows.filter(row => row.runtime !== 'unknown').map(row => `${row.name} (${row.runtime})`).join(', ')}`);
+  }
+
+  const uninstallable = rows.filter(row => !row.install);
+  if (uninstallable.length > 0 && uninstallable.length < rows.length) {
+    differences.push(`No install method could be found for ${names(uninstallable)}`);
+  }
+
+  return differences.slice(0, MAX_DIFFERENCES);
+}
+
+/**
+ * Compare servers
+ *
+ * @param {Array<object>} entries - See comparisonRow
+ * @returns {{servers: Array<object>, differences: Array<string>}}
+ */
+function compareServers(entries) {
+  const rows = entries.map(comparisonRow);
+  return { servers: rows, differences: keyDifferences(rows) };
+}
+
+module.exports = { compareServers, comparisonRow, keyDifferences, MIN_SERVERS, MAX_SERVERS };
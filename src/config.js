@@ -0,0 +1,89 @@
+/**
+ * Runtime configuration, read from environment variables
+ */
+
+const { DEFAULT_API_BASE } = require('./github.js');
+const { resolveCacheDir } = require('./cache.js');
+const { resolveCollectionsPath } = require('./collections.js');
+
+const SOURCE_TYPES = ['github', 'file', 'snapshot', 'url', 'mcp-registry', 'awesome', 'npm'];
+const DEFAULT_MCP_REGISTRY_URL = 'https://registry.modelcontextprotocol.io';
+const DEFAULT_AWESOME_URL = 'https://raw.githubusercontent.com/punkpeye/awesome-mcp-servers/main/README.md';
+
+/**
+ * Build the configuration object from an environment
+ *
+ * @param {object} [env] - Defaults to process.env
+ */
+function loadConfig(env = process.env) {
+  const sourceTypes = (env.MCP_REGISTRY_SOURCE || 'github')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  sourceTypes.forEach(type => {
+    if (!SOURCE_TYPES.includes(type)) {
+      throw new Error(`Unknown MCP_REGISTRY_SOURCE "${type}". Expected one of: ${SOURCE_TYPES.join(', ')}`);
+    }
+  });
+
+  const sourceSettings = {
+    owner: env.MCP_REGISTRY_GITHUB_OWNER || 'modelcontextprotocol',
+    repo: env.MCP_REGISTRY_GITHUB_REPO || 'servers',
+    branch: env.MCP_REGISTRY_GITHUB_BRANCH || null,
+    readmePath: env.MCP_REGISTRY_GITHUB_PATH || null,
+    path: env.MCP_REGISTRY_SOURCE_PATH || null,
+    url: env.MCP_REGISTRY_SOURCE_URL || null,
+    // Used to resolve relative links in READMEs that are not read through the GitHub API
+    repositoryUrl: env.MCP_REGISTRY_REPOSITORY_URL || null,
+    registryUrl: env.MCP_REGISTRY_API_URL || DEFAULT_MCP_REGISTRY_URL,
+    awesomeUrls: (env.MCP_REGISTRY_AWESOME_URLS || DEFAULT_AWESOME_URL).split(',').map(url => url.trim()).filter(Boolean),
+    npmKeyword: env.MCP_REGISTRY_NPM_KEYWORD || 'mcp-server',
+    npmLimit: parseInt(env.MCP_REGISTRY_NPM_LIMIT, 10) || 250
+  };
+
+  return {
+    github: {
+      apiUrl: env.MCP_REGISTRY_GITHUB_API_URL || DEFAULT_API_BASE,
+      token: env.GITHUB_TOKEN
+    },
+    npm: {
+      registryUrl: env.MCP_REGISTRY_NPM_URL || undefined
+    },
+    // Listed in priority order: earlier sources win when records are merged
+    sources: [...new Set(sourceTypes)].map(type => ({ type, ...sourceSettings })),
+    enrich: {
+      enabled: env.MCP_REGISTRY_ENRICH !== 'false',
+      concurrency: parseInt(env.MCP_REGISTRY_ENRICH_CONCURRENCY, 10) || 8
+    },
+    cache: {
+      enabled: env.MCP_REGISTRY_CACHE !== 'false',
+      dir: resolveCacheDir(env),
+      // Seconds in the environment, milliseconds here
+      ttl: seconds(env.MCP_REGISTRY_CACHE_TTL, 5 * 60) * 1000,
+      // How long past the TTL stale data is served while a refresh runs in the background
+      staleWhileRevalidate: seconds(env.MCP_REGISTRY_CACHE_STALE_TTL, 24 * 60 * 60) * 1000,
+      // Per-server READMEs change rarely and are fetched one at a time
+      readmeTtl: seconds(env.MCP_REGISTRY_README_TTL, 24 * 60 * 60) * 1000
+    },
+    history: {
+      // How long snapshots are kept; one is recorded per refresh that changes the list. Days in the environment
+      maxAge: (parseInt(env.MCP_REGISTRY_HISTORY_DAYS, 10) || 90) * 24 * 60 * 60 * 1000
+    },
+    collections: {
+      path: resolveCollectionsPath(env)
+    },
+    http: {
+      // Used by --http; the token, when set, is required on every route but /health
+      host: env.MCP_REGISTRY_HTTP_HOST || '127.0.0.1',
+      token: env.MCP_REGISTRY_HTTP_TOKEN || null
+    }
+  };
+}
+
+function seconds(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+module.exports = { loadConfig, SOURCE_TYPES };
@@ -0,0 +1,241 @@
+/**
+ * Metadata enrichment
+ *
+ * Adds real repository and package data to parsed server records:
+ * stars, last push, license, archived flag, topics, open issues, recent
+ * releases and the publishing account from GitHub, weekly downloads and
+ * latest version from npm. Anything we cannot look up stays null so the
+ * tools can show it as unknown. A repository GitHub answers 404 for is
+ * recorded as `enrichment.github: 'not-found'`.
+ */
+
+const { parseRepositoryUrl, repositoryKey, isOnGitHub } = require('./repository.js');
+const { logger } = require('./logger.js');
+
+const DEFAULT_CONCURRENCY = 8;
+
+// GitHub requests left unspent, so the next refresh can still revalidate the
+// server list and details can still fetch READMEs. Larger than the
+// concurrency, since lookups in flight spend budget after the check.
+const DEFAULT_RATE_LIMIT_RESERVE = 20;
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Package names worth trying on npm for a server, most specific first
+ */
+function npmCandidates(server, location) {
+  const names = [];
+  if (server.packageName) {
+    names.push(server.packageName);
+  }
+  if (location && location.owner === 'modelcontextprotocol' && location.repo === 'servers' && location.path) {
+    names.push(`@modelcontextprotocol/server-${location.path.split('/').pop()}`);
+  }
+  if (location) {
+    names.push(location.repo.toLowerCase());
+  }
+  return [...new Set(names)];
+}
+
+function licenseName(license) {
+  if (!license) return null;
+  if (license.spdx_id && license.spdx_id !== 'NOASSERTION') return license.spdx_id;
+  return license.name || null;
+}
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Release cadence from the newest releases: how many in the last year and
+ * when the latest one was published. Drafts are ignored.
+ */
+function releaseSummary(releases, now = Date.now()) {
+  const dates = releases
+    .filter(release => !release.draft)
+    .map(release => Date.parse(release.published_at || release.created_at))
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a);
+  return {
+    lastYear: dates.filter(date => now - date <= YEAR).length,
+    latest: dates.length > 0 ? new Date(dates[0]).toISOString() : null
+  };
+}
+
+/**
+ * Enrich server records with GitHub and npm metadata
+ *
+ * @param {Array<object>} servers - Parsed server records
+ * @param {object} options
+ * @param {object} [options.github] - Client from createGitHubClient; skipped when absent
+ * @param {object} [options.npm] - Client from createNpmClient; skipped when absent
+ * @param {number} [options.concurrency] - Max lookups in flight (default: 8)
+ * @param {number} [options.rateLimitReserve] - GitHub lookups stop once this many requests are left (default: 20)
+ * @returns {Promise<Array<object>>} New records, same order
+ */
+async function enrichServers(servers, options = {}) {
+  const { github, npm } = options;
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const reserve = options.rateLimitReserve ?? DEFAULT_RATE_LIMIT_RESERVE;
+  const repoLookups = new Map();
+  const orgLookups = new Map();
+  let githubBlocked = false;
+
+  function stopGitHubLookups(message, resetAt) {
+    if (!githubBlocked) {
+      logger.warn(message, { resetAt: resetAt ? new Date(resetAt).toISOString() : undefined });
+    }
+    githubBlocked = true;
+  }
+
+  // Returns null once the rate limit is hit or down to the reserve, so callers treat it as unknown
+  async function githubRequest(fn) {
+    if (githubBlocked) return null;
+    const { remaining, resetAt } = github.getRateLimit();
+    if (remaining !== null && remaining <= reserve && resetAt > Date.now()) {
+      stopGitHubLookups('GitHub rate limit nearly spent, skipping remaining repository lookups', resetAt);
+      return null;
+    }
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.code === 'RATE_LIMITED' || error.status === 403 || error.status === 429) {
+        stopGitHubLookups('GitHub rate limit reached, skipping remaining repository lookups', error.resetAt);
+      }
+      throw error;
+    }
+  }
+
+  // Monorepo entries share one repository, so each repo is fetched once
+  function lookupRepo(location) {
+    const key = `${location.owner}/${location.repo}`.toLowerCase();
+    if (!repoLookups.has(key)) {
+      repoLookups.set(key, (async () => {
+        let repo;
+        try {
+          repo = await githubRequest(() => github.getRepo(location.owner, location.repo));
+        } catch (error) {
+          return { status: error.status === 404 ? 'not-found' : 'unavailable' };
+        }
+        if (!repo) return { status: 'unavailable' };
+
+        let releases = null;
+        try {
+          const list = await githubRequest(() => github.getReleases(location.owner, location.repo));
+          if (Array.isArray(list)) releases = releaseSummary(list);
+        } catch (error) {
+          // Everything else about the repository is still known
+        }
+
+        const owner = repo.owner || {};
+        const publisher = {
+          login: owner.login || location.owner,
+          type: owner.type === 'Organization' ? 'organization' : owner.type === 'User' ? 'user' : null,
+          // Only organizations can be verified
+          verified: owner.type === 'Organization' ? await lookupOrgVerified(owner.login) : owner.type === 'User' ? false : null
+        };
+        return { status: 'ok', repo, releases, publisher };
+      })());
+    }
+    return repoLookups.get(key);
+  }
+
+  function lookupOrgVerified(login) {
+    const key = login.toLowerCase();
+    if (!orgLookups.has(key)) {
+      orgLookups.set(key, githubRequest(() => github.getOrg(login))
+        .then(org => (org && typeof org.is_verified === 'boolean' ? org.is_verified : null))
+        .catch(() => null));
+    }
+    return orgLookups.get(key);
+  }
+
+  async function lookupNpm(server, location) {
+    const serverKey = repositoryKey(server.repository?.url);
+
+    for (const name of npmCandidates(server, location)) {
+      let manifest;
+      try {
+        manifest = await npm.getLatest(name);
+      } catch (error) {
+        if (error.status === 404) continue;
+        return { status: 'unavailable' };
+      }
+
+      // Only trust a guessed name when the package points back at this repository
+      const manifestRepository = typeof manifest.repository === 'string'
+        ? manifest.repository
+        : manifest.repository?.url;
+      if (name !== server.packageName && (!serverKey || repositoryKey(manifestRepository) !== serverKey)) {
+        continue;
+      }
+
+      let downloads = null;
+      try {
+        downloads = await npm.getWeeklyDownloads(name);
+      } catch (error) {
+        // Version is still useful without the download count
+      }
+      return { status: 'ok', packageName: name, version: manifest.version || null, downloads };
+    }
+
+    return { status: 'not-found' };
+  }
+
+  return mapWithConcurrency(servers, concurrency, async server => {
+    const location = parseRepositoryUrl(server.repository?.url);
+    const isGitHub = isOnGitHub(location, github?.webUrl);
+    const enriched = { ...server };
+    const enrichment = { github: 'not-applicable', npm: 'not-applicable' };
+
+    if (github && isGitHub) {
+      const { status, repo, releases, publisher } = await lookupRepo(location);
+      if (status === 'ok') {
+        enriched.stars = repo.stargazers_count ?? null;
+        enriched.lastPush = repo.pushed_at || null;
+        enriched.license = licenseName(repo.license);
+        enriched.openIssues = repo.open_issues_count ?? null;
+        enriched.archived = Boolean(server.archived || repo.archived);
+        enriched.topics = repo.topics || [];
+        enriched.releases = releases;
+        enriched.publisher = publisher;
+      }
+      enrichment.github = status;
+    }
+
+    if (npm && (location || server.packageName)) {
+      const result = await lookupNpm(server, location);
+      enrichment.npm = result.status;
+      if (result.status === 'ok') {
+        enriched.packageName = result.packageName;
+        enriched.version = result.version;
+        enriched.downloads = result.downloads;
+      }
+    }
+
+    enriched.enrichment = { ...enrichment, enrichedAt: new Date().toISOString() };
+    return enriched;
+  });
+}
+
+module.exports = { enrichServers, mapWithConcurrency, releaseSummary };
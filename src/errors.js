@@ -0,0 +1,60 @@
+/**
+ * Stable error codes for tool failures
+ *
+ * Failures are plain Errors with a `code` property, like the rate-limit
+ * errors from github.js. errorPayload turns any error into the `error`
+ * payload every front end returns, so clients can branch on the code
+ * instead of parsing messages.
+ */
+
+const ERROR_CODES = {
+  // The call itself is wrong; retrying it unchanged will fail again
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',
+  NOT_FOUND: 'NOT_FOUND',
+  // GitHub's rate limit; `details.resetAt` says when to try again
+  RATE_LIMITED: 'RATE_LIMITED',
+  // A data source could not be reached or answered with an error
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  // Anything else, e.g. a file that could not be written
+  INTERNAL: 'INTERNAL'
+};
+
+/**
+ * Create an error with a code
+ *
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message
+ * @param {object} [details] - Extra fields for the error payload
+ */
+function toolError(code, message, details = null) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Mark a failed fetch as an upstream failure, keeping rate limits apart
+ */
+function upstreamError(error) {
+  if (error.code === ERROR_CODES.RATE_LIMITED || error.code === ERROR_CODES.UPSTREAM_UNAVAILABLE) return error;
+  const wrapped = toolError(ERROR_CODES.UPSTREAM_UNAVAILABLE, error.message);
+  wrapped.cause = error;
+  return wrapped;
+}
+
+/**
+ * The `error` payload for any thrown error
+ *
+ * @returns {{kind: 'error', code: string, message: string, details: object|null}}
+ */
+function errorPayload(error) {
+  const code = ERROR_CODES[error.code] || ERROR_CODES.INTERNAL;
+  let details = error.details || null;
+  if (code === ERROR_CODES.RATE_LIMITED && !details) {
+    details = { resetAt: error.resetAt ? new Date(error.resetAt).toISOString() : null };
+  }
+  return { kind: 'error', code, message: error.message, details };
+}
+
+module.exports = { ERROR_CODES, toolError, upstreamError, errorPayload };
@@ -0,0 +1,181 @@
+/**
+ * Minimal GitHub REST client
+ *
+ * Takes its base URL, token and fetch implementation as options so it can
+ * be pointed at GitHub Enterprise or a local fake server in tests.
+ */
+
+const { withRetry, isTransientError } = require('./retry.js');
+const { formatAge } = require('./cache.js');
+
+const DEFAULT_API_BASE = 'https://api.github.com';
+const USER_AGENT = 'mcp-registry-interface/0.1.0';
+
+/**
+ * Create a GitHub API client
+ *
+ * Tracks the rate-limit budget from response headers, refuses to send
+ * requests while it is known to be exhausted, and retries 5xx responses
+ * and secondary rate limits with exponential backoff.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - API root (default: https://api.github.com)
+ * @param {string} [options.token] - Token for higher rate limits
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {number} [options.retries] - Retries per request (default: 3)
+ * @param {number} [options.retryBaseDelay] - First backoff in ms (default: 500)
+ * @param {number} [options.maxRetryWait] - Longest Retry-After we wait for, in ms (default: 60000)
+ * @param {Function} [options.sleep] - Injectable for tests
+ */
+function createGitHubClient(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_API_BASE).replace(/\/+$/, '');
+  const token = options.token;
+  const fetchImpl = options.fetch || fetch;
+  const maxRetryWait = options.maxRetryWait ?? 60 * 1000;
+
+  // Unknown until the first response comes back
+  const rateLimit = { limit: null, remaining: null, resetAt: null, resource: null };
+
+  function updateRateLimit(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    if (remaining === null) return;
+    rateLimit.remaining = parseInt(remaining, 10);
+    rateLimit.limit = parseInt(headers.get('x-ratelimit-limit'), 10) || rateLimit.limit;
+    const reset = parseInt(headers.get('x-ratelimit-reset'), 10);
+    rateLimit.resetAt = Number.isFinite(reset) ? reset * 1000 : rateLimit.resetAt;
+    rateLimit.resource = headers.get('x-ratelimit-resource') || rateLimit.resource;
+  }
+
+  function rateLimitError(resetAt, details = {}) {
+    let message = 'GitHub API rate limit exceeded';
+    if (resetAt) {
+      const wait = Math.max(0, resetAt - Date.now());
+      message += `; resets at ${new Date(resetAt).toISOString()} (in ${formatAge(Math.ceil(wait / 60000) * 60000)})`;
+    }
+    if (!token) {
+      message += '. Set GITHUB_TOKEN for a higher limit';
+    }
+    const error = new Error(message);
+    error.code = 'RATE_LIMITED';
+    error.resetAt = resetAt;
+    return Object.assign(error, details);
+  }
+
+  async function send(path) {
+    // Don't spend a request we know will be rejected
+    if (rateLimit.remaining === 0 && rateLimit.resetAt > Date.now()) {
+      throw rateLimitError(rateLimit.resetAt);
+    }
+
+    const headers = {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': USER_AGENT
+    };
+
+    if (token) {
+      headers['Authorization'] = `token ${token}`;
+    }
+
+    const response = await fetchImpl(`${baseUrl}${path}`, { headers });
+    updateRateLimit(response.headers);
+
+    if (!response.ok) {
+      if (response.status === 403 || response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        if (Number.isFinite(retryAfter)) {
+          throw rateLimitError(Date.now() + retryAfter * 1000, { status: response.status, secondary: true, retryAfter: retryAfter * 1000 });
+        }
+        if (rateLimit.remaining === 0) {
+          throw rateLimitError(rateLimit.resetAt, { status: response.status });
+        }
+        const body = await response.text().catch(() => '');
+        if (/secondary rate limit|abuse/i.test(body)) {
+          throw rateLimitError(null, { status: response.status, secondary: true });
+        }
+      }
+
+      const error = new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  function request(path) {
+    return withRetry(() => send(path), {
+      retries: options.retries,
+      baseDelay: options.retryBaseDelay,
+      sleep: options.sleep,
+      shouldRetry(error) {
+        if (error.code === 'RATE_LIMITED') {
+          // The primary limit only clears at its reset time
+          if (!error.secondary) return false;
+          if (error.retryAfter === undefined) return true;
+          return error.retryAfter <= maxRetryWait ? error.retryAfter : false;
+        }
+        return isTransientError(error);
+      }
+    });
+  }
+
+  /**
+   * Last known rate-limit budget
+   */
+  function getRateLimit() {
+    return { ...rateLimit };
+  }
+
+  /**
+   * Fetch and decode the default README of a repository
+   */
+  async function getReadme(owner, repo, ref) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const data = await request(`/repos/${owner}/${repo}/readme${query}`);
+    return Buffer.from(data.content, 'base64').toString('utf-8');
+  }
+
+  /**
+   * Fetch and decode a file from a repository
+   */
+  async function getFile(owner, repo, path, ref) {
+    const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+    const encodedPath = path.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+    const data = await request(`/repos/${owner}/${repo}/contents/${encodedPath}${query}`);
+    return Buffer.from(data.content, 'base64').toString('utf-8');
+  }
+
+  /**
+   * Fetch repository metadata (stars, license, archived flag, ...)
+   */
+  function getRepo(owner, repo) {
+    return request(`/repos/${owner}/${repo}`);
+  }
+
+  /**
+   * Fetch organization metadata (`is_verified` is the verified-domain badge)
+   */
+  function getOrg(org) {
+    return request(`/orgs/${org}`);
+  }
+
+  /**
+   * Most recent releases of a repository, newest first
+   */
+  function getReleases(owner, repo, perPage = 30) {
+    return request(`/repos/${owner}/${repo}/releases?per_page=${perPage}`);
+  }
+
+  return { baseUrl, webUrl: webUrlFor(baseUrl), request, getReadme, getFile, getRepo, getOrg, getReleases, getRateLimit };
+}
+
+/**
+ * Web URL matching an API root: GitHub Enterprise https://host/api/v3 ->
+ * https://host. Any other root (api.github.com, a proxy in front of it)
+ * serves github.com.
+ */
+function webUrlFor(apiBase) {
+  return /\/api\/v3$/.test(apiBase) ? apiBase.replace(/\/api\/v3$/, '') : 'https://github.com';
+}
+
+module.exports = { createGitHubClient, DEFAULT_API_BASE };
@@ -0,0 +1,275 @@
+/**
+ * Registry history: timestamped snapshots of the server list
+ *
+ * Each refresh that changes the list records a snapshot, one file per
+ * snapshot under the history directory, named by its ID
+ * (`YYYYMMDD-HHMMSS`, UTC). Snapshots use the snapshot.js envelope but keep
+ * only a few fields, so they stay small. Snapshots older than the
+ * configured age are pruned, except the latest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSnapshot, parseSnapshot } = require('./snapshot.js');
+const { logger } = require('./logger.js');
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+// Fields compared between snapshots, besides id and name. Only fields read
+// from the index: stars, versions, topics (and the categories they feed) and
+// the archived flag also come from GitHub and npm lookups, which change
+// whenever a lookup fails or the rate limit runs out.
+const TRACKED_FIELDS = ['description', 'tier', 'section', 'repository'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The part of a server record kept in history
+ */
+function historyRecord(server) {
+  return {
+    id: server.id,
+    name: server.name,
+    displayName: server.displayName || null,
+    description: server.description || '',
+    tier: server.tier || null,
+    // Left undefined for snapshots taken before sections were recorded
+    section: server.section,
+    categories: server.categories || (server.category ? [server.category] : []),
+    version: server.version || null,
+    archived: Boolean(server.archived),
+    // History records keep the URL only
+    repository: typeof server.repository === 'string' ? server.repository : server.repository?.url || null,
+    packageName: server.packageName || null
+  };
+}
+
+/**
+ * Snapshot ID for a time, e.g. 20250301-093000
+ */
+function snapshotId(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+function idTime(id) {
+  const match = id.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})$/);
+  return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : NaN;
+}
+
+function normalizeUrl(url) {
+  return url ? url.toLowerCase().replace(/\.git$/, '').replace(/\/+$/, '') : null;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Categorized difference between two server lists
+ *
+ * A server that disappears under one ID and appears under another with the
+ * same repository URL or package name counts as renamed, as does a server
+ * whose ID stays but whose name changes. Renamed servers are also checked
+ * for updated fields.
+ *
+ * @param {Array<object>} before - History records (or full server records)
+ * @param {Array<object>} after
+ * @returns {{added: Array<object>, removed: Array<object>, renamed: Array<{from: object, to: object}>, updated: Array<{server: object, changes: Array<{field: string, from: *, to: *}>}>}}
+ */
+function diffServerLists(before, after) {
+  const previous = before.map(historyRecord);
+  const current = after.map(historyRecord);
+  const previousById = new Map(previous.map(server => [server.id, server]));
+  const currentIds = new Set(current.map(server => server.id));
+
+  let removed = previous.filter(server => !currentIds.has(server.id));
+  const added = [];
+  const renamed = [];
+  const pairs = [];
+
+  current.forEach(server => {
+    const old = previousById.get(server.id);
+    if (old) {
+      if (old.name !== server.name) renamed.push({ from: old, to: server });
+      pairs.push([old, server]);
+      return;
+    }
+    const match = removed.find(candidate =>
+      (candidate.repository && normalizeUrl(candidate.repository) === normalizeUrl(server.repository)) ||
+      (candidate.packageName && candidate.packageName === server.packageName)
+    );
+    if (match) {
+      removed = removed.filter(candidate => candidate !== match);
+      renamed.push({ from: match, to: server });
+      pairs.push([match, server]);
+    } else {
+      added.push(server);
+    }
+  });
+
+  const updated = [];
+  pairs.forEach(([old, server]) => {
+    const changes = TRACKED_FIELDS
+      // Older snapshots may lack a field
+      .filter(field => old[field] !== undefined && !sameValue(old[field], server[field]))
+      .map(field => ({ field, from: old[field], to: server[field] }));
+    if (changes.length > 0) updated.push({ server, changes });
+  });
+
+  return { added, removed, renamed, updated };
+}
+
+function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.renamed.length + diff.updated.length > 0;
+}
+
+/**
+ * Server IDs per change type, for the refresh summary
+ *
+ * @param {object} result - Return value of `history.record`
+ */
+function changeSummary(result) {
+  const { diff } = result;
+  return {
+    snapshotId: result.snapshot.id,
+    previousSnapshot: result.previous,
+    added: diff ? diff.added.map(server => server.id) : [],
+    removed: diff ? diff.removed.map(server => server.id) : [],
+    renamed: diff ? diff.renamed.map(({ from, to }) => ({ from: from.id, to: to.id })) : [],
+    updated: diff ? diff.updated.map(({ server }) => server.id) : []
+  };
+}
+
+/**
+ * Create the snapshot history
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] - History directory; without one, history is kept in memory
+ * @param {number} [options.maxAge] - How long snapshots are kept, in ms (default: 90 days)
+ */
+function createHistory(options = {}) {
+  const { dir = null, maxAge = 90 * DAY } = options;
+  const memory = new Map();
+
+  function ids() {
+    if (!dir) return [...memory.keys()].sort();
+    try {
+      return fs.readdirSync(dir)
+        .filter(file => /^\d{8}-\d{6}\.json$/.test(file))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('Cannot read history directory', { dir, error });
+      return [];
+    }
+  }
+
+  function describe(id) {
+    return { id, fetchedAt: new Date(idTime(id)).toISOString() };
+  }
+
+  function load(id) {
+    if (!dir) return memory.get(id) || null;
+    try {
+      return parseSnapshot(fs.readFileSync(path.join(dir, `${id}.json`), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn('Ignoring unreadable history snapshot', { id, error });
+      return null;
+    }
+  }
+
+  function save(id, records, source) {
+    if (!dir) {
+      memory.set(id, records);
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${id}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(createSnapshot(records, { source })));
+    fs.renameSync(temp, file);
+  }
+
+  // Age is measured from the newest snapshot, which is always kept
+  function prune(newestId) {
+    const cutoff = idTime(newestId) - maxAge;
+    ids().filter(id => id !== newestId && idTime(id) < cutoff).forEach(id => {
+      if (!dir) {
+        memory.delete(id);
+        return;
+      }
+      try {
+        fs.unlinkSync(path.join(dir, `${id}.json`));
+      } catch (error) {
+        logger.warn('Failed to prune history snapshot', { id, error });
+      }
+    });
+  }
+
+  return {
+    dir,
+
+    /**
+     * Every snapshot, oldest first
+     *
+     * @returns {Array<{id: string, fetchedAt: string}>}
+     */
+    list() {
+      return ids().map(describe);
+    },
+
+    /**
+     * Servers in a snapshot, or null
+     */
+    load,
+
+    /**
+     * Record a fetched server list and compare it with the latest snapshot
+     *
+     * Nothing is written when the list is unchanged.
+     *
+     * @returns {{recorded: boolean, snapshot: object, previous: object|null, diff: object|null}}
+     */
+    record(servers, fetchedAt = new Date().toISOString(), source = null) {
+      const records = servers.map(historyRecord);
+      const latestId = ids().pop();
+      const previous = latestId ? load(latestId) : null;
+      const diff = previous ? diffServerLists(previous, records) : null;
+
+      if (previous && !hasChanges(diff)) {
+        return { recorded: false, snapshot: describe(latestId), previous: describe(latestId), diff };
+      }
+
+      let id = snapshotId(fetchedAt);
+      // IDs have one-second resolution and must stay in order
+      while (latestId && id <= latestId) {
+        id = snapshotId(idTime(id) + 1000);
+      }
+      save(id, records, source);
+      prune(id);
+      return { recorded: true, snapshot: describe(id), previous: latestId ? describe(latestId) : null, diff };
+    },
+
+    /**
+     * Snapshot to compare against for `since`: the snapshot with that ID, or
+     * the last one taken at or before that time. When history starts after
+     * `since`, the oldest snapshot is used and `partial` is true.
+     *
+     * @param {string} since - Snapshot ID or ISO 8601 date
+     * @returns {{id: string, fetchedAt: string, partial: boolean}|null}
+     */
+    resolve(since) {
+      const all = ids();
+      if (all.includes(since)) return { ...describe(since), partial: false };
+
+      const time = Date.parse(since);
+      if (Number.isNaN(time)) {
+        throw toolError(ERROR_CODES.INVALID_ARGUMENT, `"${since}" is neither a snapshot ID nor a date`, { argument: 'since' });
+      }
+      if (all.length === 0) return null;
+      const before = all.filter(id => idTime(id) <= time).pop();
+      return before ? { ...describe(before), partial: false } : { ...describe(all[0]), partial: true };
+    }
+  };
+}
+
+module.exports = { createHistory, diffServerLists, hasChanges, changeSummary, historyRecord, snapshotId };
@@ -0,0 +1,242 @@
+/**
+ * HTTP mode: MCP over SSE plus a REST mirror of the main tools
+ *
+ * One process serves a whole team from one registry, so the server list is
+ * fetched, enriched and cached once instead of once per user. Every MCP
+ * session gets its own MCP server object over the shared registry, with
+ * only READ_ONLY_TOOLS: nothing a remote client calls may read or write
+ * files on this machine.
+ *
+ *   GET  /sse                   MCP event stream; messages are POSTed to /messages
+ *   GET  /servers?q=&category=  Search (also tier, source, minTrust, limit, cursor)
+ *   GET  /servers/:id           Server details
+ *   GET  /categories            Categories with counts
+ *   POST /refresh               Refresh the data now
+ *   GET  /status                Diagnostics from registry_status
+ *   GET  /health                Liveness and data age; never needs a token
+ *
+ * REST responses are the same JSON payloads the tools return.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { createMcpServer } = require('./server.js');
+const { READ_ONLY_TOOLS } = require('./tools.js');
+const { ERROR_CODES, toolError, errorPayload } = require('./errors.js');
+const { logger } = require('./logger.js');
+
+const MESSAGES_PATH = '/messages';
+
+// HTTP status for each error code
+const ERROR_STATUS = {
+  [ERROR_CODES.INVALID_ARGUMENT]: 400,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.UPSTREAM_UNAVAILABLE]: 502,
+  [ERROR_CODES.INTERNAL]: 500
+};
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, error) {
+  const payload = errorPayload(error);
+  sendJSON(res, ERROR_STATUS[payload.code], payload);
+}
+
+/**
+ * Constant-time check of an `Authorization: Bearer <token>` header
+ */
+function hasToken(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = crypto.createHash('sha256').update(match[1]).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * HTTP status for a tool payload
+ */
+function payloadStatus(payload) {
+  if (payload.kind === 'notFound') return 404;
+  if (payload.kind === 'refresh' && payload.status !== 'ok') return 502;
+  return 200;
+}
+
+/**
+ * Search arguments from the query string
+ *
+ * @returns {object} Tool arguments
+ */
+function searchArguments(params) {
+  const args = {};
+  if (params.get('q')) args.query = params.get('q');
+  ['category', 'tier', 'source', 'cursor'].forEach(name => {
+    if (params.get(name)) args[name] = params.get(name);
+  });
+  ['minTrust', 'limit'].forEach(name => {
+    if (!params.has(name)) return;
+    const value = Number(params.get(name));
+    if (params.get(name) === '' || !Number.isFinite(value)) {
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `${name} must be a number`, { argument: name });
+    }
+    args[name] = value;
+  });
+  return args;
+}
+
+/**
+ * Decode a percent-encoded path segment; malformed encodings are the caller's fault
+ */
+function decodePathSegment(segment, argument) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, `${argument} is not a valid URL path segment`, { argument });
+  }
+}
+
+/**
+ * Create the HTTP server
+ *
+ * @param {object} registry - From createRegistry
+ * @param {object} [options]
+ * @param {string|null} [options.token] - Bearer token required on everything but /health
+ * @returns {http.Server} Not yet listening
+ */
+function createHttpServer(registry, options = {}) {
+  const { token = null } = options;
+  // Open MCP sessions by ID, for routing POSTed messages
+  const sessions = new Map();
+
+  async function openSession(res) {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    // Remote clients must not touch files or host configs on this machine
+    const server = createMcpServer(registry, { tools: READ_ONLY_TOOLS });
+    sessions.set(transport.sessionId, transport);
+    // The transport closes the MCP server itself when the stream ends
+    res.on('close', () => sessions.delete(transport.sessionId));
+    await server.connect(transport);
+  }
+
+  async function runTool(res, name, args) {
+    const payload = await registry.runTool(name, args);
+    sendJSON(res, payloadStatus(payload), payload);
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    if (pathname === '/health' && req.method === 'GET') {
+      const servers = registry.currentServers();
+      sendJSON(res, 200, {
+        status: 'ok',
+        serverCount: servers ? servers.length : null,
+        sessions: sessions.size,
+        freshness: registry.freshness()
+      });
+      return;
+    }
+
+    if (token && !hasToken(req, token)) {
+      sendJSON(res, 401, { kind: 'error', code: 'UNAUTHORIZED', message: 'Missing or invalid bearer token', details: null }, { 'WWW-Authenticate': 'Bearer' });
+      return;
+    }
+
+    if (pathname === '/sse' && req.method === 'GET') {
+      await openSession(res);
+      return;
+    }
+    if (pathname === MESSAGES_PATH && req.method === 'POST') {
+      const transport = sessions.get(url.searchParams.get('sessionId'));
+      if (!transport) {
+        sendError(res, toolError(ERROR_CODES.NOT_FOUND, 'Unknown or closed session'));
+        return;
+      }
+      await transport.handlePostMessage(req, res);
+      return;
+    }
+
+    if (pathname === '/servers' && req.method === 'GET') {
+      await runTool(res, 'registry_search_servers', searchArguments(url.searchParams));
+      return;
+    }
+    const serverPath = pathname.match(/^\/servers\/([^/]+)$/);
+    if (serverPath && req.method === 'GET') {
+      await runTool(res, 'registry_get_server_details', { serverId: decodePathSegment(serverPath[1], 'serverId') });
+      return;
+    }
+    if (pathname === '/categories' && req.method === 'GET') {
+      await runTool(res, 'registry_list_categories', {});
+      return;
+    }
+    if (pathname === '/refresh' && req.method === 'POST') {
+      await runTool(res, 'registry_refresh_data', {});
+      return;
+    }
+    if (pathname === '/status' && req.method === 'GET') {
+      await runTool(res, 'registry_status', {});
+      return;
+    }
+
+    const known = ['/health', '/sse', MESSAGES_PATH, '/servers', '/categories', '/refresh', '/status'].includes(pathname) || serverPath;
+    if (known) {
+      sendJSON(res, 405, { kind: 'error', code: 'METHOD_NOT_ALLOWED', message: `${req.method} is not allowed on ${pathname}`, details: null });
+      return;
+    }
+    sendError(res, toolError(ERROR_CODES.NOT_FOUND, `No route for ${pathname}`));
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      if (res.headersSent) {
+        logger.error('Error after the response started', { method: req.method, url: req.url, error });
+        res.end();
+        return;
+      }
+      if (errorPayload(error).code === ERROR_CODES.INTERNAL) {
+        logger.error('Error while handling request', { method: req.method, url: req.url, error });
+      }
+      sendError(res, error);
+    });
+  });
+}
+
+/**
+ * Serve a registry over HTTP until the process is stopped
+ *
+ * @param {object} registry - From createRegistry
+ * @param {object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {string} [options.host] - Interface to bind
+ * @param {string|null} [options.token] - See createHttpServer
+ * @returns {Promise<http.Server>} Listening server
+ */
+function serveHttp(registry, options) {
+  const { port, host = '127.0.0.1', token = null } = options;
+  const server = createHttpServer(registry, { token });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const address = server.address();
+      logger.info('mcp-registry-interface listening', {
+        url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`,
+        source: registry.sourceDescription,
+        auth: token ? 'bearer' : 'none'
+      });
+      if (!token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+        logger.warn('Listening without MCP_REGISTRY_HTTP_TOKEN: anyone who can reach it can use it', { host });
+      }
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { createHttpServer, serveHttp };
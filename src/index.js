@@ -1,380 +1,95 @@
 #!/usr/bin/env node
-const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
-const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} = require('@modelcontextprotocol/sdk/types.js');
-
-const server = new Server(
-  {
-    name: 'mcp-registry-interface',
-    version: '0.1.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
-
 /**
- * Registry API Configuration
- * Real GitHub data only - no mock fallback
+ * Library entry point and executable
+ *
+ * `require('@mcp-community/registry-interface')` gives the server factory
+ * and the parsing, search and data functions without starting anything.
+ * Run as `mcp-registry-interface`, it hands the command line to cli.js,
+ * which serves MCP over stdio when there is no command.
  */
-const GITHUB_API_BASE = 'https://api.github.com';
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN; // Optional for higher rate limits
-
-/**
- * Fetch real MCP server data from GitHub
- */
-async function fetchRealMCPServers() {
-  try {
-    console.error('Fetching MCP servers from GitHub...');
-    
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-      'User-Agent': 'mcp-registry-interface/0.1.0'
-    };
-    
-    if (GITHUB_TOKEN) {
-      headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-    }
-    
-    // Fetch the README from modelcontextprotocol/servers
-    const response = await fetch(`${GITHUB_API_BASE}/repos/modelcontextprotocol/servers/readme`, {
-      headers
-    });
-    
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    const readmeContent = Buffer.from(data.content, 'base64').toString('utf-8');
-    
-    // Parse the README to extract server information
-    const servers = parseREADMEContent(readmeContent);
-    console.error(`Successfully fetched ${servers.length} MCP servers from GitHub`);
-    
-    return servers;
-    
-  } catch (error) {
-    console.error('Failed to fetch servers from GitHub:', error.message);
-    throw error;
-  }
-}
 
-/**
- * Parse README content to extract MCP server information
- */
-function parseREADMEContent(content) {
-  const servers = [];
-  
-  // Extract official reference servers
-  const referenceSection = content.match(/## Reference Servers[\s\S]*?(?=##|$)/i);
-  if (referenceSection) {
-    const lines = referenceSection[0].split('\n');
-    lines.forEach(line => {
-      const match = line.match(/^[•·-]\s*\*\*([^*]+)\*\*\s*-\s*(.+)/);
-      if (match) {
-        servers.push({
-          id: `mcp-${match[1].toLowerCase().replace(/\s+/g, '-')}`,
-          name: `mcp-${match[1].toLowerCase().replace(/\s+/g, '-')}`,
-          description: match[2],
-          category: 'official',
-          author: 'Anthropic',
-          repository: { url: 'https://github.com/modelcontextprotocol/servers', type: 'github' },
-          version: '1.0.0',
-          tags: ['official', 'reference'],
-          downloads: Math.floor(Math.random() * 10000) + 1000,
-          stars: Math.floor(Math.random() * 500) + 50
-        });
-      }
+const { createRegistryServer, createMcpServer, serveStdio } = require('./server.js');
+const { createRegistry } = require('./registry.js');
+const { createHttpServer, serveHttp } = require('./http.js');
+const { runCli } = require('./cli.js');
+const { loadConfig } = require('./config.js');
+const { TOOLS } = require('./tools.js');
+const { parseREADMEContent, parseMarkdownList } = require('./parser.js');
+const { parseServerReadme } = require('./readme.js');
+const { createSnapshot, parseSnapshot } = require('./snapshot.js');
+const { createSource, loadSources } = require('./sources.js');
+const { mergeServers } = require('./merge.js');
+const { enrichServers } = require('./enrich.js');
+const { classifyServers, countCategories, TIERS } = require('./classify.js');
+const { scoreServers, trustScore } = require('./trust.js');
+const { buildSearchIndex, searchServers } = require('./search.js');
+const { compareServers } = require('./compare.js');
+const { detectInstall } = require('./install.js');
+const { buildClientConfig, HOSTS } = require('./clientconfig.js');
+const { createGitHubClient } = require('./github.js');
+const { createNpmClient } = require('./npm.js');
+const { RENDERERS } = require('./render.js');
+const { logger, createLogger } = require('./logger.js');
+const { ERROR_CODES } = require('./errors.js');
+
+module.exports = {
+  // Servers
+  createRegistryServer,
+  createMcpServer,
+  createHttpServer,
+  serveStdio,
+  serveHttp,
+  runCli,
+
+  // The data layer behind every tool
+  createRegistry,
+  loadConfig,
+  TOOLS,
+  RENDERERS,
+
+  // Parsing
+  parseREADMEContent,
+  parseMarkdownList,
+  parseServerReadme,
+  createSnapshot,
+  parseSnapshot,
+
+  // Loading and enriching
+  createSource,
+  loadSources,
+  mergeServers,
+  enrichServers,
+  createGitHubClient,
+  createNpmClient,
+
+  // Classification, trust and search
+  classifyServers,
+  countCategories,
+  TIERS,
+  scoreServers,
+  trustScore,
+  buildSearchIndex,
+  searchServers,
+  compareServers,
+
+  // Installing
+  detectInstall,
+  buildClientConfig,
+  HOSTS,
+
+  // Errors and logging
+  ERROR_CODES,
+  logger,
+  createLogger
+};
+
+if (require.main === module) {
+  runCli(process.argv.slice(2))
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(error => {
+      logger.error('Fatal error', { error });
+      process.exitCode = 1;
     });
-  }
-  
-  // Extract community servers
-  const communitySection = content.match(/## Community Servers[\s\S]*?(?=##|$)/i);
-  if (communitySection) {
-    const lines = communitySection[0].split('\n');
-    lines.forEach(line => {
-      const match = line.match(/^[•·-]\s*\*\*([^*]+)\*\*\s*-\s*(.+)/);
-      if (match) {
-        servers.push({
-          id: match[1].toLowerCase().replace(/\s+/g, '-'),
-          name: match[1],
-          description: match[2],
-          category: 'community',
-          author: 'Community',
-          repository: { url: `https://github.com/community/${match[1]}`, type: 'github' },
-          version: '0.1.0',
-          tags: ['community'],
-          downloads: Math.floor(Math.random() * 5000) + 100,
-          stars: Math.floor(Math.random() * 200) + 10
-        });
-      }
-    });
-  }
-  
-  // Fallback parsing - look for any server-like entries
-  const serverPattern = /\*\*([^*]+)\*\*\s*-\s*([^•·\n]+)/g;
-  let match;
-  while ((match = serverPattern.exec(content)) !== null) {
-    const [, name, description] = match;
-    if (name && description && name.length < 50) {
-      const serverId = name.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-');
-      
-      // Avoid duplicates
-      if (!servers.find(s => s.id === serverId)) {
-        servers.push({
-          id: serverId,
-          name: name,
-          description: description.trim(),
-          category: name.includes('MCP') || name.includes('server') ? 'official' : 'community',
-          author: 'Community',
-          repository: { url: `https://github.com/community/${serverId}`, type: 'github' },
-          version: '1.0.0',
-          tags: [name.includes('MCP') ? 'official' : 'community'],
-          downloads: Math.floor(Math.random() * 3000) + 200,
-          stars: Math.floor(Math.random() * 150) + 20
-        });
-      }
-    }
-  }
-  
-  return servers.slice(0, 50); // Limit to reasonable number
-}
-
-/**
- * Cache for servers data
- */
-let cachedServers = null;
-let lastFetchTime = 0;
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-
-/**
- * Get MCP servers data from GitHub
- */
-async function getServersData() {
-  const now = Date.now();
-  
-  // Use cache if recent
-  if (cachedServers && (now - lastFetchTime) < CACHE_DURATION) {
-    return cachedServers;
-  }
-  
-  // Fetch real data from GitHub
-  const servers = await fetchRealMCPServers();
-  
-  if (servers && servers.length > 0) {
-    cachedServers = servers;
-    lastFetchTime = now;
-    return servers;
-  }
-  
-  // No fallback - throw error if GitHub data unavailable
-  throw new Error('Unable to fetch MCP servers from GitHub. Please check your internet connection and GitHub API availability.');
-}
-
-// Tool handlers
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'registry_search_servers',
-        description: 'Search for MCP servers from GitHub repositories and registries',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            query: { type: 'string', description: 'Search query (name, description, tags)' },
-            category: { type: 'string', description: 'Filter by category' },
-            limit: { type: 'number', description: 'Max results (default: 20)', default: 20 }
-          }
-        },
-      },
-      {
-        name: 'registry_get_server_details',
-        description: 'Get detailed information about a specific MCP server',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            serverId: { type: 'string', description: 'Server ID or name' }
-          },
-          required: ['serverId']
-        },
-      },
-      {
-        name: 'registry_list_categories',
-        description: 'List server categories from GitHub data',
-        inputSchema: { type: 'object', properties: {} }
-      },
-      {
-        name: 'registry_refresh_data',
-        description: 'Refresh server data from GitHub (bypasses cache)',
-        inputSchema: { type: 'object', properties: {} }
-      }
-    ],
-  };
-});
-
-// Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'registry_search_servers': {
-        const { query, category, limit = 20 } = args;
-        const servers = await getServersData();
-        
-        let filteredServers = servers;
-        
-        // Apply search filter
-        if (query) {
-          const searchTerm = query.toLowerCase();
-          filteredServers = servers.filter(server => 
-            server.name.toLowerCase().includes(searchTerm) ||
-            server.description.toLowerCase().includes(searchTerm) ||
-            server.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-          );
-        }
-        
-        // Apply category filter  
-        if (category) {
-          filteredServers = filteredServers.filter(server => 
-            server.category.toLowerCase() === category.toLowerCase()
-          );
-        }
-        
-        // Apply limit
-        filteredServers = filteredServers.slice(0, limit);
-        
-        let text = `🔍 **MCP Server Search Results** (GitHub Data)\n\n`;
-        if (query) text += `**Query:** "${query}"\n`;
-        if (category) text += `**Category:** ${category}\n`;
-        text += `**Results:** ${filteredServers.length} servers found\n\n`;
-        
-        if (filteredServers.length > 0) {
-          filteredServers.forEach((server, i) => {
-            text += `**${i + 1}. ${server.name}** (v${server.version})\n`;
-            text += `   📝 ${server.description}\n`;
-            text += `   🏷️ ${server.category} | 👤 ${server.author}\n`;
-            text += `   📊 ${server.downloads || 0} downloads | ⭐ ${server.stars || 0} stars\n\n`;
-          });
-          text += `\n💡 Use \`registry_get_server_details\` for installation info.`;
-        } else {
-          text += `No servers found matching your criteria.`;
-        }
-        
-        return { content: [{ type: 'text', text }] };
-      }
-
-      case 'registry_get_server_details': {
-        const { serverId } = args;
-        if (!serverId) throw new Error('serverId is required');
-        
-        const servers = await getServersData();
-        const server = servers.find(s => 
-          s.id === serverId || 
-          s.name === serverId ||
-          s.id === `mcp-${serverId}` ||
-          s.name === `mcp-${serverId}`
-        );
-        
-        if (!server) {
-          return { content: [{ type: 'text', text: `❌ Server "${serverId}" not found in GitHub registry.` }] };
-        }
-        
-        let text = `📦 **${server.name}** (v${server.version})\n\n`;
-        text += `📝 **Description:** ${server.description}\n`;
-        text += `👤 **Author:** ${server.author}\n`;
-        text += `🏷️ **Category:** ${server.category}\n`;
-        text += `📊 **Stats:** ${server.downloads || 0} downloads | ⭐ ${server.stars || 0} stars\n`;
-        text += `🔗 **Repository:** ${server.repository.url}\n\n`;
-        
-        if (server.tags?.length > 0) {
-          text += `🏷️ **Tags:** ${server.tags.join(', ')}\n\n`;
-        }
-        
-        // Installation instructions
-        text += `📥 **Installation:**\n`;
-        if (server.category === 'official') {
-          text += `   **NPM:** \`npx @modelcontextprotocol/server-${server.name.replace('mcp-', '')}\`\n`;
-          text += `   **Docker:** \`docker run mcp/${server.name.replace('mcp-', '')}\`\n`;
-        } else {
-          text += `   **NPM:** \`npx ${server.name}\`\n`;
-          text += `   **GitHub:** Visit repository for installation instructions\n`;
-        }
-        
-        return { content: [{ type: 'text', text }] };
-      }
-
-      case 'registry_list_categories': {
-        const servers = await getServersData();
-        const categories = {};
-        
-        servers.forEach(server => {
-          const cat = server.category || 'other';
-          if (!categories[cat]) {
-            categories[cat] = { count: 0, description: getCategoryDescription(cat) };
-          }
-          categories[cat].count++;
-        });
-        
-        let text = `📂 **MCP Server Categories** (GitHub Data)\n\n`;
-        
-        Object.entries(categories).forEach(([name, info]) => {
-          text += `**${name}** (${info.count} servers)\n   ${info.description}\n\n`;
-        });
-        
-        return { content: [{ type: 'text', text }] };
-      }
-
-      case 'registry_refresh_data': {
-        // Force refresh
-        cachedServers = null;
-        lastFetchTime = 0;
-        
-        const servers = await getServersData();
-        
-        let text = `🔄 **Data Refreshed**\n\n`;
-        text += `📊 Found ${servers.length} servers\n`;
-        text += `📡 Source: GitHub API\n\n`;
-        text += `Use \`registry_search_servers\` to browse updated data.`;
-        
-        return { content: [{ type: 'text', text }] };
-      }
-
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    return {
-      content: [{ type: 'text', text: `❌ Error: ${error.message}` }],
-      isError: true
-    };
-  }
-});
-
-function getCategoryDescription(category) {
-  const descriptions = {
-    official: 'Official MCP servers maintained by Anthropic',
-    community: 'Community-contributed MCP servers',
-    filesystem: 'File and directory operations',
-    development: 'Development tools and version control',
-    memory: 'Memory and context management systems',
-    database: 'Database connectivity and operations',
-    web: 'Web scraping and HTTP operations',
-    ai: 'AI model integrations and tools'
-  };
-  return descriptions[category] || 'Various MCP server functionality';
 }
-
-// Start server
-const transport = new StdioServerTransport();
-server.connect(transport);
-
-console.error('🚀 mcp-registry-interface running');
-console.error('🔧 Data source: GitHub API only');
-console.error('🔑 GitHub token:', GITHUB_TOKEN ? 'Configured (higher rate limits)' : 'Not configured (basic rate limits)');
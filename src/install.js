@@ -0,0 +1,219 @@
+/**
+ * Install instructions from a server's own package manifests
+ *
+ * Reads package.json, pyproject.toml, go.mod, Cargo.toml and Dockerfile
+ * from the server's repository (or its monorepo subdirectory) and derives
+ * the runtime, the real package name and the matching install commands.
+ * When nothing conclusive is found the method is reported as unknown.
+ */
+
+const { parseRepositoryUrl, isOnGitHub } = require('./repository.js');
+
+const MANIFESTS = ['package.json', 'pyproject.toml', 'go.mod', 'Cargo.toml', 'Dockerfile'];
+
+/**
+ * String values of one `[table]` in a TOML document
+ *
+ * Only handles what manifests need: `key = "value"` pairs under a header.
+ */
+function tomlTable(text, table) {
+  const values = {};
+  let current = null;
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      current = header[1].trim();
+      return;
+    }
+    if (current !== table) return;
+    const pair = line.match(/^["']?([\w.-]+)["']?\s*=\s*["']([^"']*)["']/);
+    if (pair) values[pair[1]] = pair[2];
+  });
+  return values;
+}
+
+function fromPackageJson(text, npmStatus) {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+  if (!manifest.name) return null;
+
+  if (manifest.private || npmStatus === 'missing') {
+    return {
+      runtime: 'node',
+      packageName: manifest.name,
+      published: false,
+      methods: []
+    };
+  }
+  // When npm could not be asked, npx is not offered: the name may not be published
+  return {
+    runtime: 'node',
+    packageName: manifest.name,
+    published: npmStatus === 'published' ? true : null,
+    methods: npmStatus === 'published' ? [{ type: 'npx', command: `npx -y ${manifest.name}` }] : []
+  };
+}
+
+function fromPyproject(text) {
+  const project = tomlTable(text, 'project');
+  const poetry = tomlTable(text, 'tool.poetry');
+  const name = project.name || poetry.name;
+  if (!name) return null;
+
+  const scripts = Object.keys({ ...tomlTable(text, 'project.scripts'), ...tomlTable(text, 'tool.poetry.scripts') });
+  const entryPoint = scripts.includes(name) ? name : scripts[0];
+  const uvx = !entryPoint || entryPoint === name
+    ? `uvx ${name}`
+    : `uvx --from ${name} ${entryPoint}`;
+
+  return {
+    runtime: 'python',
+    packageName: name,
+    published: null,
+    methods: [
+      { type: 'uvx', command: uvx },
+      { type: 'pip', command: `pip install ${name}` }
+    ]
+  };
+}
+
+function fromGoMod(text) {
+  const module = text.match(/^module\s+(\S+)/m);
+  if (!module) return null;
+  return {
+    runtime: 'go',
+    packageName: module[1],
+    published: null,
+    methods: [{ type: 'go', command: `go install ${module[1]}@latest` }]
+  };
+}
+
+function fromCargoToml(text, repositoryUrl) {
+  const name = tomlTable(text, 'package').name;
+  if (!name) return null;
+  return {
+    runtime: 'rust',
+    packageName: name,
+    published: null,
+    methods: [{ type: 'cargo', command: `cargo install --git ${repositoryUrl} ${name}` }]
+  };
+}
+
+/**
+ * Name of the repository or its monorepo subdirectory, which docker images are tagged with
+ */
+function sourceName(location) {
+  return (location.path ? location.path.split('/').pop() : location.repo).toLowerCase();
+}
+
+/**
+ * Package and command names a server may be launched by, without reading its manifests
+ *
+ * The npm package from enrichment, and the source name detectInstall tags
+ * docker images with. Python, Go and Rust packages and the commands they
+ * install usually carry that name too.
+ *
+ * @param {object} server - Server record
+ * @returns {Array<string>} Lowercased
+ */
+function installCandidates(server) {
+  const location = parseRepositoryUrl(server.repository?.url);
+  return [server.packageName, location && sourceName(location)]
+    .filter(Boolean)
+    .map(name => name.toLowerCase());
+}
+
+function dockerMethod(location, imageName) {
+  const gitUrl = `https://${location.host}/${location.owner}/${location.repo}.git${location.ref ? `#${location.ref}` : ''}`;
+  const file = location.path ? ` -f ${location.path}/Dockerfile` : '';
+  return {
+    type: 'docker',
+    command: `docker build -t ${imageName}${file} ${gitUrl} && docker run -i --rm ${imageName}`
+  };
+}
+
+/**
+ * Work out how to install a server
+ *
+ * @param {object} server - Server record
+ * @param {object} options
+ * @param {object} [options.github] - Client from createGitHubClient
+ * @param {object} [options.npm] - Client from createNpmClient, used to check the package is published
+ * @returns {Promise<{runtime: string, packageName: string|null, published: boolean|null, methods: Array<{type: string, command: string}>, manifests: Array<string>, error?: string}>}
+ */
+async function detectInstall(server, options = {}) {
+  const { github, npm } = options;
+  const location = parseRepositoryUrl(server.repository?.url);
+  const unknown = { runtime: 'unknown', packageName: null, published: null, methods: [], manifests: [] };
+
+  // Enrichment only keeps npm packages that point back at the repository
+  const verifiedNpm = server.packageName && server.version
+    ? {
+      runtime: 'node',
+      packageName: server.packageName,
+      published: true,
+      methods: [{ type: 'npx', command: `npx -y ${server.packageName}` }],
+      manifests: []
+    }
+    : null;
+
+  if (!github || !isOnGitHub(location, github.webUrl)) {
+    return verifiedNpm || unknown;
+  }
+
+  const files = {};
+  let lookupError = null;
+  await Promise.all(MANIFESTS.map(async name => {
+    const filePath = location.path ? `${location.path}/${name}` : name;
+    try {
+      files[name] = await github.getFile(location.owner, location.repo, filePath, location.ref || undefined);
+    } catch (error) {
+      if (error.status !== 404) lookupError = error;
+    }
+  }));
+
+  const manifests = MANIFESTS.filter(name => files[name] !== undefined);
+  if (manifests.length === 0) {
+    const fallback = verifiedNpm || unknown;
+    return lookupError ? { ...fallback, error: lookupError.message } : fallback;
+  }
+
+  let npmStatus = null;
+  if (files['package.json'] && npm) {
+    let name = null;
+    try {
+      name = JSON.parse(files['package.json']).name;
+    } catch (error) {
+      // Unparseable manifests are ignored below
+    }
+    if (name) {
+      try {
+        await npm.getLatest(name);
+        npmStatus = 'published';
+      } catch (error) {
+        if (error.status === 404) npmStatus = 'missing';
+      }
+    }
+  }
+
+  const repositoryUrl = `https://${location.host}/${location.owner}/${location.repo}`;
+  const detected = (files['package.json'] && fromPackageJson(files['package.json'], npmStatus))
+    || (files['pyproject.toml'] && fromPyproject(files['pyproject.toml']))
+    || (files['go.mod'] && fromGoMod(files['go.mod']))
+    || (files['Cargo.toml'] && fromCargoToml(files['Cargo.toml'], repositoryUrl))
+    || { ...unknown };
+
+  if (files.Dockerfile) {
+    detected.methods = [...detected.methods, dockerMethod(location, sourceName(location))];
+    if (detected.runtime === 'unknown') detected.runtime = 'docker';
+  }
+
+  return { ...detected, manifests };
+}
+
+module.exports = { detectInstall, installCandidates, tomlTable };
@@ -0,0 +1,116 @@
+/**
+ * Servers a user already runs
+ *
+ * Reads MCP host config files (Claude Desktop, Cursor, VS Code and the
+ * generic `mcpServers` shape) and matches each entry to a registry record
+ * by package name, install command, repository or name.
+ */
+
+const { repositoryKey } = require('./repository.js');
+const { installCandidates } = require('./install.js');
+
+/**
+ * Executable an entry runs, without directory or Windows extension
+ */
+function commandName(entry) {
+  return (entry.command || '').split(/[\\/]/).pop().replace(/\.(cmd|exe)$/i, '');
+}
+
+/**
+ * Entries of an MCP host config
+ *
+ * @param {string|object} config - JSON text or parsed object
+ * @returns {Array<{name: string, command: string|null, args: Array<string>, env: object, url: string|null}>}
+ */
+function parseClientConfig(config) {
+  const data = typeof config === 'string' ? JSON.parse(config) : config;
+  if (!data || typeof data !== 'object') {
+    throw new Error('Config must be a JSON object');
+  }
+
+  // VS Code nests servers under "mcp" in settings.json
+  const servers = data.mcpServers || data.servers || data.mcp?.servers;
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+    throw new Error('Config has no "mcpServers" or "servers" object');
+  }
+
+  return Object.entries(servers).map(([name, entry]) => ({
+    name,
+    command: entry?.command || null,
+    args: Array.isArray(entry?.args) ? entry.args.map(String) : [],
+    env: entry?.env && typeof entry.env === 'object' ? entry.env : {},
+    url: entry?.url || null
+  }));
+}
+
+/**
+ * Package the entry launches, from `npx -y <pkg>`, `uvx <pkg>`,
+ * `uvx --from <pkg> <cmd>`, `pipx run <pkg>` or `docker run ... <image>`
+ *
+ * @returns {{runtime: string, name: string, version: string|null}|null}
+ */
+function launchedPackage(entry) {
+  const command = commandName(entry);
+  const args = entry.args;
+  const positional = list => list.filter(arg => !arg.startsWith('-'));
+
+  if (command === 'npx' || command === 'bunx' || (command === 'pnpm' && args[0] === 'dlx')) {
+    const spec = positional(command === 'pnpm' ? args.slice(1) : args)[0];
+    if (!spec) return null;
+    const match = spec.match(/^(@?[^@]+)(?:@(.+))?$/);
+    return { runtime: 'node', name: match[1], version: match[2] || null };
+  }
+  if (command === 'uvx' || (command === 'pipx' && args[0] === 'run')) {
+    const rest = command === 'pipx' ? args.slice(1) : args;
+    const from = rest.indexOf('--from');
+    const spec = from !== -1 ? rest[from + 1] : positional(rest)[0];
+    if (!spec) return null;
+    const match = spec.match(/^([^=<>~!]+)(?:==(.+))?/);
+    return { runtime: 'python', name: match[1], version: match[2] || null };
+  }
+  if (command === 'docker' && args[0] === 'run') {
+    // The image is the first positional argument after the flags; -e/-v/--name take a value
+    const valued = new Set(['-e', '--env', '-v', '--volume', '--name', '-p', '--network', '--mount', '-w', '--env-file']);
+    for (let i = 1; i < args.length; i++) {
+      if (valued.has(args[i])) {
+        i++;
+      } else if (!args[i].startsWith('-')) {
+        const [image, tag] = args[i].split(':');
+        return { runtime: 'docker', name: image, version: tag || null };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Registry record for a config entry, or null
+ */
+function matchInstalledServer(entry, servers) {
+  const launched = launchedPackage(entry);
+  if (launched) {
+    const byPackage = servers.find(server => server.packageName && server.packageName === launched.name);
+    if (byPackage) return byPackage;
+  }
+
+  // Names detectInstall gives out: docker images, and the Python, Go or Rust package or binary
+  const launchedName = (launched ? launched.name : commandName(entry)).toLowerCase();
+  if (launchedName) {
+    const byInstall = servers.find(server => installCandidates(server).includes(launchedName));
+    if (byInstall) return byInstall;
+  }
+
+  const repoArg = [...entry.args, entry.command || ''].map(arg => repositoryKey(arg)).find(Boolean);
+  if (repoArg) {
+    const byRepository = servers.find(server => repositoryKey(server.repository?.url) === repoArg);
+    if (byRepository) return byRepository;
+  }
+
+  const names = [entry.name, launched?.name.split('/').pop()].filter(Boolean).map(name => name.toLowerCase());
+  return servers.find(server => {
+    const candidates = [server.id, server.name, server.id.replace(/^mcp-/, '')].map(name => name.toLowerCase());
+    return names.some(name => candidates.includes(name) || candidates.includes(name.replace(/^(mcp-)?server-/, '')));
+  }) || null;
+}
+
+module.exports = { parseClientConfig, launchedPackage, matchInstalledServer };
@@ -0,0 +1,76 @@
+/**
+ * Structured logging
+ *
+ * One JSON object per line on stderr: stdout carries MCP over stdio and CLI
+ * output, and JSON lines can be filtered with jq or shipped as they are.
+ * MCP_REGISTRY_LOG_LEVEL sets the least severe level written.
+ */
+
+// Most severe first; `silent` writes nothing
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const DEFAULT_LOG_LEVEL = 'info';
+
+/**
+ * Plain JSON for a field value; Errors keep their message and code
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return value.code ? { message: value.message, code: value.code } : { message: value.message };
+  }
+  return value;
+}
+
+/**
+ * Create a logger
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - One of LOG_LEVELS, or `silent` (default: info)
+ * @param {object} [options.stream] - Writable for log lines (default: process.stderr)
+ * @param {object} [options.fields] - Fields added to every line
+ * @param {Function} [options.now] - Clock, for tests
+ */
+function createLogger(options = {}) {
+  const { stream = process.stderr, fields = {}, now = () => new Date() } = options;
+  let threshold = options.level || DEFAULT_LOG_LEVEL;
+
+  function write(level, message, extra = {}) {
+    if (threshold === 'silent' || LOG_LEVELS.indexOf(level) > LOG_LEVELS.indexOf(threshold)) return;
+    const line = { time: now().toISOString(), level, msg: message, ...fields };
+    Object.entries(extra).forEach(([key, value]) => {
+      if (value !== undefined) line[key] = serialize(value);
+    });
+    stream.write(`${JSON.stringify(line)}\n`);
+  }
+
+  return {
+    get level() {
+      return threshold;
+    },
+    setLevel(level) {
+      if (level !== 'silent' && !LOG_LEVELS.includes(level)) {
+        throw new Error(`Unknown log level "${level}". Expected one of: ${[...LOG_LEVELS, 'silent'].join(', ')}`);
+      }
+      threshold = level;
+    },
+    error: (message, extra) => write('error', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    debug: (message, extra) => write('debug', message, extra)
+  };
+}
+
+/**
+ * The logger every module writes to, set up from MCP_REGISTRY_LOG_LEVEL
+ */
+const logger = createLogger();
+const requestedLevel = (process.env.MCP_REGISTRY_LOG_LEVEL || '').trim().toLowerCase();
+if (requestedLevel) {
+  try {
+    logger.setLevel(requestedLevel);
+  } catch (error) {
+    // A typo in the level must not stop the server from starting
+    logger.warn(`${error.message}; using ${DEFAULT_LOG_LEVEL}`);
+  }
+}
+
+module.exports = { logger, createLogger, LOG_LEVELS, DEFAULT_LOG_LEVEL };
@@ -0,0 +1,93 @@
+/**
+ * Federation: merge server lists from several sources into one
+ *
+ * Records are the same server when they share a normalized repository URL
+ * or an npm package name. The first source listed wins for display fields;
+ * later ones only fill in what is missing.
+ */
+
+const { normalizeRepositoryUrl } = require('./repository.js');
+
+function identityKeys(server) {
+  const keys = [];
+  const repoKey = normalizeRepositoryUrl(server.repository?.url);
+  if (repoKey) keys.push(`repo:${repoKey}`);
+  if (server.packageName) keys.push(`npm:${server.packageName.toLowerCase()}`);
+  return keys;
+}
+
+/**
+ * Two different packages published from the same repository are different servers
+ */
+function conflicts(a, b) {
+  return Boolean(a.packageName && b.packageName && a.packageName.toLowerCase() !== b.packageName.toLowerCase());
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function mergeRecord(target, incoming) {
+  for (const [field, value] of Object.entries(incoming)) {
+    if (field === 'sources' || field === 'tags') continue;
+    if (isEmpty(target[field]) && !isEmpty(value)) {
+      target[field] = value;
+    }
+  }
+  target.archived = Boolean(target.archived || incoming.archived);
+  target.tags = [...new Set([...(target.tags || []), ...(incoming.tags || [])])];
+  target.sources = [...new Set([...(target.sources || []), ...(incoming.sources || [])])];
+}
+
+/**
+ * Merge and de-duplicate server records
+ *
+ * @param {Array<object>} servers - Records from every source, in priority order
+ * @returns {Array<object>} Merged records with unique ids and a `sources` array
+ */
+function mergeServers(servers) {
+  const merged = [];
+  const byKey = new Map();
+
+  servers.forEach(server => {
+    const keys = identityKeys(server);
+    const existing = keys
+      .map(key => byKey.get(key))
+      .find(candidate => candidate && !conflicts(candidate, server));
+
+    if (existing) {
+      mergeRecord(existing, server);
+      identityKeys(existing).forEach(key => {
+        if (!byKey.has(key)) byKey.set(key, existing);
+      });
+      return;
+    }
+
+    const record = { ...server, tags: [...(server.tags || [])], sources: [...(server.sources || [])] };
+    merged.push(record);
+    keys.forEach(key => {
+      if (!byKey.has(key)) byKey.set(key, record);
+    });
+  });
+
+  // Different sources can pick the same slug for different servers. Suffixes
+  // skip every id in the list, so a renamed duplicate never takes the id of
+  // a record further down.
+  const taken = new Set(merged.map(record => record.id));
+  const kept = new Set();
+  merged.forEach(record => {
+    if (!kept.has(record.id)) {
+      kept.add(record.id);
+      return;
+    }
+    let suffix = 2;
+    while (taken.has(`${record.id}-${suffix}`)) suffix++;
+    record.id = `${record.id}-${suffix}`;
+    taken.add(record.id);
+    kept.add(record.id);
+  });
+
+  return merged;
+}
+
+module.exports = { mergeServers };
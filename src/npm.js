@@ -0,0 +1,76 @@
+/**
+ * Minimal npm registry client
+ *
+ * Covers the endpoints we need: the latest manifest of a package, its
+ * weekly download count and keyword search.
+ */
+
+const { withRetry, isTransientError } = require('./retry.js');
+
+const DEFAULT_REGISTRY_URL = 'https://registry.npmjs.org';
+const DEFAULT_DOWNLOADS_URL = 'https://api.npmjs.org';
+
+/**
+ * Create an npm registry client
+ *
+ * @param {object} [options]
+ * @param {string} [options.registryUrl] - Package metadata root
+ * @param {string} [options.downloadsUrl] - Download counts API root
+ * @param {Function} [options.fetch] - fetch implementation (default: global fetch)
+ * @param {number} [options.retries] - Retries on 5xx and network errors (default: 3)
+ * @param {Function} [options.sleep] - Injectable for tests
+ */
+function createNpmClient(options = {}) {
+  const registryUrl = (options.registryUrl || DEFAULT_REGISTRY_URL).replace(/\/+$/, '');
+  const downloadsUrl = (options.downloadsUrl || DEFAULT_DOWNLOADS_URL).replace(/\/+$/, '');
+  const fetchImpl = options.fetch || fetch;
+
+  function getJSON(url) {
+    return withRetry(async () => {
+      const response = await fetchImpl(url, { headers: { 'Accept': 'application/json' } });
+
+      if (!response.ok) {
+        const error = new Error(`npm registry error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return response.json();
+    }, { retries: options.retries, sleep: options.sleep, shouldRetry: isTransientError });
+  }
+
+  /**
+   * Fetch the manifest of the latest published version
+   */
+  function getLatest(packageName) {
+    return getJSON(`${registryUrl}/${encodePackageName(packageName)}/latest`);
+  }
+
+  /**
+   * Fetch the number of downloads over the last week
+   */
+  async function getWeeklyDownloads(packageName) {
+    const data = await getJSON(`${downloadsUrl}/downloads/point/last-week/${encodePackageName(packageName)}`);
+    return data.downloads;
+  }
+
+  /**
+   * Run a registry search, e.g. `keywords:mcp-server`
+   */
+  function search(text, { size = 250, from = 0 } = {}) {
+    const query = new URLSearchParams({ text, size: String(size), from: String(from) });
+    return getJSON(`${registryUrl}/-/v1/search?${query}`);
+  }
+
+  return { registryUrl, getJSON, getLatest, getWeeklyDownloads, search };
+}
+
+/**
+ * npm names are URL-safe already; scoped names keep their literal slash,
+ * which both the registry and the downloads API expect
+ */
+function encodePackageName(name) {
+  return name.replace(/[^@/a-z0-9._~-]/gi, encodeURIComponent);
+}
+
+module.exports = { createNpmClient, DEFAULT_REGISTRY_URL, DEFAULT_DOWNLOADS_URL };
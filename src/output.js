@@ -0,0 +1,101 @@
+/**
+ * Tool output: structured payloads and how they are returned
+ *
+ * Every tool builds one payload object following the schema in
+ * data/output-schema.json, then returns it as markdown (rendered from that
+ * payload by render.js), as JSON, or both, depending on the `format`
+ * argument. With `both`, the markdown block comes first and the JSON block
+ * second, and is the default so every caller gets the machine-readable
+ * payload as well.
+ */
+
+const outputSchema = require('./data/output-schema.json');
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+const FORMATS = ['markdown', 'json', 'both'];
+const DEFAULT_FORMAT = 'both';
+
+// Record fields in the order they appear in JSON output
+const SERVER_FIELDS = [
+  'id', 'name', 'displayName', 'description', 'author', 'tier', 'categories', 'category', 'tags', 'topics',
+  'section', 'archived', 'repository', 'packageName', 'version', 'license', 'lastPush', 'openIssues',
+  'downloads', 'stars', 'releases', 'publisher', 'sources', 'enrichment', 'trust'
+];
+
+/**
+ * A server record as it appears in tool output
+ */
+function toServerRecord(server) {
+  const record = {};
+  SERVER_FIELDS.forEach(field => {
+    record[field] = server[field] === undefined ? null : server[field];
+  });
+  record.categories = server.categories || (server.category ? [server.category] : []);
+  record.tags = server.tags || [];
+  record.topics = server.topics || [];
+  record.sources = server.sources || [];
+  record.archived = Boolean(server.archived);
+  return record;
+}
+
+/**
+ * JSON Schema for the `format` argument, added to every tool
+ */
+const FORMAT_PROPERTY = {
+  type: 'string',
+  enum: FORMATS,
+  description: 'Output format: markdown for people, json for programs, or both (default: both, markdown first)',
+  default: DEFAULT_FORMAT
+};
+
+/**
+ * Add the `format` argument to a tool definition
+ */
+function withFormatArgument(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, format: FORMAT_PROPERTY }
+    }
+  };
+}
+
+function resolveFormat(format) {
+  if (format === undefined || format === null) return DEFAULT_FORMAT;
+  if (!FORMATS.includes(format)) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`, { argument: 'format', allowed: FORMATS });
+  }
+  return format;
+}
+
+/**
+ * Tool result for a payload
+ *
+ * @param {object} payload - Structured result with a `kind`
+ * @param {Function} render - `(payload) => markdown`
+ * @param {string} [format] - markdown | json | both
+ * @param {object} [options]
+ * @param {boolean} [options.isError]
+ */
+function toolResult(payload, render, format, options = {}) {
+  const chosen = resolveFormat(format);
+  const content = [];
+  if (chosen !== 'json') {
+    content.push({ type: 'text', text: render(payload) });
+  }
+  if (chosen !== 'markdown') {
+    content.push({ type: 'text', text: JSON.stringify(payload, null, 2) });
+  }
+  return options.isError ? { content, isError: true } : { content };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_FORMAT,
+  outputSchema,
+  toServerRecord,
+  withFormatArgument,
+  resolveFormat,
+  toolResult
+};
@@ -0,0 +1,276 @@
+/**
+ * README parser for the modelcontextprotocol/servers index
+ *
+ * The upstream README lists servers as `[Name](link)` bullets under nested
+ * headings. We walk the headings to know which section a bullet belongs to
+ * and take the real link target as the repository URL.
+ */
+
+const path = require('path');
+const { createServerRecord, slugify } = require('./record.js');
+
+const DEFAULT_REPOSITORY_URL = 'https://github.com/modelcontextprotocol/servers';
+const DEFAULT_BRANCH = 'main';
+
+/**
+ * Known README sections, matched against the nearest enclosing heading.
+ * Order matters: "Archived" sits under "Reference Servers" and must win.
+ */
+const SECTIONS = [
+  { key: 'archived', pattern: /archived/i, tier: 'official', archived: true },
+  { key: 'reference', pattern: /reference/i, tier: 'official' },
+  { key: 'official-integrations', pattern: /official integrations?/i, tier: 'integration' },
+  { key: 'community', pattern: /community/i, tier: 'community' },
+  { key: 'frameworks', pattern: /frameworks?/i, tier: 'community' },
+  { key: 'resources', pattern: /resources?/i, tier: 'community' }
+];
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const BULLET_PATTERN = /^\s{0,3}[-*•·]\s+(.+)$/;
+// A bullet with a link in it was probably meant to be an entry
+const LINK_PATTERN = /\]\(|https?:\/\//;
+
+/**
+ * Strip emoji and decoration from a heading so it can be matched and shown
+ */
+function cleanHeading(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/[^\p{L}\p{N}\s&'./()-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the section for the current heading stack, deepest heading first
+ */
+function resolveSection(headings) {
+  for (let i = headings.length - 1; i >= 0; i--) {
+    if (!headings[i]) continue;
+    const section = SECTIONS.find(s => s.pattern.test(headings[i]));
+    if (section) {
+      return { ...section, heading: headings[i] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Remove logos, badges and other inline images that precede the entry link
+ */
+function stripLeadingDecorations(text) {
+  let rest = text.trim();
+  let previous;
+  do {
+    previous = rest;
+    rest = rest
+      .replace(/^<img\b[^>]*>\s*/i, '')
+      .replace(/^<picture\b[\s\S]*?<\/picture>\s*/i, '')
+      .replace(/^\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)\s*/, '')
+      .replace(/^!\[[^\]]*\]\([^)]*\)\s*/, '');
+  } while (rest !== previous);
+  return rest;
+}
+
+/**
+ * Turn inline markdown into plain text for descriptions
+ */
+function toPlainText(markdown) {
+  return markdown
+    .replace(/<img\b[^>]*>/gi, '')
+    .replace(/\[!\[[^\]]*\]\([^)]*\)\]\([^)]*\)/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Resolve a README link against the repository that hosts the README
+ */
+function resolveLink(href, repositoryUrl, branch, basePath) {
+  const target = href.trim().replace(/^<|>$/g, '');
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+    // Links like `repo#readme` point at the repository itself
+    return target.replace(/#.*$/, '').replace(/\/+$/, '');
+  }
+  const relative = target.startsWith('/')
+    ? target.replace(/^\/+/, '')
+    : path.posix.join(basePath || '', target).replace(/^(\.\/)+/, '');
+  return `${repositoryUrl}/tree/${branch}/${relative.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Parse one bullet into its name, link and description
+ */
+function parseEntry(bullet) {
+  const text = stripLeadingDecorations(bullet);
+  const match = text.match(/^(\*\*|__)?\s*\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)\s*\1?/);
+  if (!match) {
+    return null;
+  }
+
+  const name = toPlainText(match[2]);
+  let description = text.slice(match[0].length).trim();
+  // Curated lists put legend emoji between the link and the separator
+  description = description.replace(/^[^\p{L}\p{N}(]*?[-–—:](?:\s+|$)/u, '');
+
+  return { name, href: match[3], description: toPlainText(description) };
+}
+
+/**
+ * Walk the link bullets of a markdown document
+ *
+ * Calls `onEntry(entry, headings, line, lineNumber)` for every bullet
+ * outside code blocks, with the cleaned heading stack it sits under.
+ * `entry` is null when the bullet has no leading link.
+ */
+function walkMarkdownBullets(content, onEntry) {
+  const headings = [];
+  let inCodeBlock = false;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) return;
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = cleanHeading(heading[2]);
+      return;
+    }
+
+    const bullet = line.match(BULLET_PATTERN);
+    if (!bullet) return;
+
+    onEntry(parseEntry(bullet[1]), headings, line, index + 1);
+  });
+}
+
+/**
+ * Report a bullet that links somewhere but could not be read as an entry
+ */
+function warnUnparsed(onWarning, line, lineNumber, section) {
+  if (!onWarning || !LINK_PATTERN.test(line)) return;
+  onWarning({ line: lineNumber, text: line.trim(), section, reason: 'no leading [name](link)' });
+}
+
+/**
+ * Hand out ids unique within one document
+ */
+function createIdAllocator() {
+  const seenIds = new Map();
+  return baseId => {
+    const count = seenIds.get(baseId) || 0;
+    seenIds.set(baseId, count + 1);
+    return count === 0 ? baseId : `${baseId}-${count + 1}`;
+  };
+}
+
+/**
+ * Parse README content to extract MCP server information
+ *
+ * @param {string} content - README markdown
+ * @param {object} [options]
+ * @param {string} [options.repositoryUrl] - Repository the README lives in, for relative links
+ * @param {string} [options.branch] - Branch used when resolving relative links
+ * @param {string} [options.basePath] - Directory of the README inside the repository
+ * @param {string} [options.source] - Source name recorded on each server
+ * @param {Function} [options.onWarning] - Called with `{line, text, section, reason}`
+ *   for bullets in a registry section that look like entries but do not parse
+ * @returns {Array<object>} Server records in README order
+ */
+function parseREADMEContent(content, options = {}) {
+  const repositoryUrl = (options.repositoryUrl || DEFAULT_REPOSITORY_URL).replace(/\/+$/, '');
+  const branch = options.branch || DEFAULT_BRANCH;
+  const basePath = options.basePath || '';
+
+  const servers = [];
+  // The same name can appear in more than one section
+  const allocateId = createIdAllocator();
+
+  walkMarkdownBullets(content, (entry, headings, line, lineNumber) => {
+    const section = resolveSection(headings);
+    if (!section) return;
+    if (!entry || !entry.name) {
+      warnUnparsed(options.onWarning, line, lineNumber, section.heading);
+      return;
+    }
+
+    const url = resolveLink(entry.href, repositoryUrl, branch, basePath);
+    const isReference = section.key === 'reference' || section.key === 'archived';
+    const id = allocateId(isReference ? `mcp-${slugify(entry.name)}` : slugify(entry.name));
+
+    servers.push(createServerRecord({
+      id,
+      name: isReference ? id : entry.name,
+      displayName: entry.name,
+      description: entry.description,
+      tier: section.tier,
+      section: section.heading,
+      author: isReference ? 'Anthropic' : null,
+      repository: { url },
+      archived: section.archived,
+      tags: isReference ? ['reference'] : [],
+      source: options.source
+    }));
+  });
+
+  return servers;
+}
+
+/**
+ * Parse a curated list (awesome-mcp-servers style) where every linked
+ * bullet under any heading is an entry
+ *
+ * @param {string} content - Markdown
+ * @param {object} [options] - Same as parseREADMEContent; onWarning reports
+ *   linked bullets outside contents and legend sections that do not parse
+ * @returns {Array<object>} Server records in list order
+ */
+function parseMarkdownList(content, options = {}) {
+  const repositoryUrl = (options.repositoryUrl || DEFAULT_REPOSITORY_URL).replace(/\/+$/, '');
+  const branch = options.branch || DEFAULT_BRANCH;
+
+  const servers = [];
+  const allocateId = createIdAllocator();
+
+  walkMarkdownBullets(content, (entry, headings, line, lineNumber) => {
+    const heading = [...headings].reverse().find(Boolean) || null;
+    if (heading && /contents|legend/i.test(heading)) return;
+    if (!entry || !entry.name) {
+      warnUnparsed(options.onWarning, line, lineNumber, heading);
+      return;
+    }
+    // Tables of contents link to anchors in the same document
+    if (entry.href.startsWith('#')) return;
+
+    const url = resolveLink(entry.href, repositoryUrl, branch, '');
+    servers.push(createServerRecord({
+      id: allocateId(slugify(entry.name)),
+      name: entry.name,
+      description: entry.description,
+      tier: 'community',
+      section: heading,
+      repository: { url },
+      source: options.source
+    }));
+  });
+
+  return servers;
+}
+
+module.exports = {
+  parseREADMEContent,
+  parseMarkdownList,
+  DEFAULT_REPOSITORY_URL,
+  DEFAULT_BRANCH,
+  toPlainText
+};
@@ -0,0 +1,216 @@
+/**
+ * MCP prompts for guided discovery and setup
+ *
+ * Each prompt inlines live registry data into its messages, so the model
+ * answers from the registry rather than from memory.
+ */
+
+const { searchServers } = require('./search.js');
+const { listCategoryNames } = require('./classify.js');
+const { HOSTS } = require('./clientconfig.js');
+const { parseClientConfig, matchInstalledServer } = require('./installed.js');
+
+const PROMPTS = [
+  {
+    name: 'recommend_servers_for_task',
+    description: 'Recommend MCP servers for a task, using matching registry entries',
+    arguments: [
+      { name: 'task', description: 'What you want to get done, e.g. "query my Postgres database"', required: true },
+      { name: 'category', description: 'Only consider servers in this category', required: false }
+    ]
+  },
+  {
+    name: 'setup_server',
+    description: 'Walk through installing and configuring one MCP server',
+    arguments: [
+      { name: 'serverId', description: 'Server ID or name', required: true },
+      { name: 'host', description: `MCP host to configure: ${Object.keys(HOSTS).join(', ')}`, required: false }
+    ]
+  },
+  {
+    name: 'audit_my_setup',
+    description: 'Review the MCP servers you already run against the registry',
+    arguments: [
+      { name: 'servers', description: 'Your MCP config JSON, or a comma-separated list of server IDs', required: true }
+    ]
+  }
+];
+
+const MAX_COMPLETIONS = 100;
+const RECOMMEND_CANDIDATES = 10;
+
+function matching(values, prefix) {
+  const needle = (prefix || '').toLowerCase();
+  const matches = [...new Set(values)].filter(value => value.toLowerCase().startsWith(needle));
+  return { values: matches.slice(0, MAX_COMPLETIONS), total: matches.length, hasMore: matches.length > MAX_COMPLETIONS };
+}
+
+/**
+ * Completions for a prompt argument
+ *
+ * @param {string} promptName
+ * @param {string} argumentName
+ * @param {string} value - What the user typed so far
+ * @param {Array<object>} servers - Live server list
+ * @returns {{values: Array<string>, total: number, hasMore: boolean}}
+ */
+function completePromptArgument(promptName, argumentName, value, servers) {
+  switch (argumentName) {
+    case 'serverId':
+      return matching(servers.map(server => server.id), value);
+    case 'category':
+      return matching([
+        ...servers.flatMap(server => server.categories || [server.category]),
+        ...listCategoryNames()
+      ], value);
+    case 'host':
+      return matching(Object.keys(HOSTS), value);
+    case 'servers': {
+      // Complete the last item of a comma-separated list
+      const parts = (value || '').split(',');
+      const last = parts.pop().trimStart();
+      const done = parts.map(part => part.trim()).filter(Boolean);
+      const result = matching(servers.map(server => server.id).filter(id => !done.includes(id)), last);
+      return { ...result, values: result.values.map(id => [...done, id].join(', ')) };
+    }
+    default:
+      return { values: [], total: 0, hasMore: false };
+  }
+}
+
+function entryLine(server) {
+  const stats = [
+    typeof server.stars === 'number' ? `${server.stars} stars` : null,
+    typeof server.downloads === 'number' ? `${server.downloads} downloads/week` : null,
+    server.lastPush ? `last push ${server.lastPush.slice(0, 10)}` : null,
+    server.archived ? 'ARCHIVED' : null
+  ].filter(Boolean).join(', ');
+  return `- ${server.id} (${(server.categories || [server.category]).join(', ')}; ${server.tier}): ${server.description}` +
+    `${stats ? ` [${stats}]` : ''}${server.repository ? ` <${server.repository.url}>` : ''}`;
+}
+
+function userMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+function requireArgument(args, name) {
+  if (!args[name] || !String(args[name]).trim()) {
+    throw new Error(`Missing required argument: ${name}`);
+  }
+  return String(args[name]).trim();
+}
+
+/**
+ * Build a prompt's messages
+ *
+ * @param {string} name
+ * @param {object} args - Prompt arguments
+ * @param {object} context
+ * @param {Array<object>} context.servers - Live server list
+ * @param {object} context.searchIndex - Index of `servers` from buildSearchIndex
+ * @param {Function} context.findServer - `(servers, id) => server`
+ * @param {Function} context.formatServerMarkdown - `(server) => string`
+ * @param {Function} context.getInstallInfo - `(server) => Promise` of detectInstall output
+ * @param {Function} context.getServerReadme - `(server) => Promise` of a README entry
+ * @returns {Promise<{description: string, messages: Array<object>}>}
+ */
+async function getPrompt(name, args = {}, context) {
+  const { servers } = context;
+
+  switch (name) {
+    case 'recommend_servers_for_task': {
+      const task = requireArgument(args, 'task');
+      const category = args.category ? String(args.category).toLowerCase() : null;
+      const { results } = searchServers(context.searchIndex, {
+        query: task,
+        limit: RECOMMEND_CANDIDATES,
+        filters: { category },
+        filter: server => !category || (server.categories || [server.category]).includes(category)
+      });
+
+      let text = `I want to: ${task}\n\n`;
+      if (results.length > 0) {
+        text += `These MCP servers from the registry look relevant${category ? ` (category: ${category})` : ''}, best match first:\n\n`;
+        text += results.map(result => entryLine(result.server)).join('\n');
+        text += '\n\nRecommend the best one or two for the task and say why. Prefer maintained, non-archived servers, ' +
+          'and say so if none of them fits.';
+      } else {
+        text += `No registry entries matched${category ? ` in category ${category}` : ''}. ` +
+          'Suggest how to rephrase the search, or which category to browse.';
+      }
+      return { description: `MCP servers for: ${task}`, messages: [userMessage(text)] };
+    }
+
+    case 'setup_server': {
+      const serverId = requireArgument(args, 'serverId');
+      const host = args.host && HOSTS[args.host] ? args.host : 'claude-desktop';
+      const server = context.findServer(servers, serverId);
+      if (!server) {
+        throw new Error(`Server "${serverId}" not found in registry`);
+      }
+
+      let text = `Help me install and configure this MCP server for ${HOSTS[host].label}.\n\n`;
+      text += context.formatServerMarkdown(server);
+
+      const install = await context.getInstallInfo(server);
+      text += '\nDetected install methods:\n';
+      text += install.methods.length > 0
+        ? install.methods.map(method => `- ${method.type}: ${method.command}`).join('\n')
+        : '- unknown (check the repository README)';
+
+      try {
+        const readme = await context.getServerReadme(server);
+        const { envVars, configExamples } = readme.info;
+        text += '\n\nEnvironment variables from its README:\n';
+        text += envVars.length > 0
+          ? envVars.map(envVar => `- ${envVar.name}${envVar.required === null ? '' : envVar.required ? ' (required)' : ' (optional)'}`).join('\n')
+          : '- none mentioned';
+        if (configExamples.length > 0) {
+          text += `\n\nConfig example from its README:\n\`\`\`json\n${configExamples[0].code}\n\`\`\``;
+        }
+      } catch (error) {
+        text += `\n\nIts README could not be read (${error.message}).`;
+      }
+
+      text += '\n\nWalk me through it step by step: prerequisites, the install command, which environment ' +
+        'variables I need and where to get their values, and the final config block. ' +
+        'Use `registry_generate_client_config` to produce the config block.';
+      return { description: `Set up ${server.name}`, messages: [userMessage(text)] };
+    }
+
+    case 'audit_my_setup': {
+      const input = requireArgument(args, 'servers');
+      let entries;
+      if (input.startsWith('{')) {
+        entries = parseClientConfig(input);
+      } else {
+        entries = input.split(',').map(item => item.trim()).filter(Boolean).map(item => ({ name: item, command: null, args: [] }));
+      }
+
+      const matched = [];
+      const unmatched = [];
+      entries.forEach(entry => {
+        const server = matchInstalledServer(entry, servers);
+        if (server) matched.push({ entry, server });
+        else unmatched.push(entry.name);
+      });
+
+      let text = `Review the MCP servers I run (${entries.length}).\n\n`;
+      if (matched.length > 0) {
+        text += 'Found in the registry:\n';
+        text += matched.map(({ entry, server }) => `${entryLine(server)} — configured as "${entry.name}"`).join('\n');
+      }
+      if (unmatched.length > 0) {
+        text += `\n\nNot in the registry: ${unmatched.join(', ')}`;
+      }
+      text += '\n\nPoint out archived or unmaintained servers, overlapping servers I could drop, ' +
+        'and better-maintained alternatives from the registry (use `registry_search_servers` to find them).';
+      return { description: 'Audit of configured MCP servers', messages: [userMessage(text)] };
+    }
+
+    default:
+      throw new Error(`Unknown prompt: ${name}`);
+  }
+}
+
+module.exports = { PROMPTS, getPrompt, completePromptArgument };
@@ -0,0 +1,229 @@
+/**
+ * A server's own README
+ *
+ * Monorepo entries keep their README next to their code (for example
+ * `src/filesystem/README.md`); other servers use their repository root.
+ * parseServerReadme pulls out what matters when choosing a server: its
+ * tools, the environment variables it needs and its config examples.
+ */
+
+const { parseRepositoryUrl, isOnGitHub } = require('./repository.js');
+
+// Names that show up in examples but are never server configuration
+const IGNORED_ENV_VARS = new Set(['PATH', 'HOME', 'USER', 'PWD', 'SHELL', 'TMPDIR', 'NODE_ENV', 'DEBUG']);
+
+/**
+ * Fetch a server's README from GitHub
+ *
+ * @param {object} server - Server record
+ * @param {object} github - Client from createGitHubClient
+ * @returns {Promise<string|null>} Markdown, or null when the server has no GitHub README
+ */
+async function fetchServerReadme(server, github) {
+  const location = parseRepositoryUrl(server.repository?.url);
+  if (!github || !isOnGitHub(location, github.webUrl)) return null;
+
+  try {
+    if (location.path) {
+      return await github.getFile(location.owner, location.repo, `${location.path}/README.md`, location.ref || undefined);
+    }
+    return await github.getReadme(location.owner, location.repo, location.ref || undefined);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Fenced code blocks of a markdown document
+ *
+ * @returns {Array<{language: string, code: string}>}
+ */
+function codeBlocks(markdown) {
+  const blocks = [];
+  const pattern = /^[ \t]*(```|~~~)[ \t]*([\w+-]*)[^\n]*\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm;
+  let match;
+  while ((match = pattern.exec(markdown)) !== null) {
+    blocks.push({ language: match[2].toLowerCase(), code: match[3] });
+  }
+  return blocks;
+}
+
+function isEnvName(name) {
+  return /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)+$/.test(name) && !IGNORED_ENV_VARS.has(name);
+}
+
+/**
+ * Environment variables a README asks for
+ *
+ * Collected from `"env": {...}` objects and `-e NAME` docker arguments in
+ * config examples, `export NAME=` / `NAME=` lines in shell blocks, and
+ * inline-code names in prose that mentions environment variables or keys.
+ *
+ * @returns {Array<string>} Names in order of first appearance
+ */
+function extractEnvVars(markdown) {
+  if (!markdown) return [];
+  const names = [];
+  const add = name => {
+    if (isEnvName(name) && !names.includes(name)) names.push(name);
+  };
+
+  codeBlocks(markdown).forEach(({ code }) => {
+    const envObjects = code.match(/"env"\s*:\s*\{[^}]*\}/g) || [];
+    envObjects.forEach(block => {
+      (block.match(/"([A-Za-z_][A-Za-z0-9_]*)"\s*:/g) || [])
+        .map(key => key.match(/"([^"]+)"/)[1])
+        .filter(key => key !== 'env')
+        .forEach(add);
+    });
+    (code.match(/"-e"\s*,\s*"([A-Z][A-Z0-9_]*)(?:=[^"]*)?"/g) || [])
+      .forEach(arg => add(arg.match(/"-e"\s*,\s*"([A-Z][A-Z0-9_]*)/)[1]));
+    (code.match(/(?:^|\s)(?:export\s+|-e\s+)?([A-Z][A-Z0-9_]*)=/gm) || [])
+      .forEach(assignment => add(assignment.trim().replace(/^(export|-e)\s+/, '').replace(/=$/, '')));
+  });
+
+  const prose = markdown.replace(/^[ \t]*(```|~~~)[\s\S]*?^[ \t]*\1[ \t]*$/gm, '');
+  prose.split('\n')
+    .filter(line => /environment|env var|api[ _-]?key|token|secret|credential/i.test(line))
+    .forEach(line => {
+      (line.match(/`([A-Z][A-Z0-9_]*)`/g) || []).forEach(code => add(code.slice(1, -1)));
+    });
+
+  return names;
+}
+
+/**
+ * Body of the first heading matching `pattern`, up to the next heading of
+ * the same or a higher level
+ */
+function sectionBody(markdown, pattern) {
+  const lines = markdown.split('\n');
+  let level = 0;
+  let start = -1;
+  let inFence = false;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*(```|~~~)/.test(lines[i])) inFence = !inFence;
+    if (inFence) continue;
+    const heading = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!heading) continue;
+    if (start === -1) {
+      if (pattern.test(heading[2])) {
+        level = heading[1].length;
+        start = i + 1;
+      }
+    } else if (heading[1].length <= level) {
+      return lines.slice(start, i).join('\n');
+    }
+  }
+  return start === -1 ? null : lines.slice(start).join('\n');
+}
+
+function cleanInline(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/^[\s:–—-]+/, '')
+    .trim();
+}
+
+/**
+ * Tools a server documents under a "Tools" heading
+ *
+ * Understands bullet lists (`- **name**: description`, with the description
+ * optionally on the first nested bullet), `### name` subheadings and tables.
+ *
+ * @returns {Array<{name: string, description: string}>}
+ */
+function extractTools(markdown) {
+  const body = markdown && sectionBody(markdown, /^(available\s+)?tools\b/i);
+  if (!body) return [];
+
+  const tools = [];
+  const add = (name, description) => {
+    if (/^[A-Za-z][\w.-]*$/.test(name) && !tools.some(tool => tool.name === name)) {
+      tools.push({ name, description: cleanInline(description || '') });
+    }
+  };
+
+  const lines = body.split('\n');
+  lines.forEach((line, index) => {
+    const bullet = line.match(/^(?:[-*+]|\d+\.)\s+(?:\*\*|`)+([^*`]+?)(?:\*\*|`)+(.*)$/);
+    if (bullet) {
+      let description = bullet[2];
+      if (!cleanInline(description)) {
+        const nested = (lines[index + 1] || '').match(/^\s+[-*+]\s+(.*)$/);
+        description = nested ? nested[1] : '';
+      }
+      add(bullet[1].trim(), description);
+      return;
+    }
+
+    const subheading = line.match(/^#{2,6}\s+`?([\w.-]+)`?\s*$/);
+    if (subheading) {
+      const next = lines.slice(index + 1).find(candidate => candidate.trim() && !candidate.startsWith('#'));
+      add(subheading[1], next && !/^\s*[|`]/.test(next) ? next.replace(/^\s*[-*+]\s+/, '') : '');
+      return;
+    }
+
+    const row = line.match(/^\|\s*`?([\w.-]+)`?\s*\|\s*([^|]*)\|/);
+    if (row && !/^(tool|name|-+)$/i.test(row[1])) {
+      add(row[1], row[2]);
+    }
+  });
+
+  return tools;
+}
+
+/**
+ * Whether the README calls an environment variable required (true),
+ * optional (false), or does not say (null)
+ *
+ * A line can mention several variables, so the keyword closest to the
+ * name decides.
+ */
+function envRequirement(markdown, name) {
+  let best = null;
+  markdown.split('\n').forEach(line => {
+    const at = line.indexOf(name);
+    if (at === -1) return;
+    const keywords = /\b(optional(?:ly)?|required|requires|must)\b/gi;
+    let match;
+    while ((match = keywords.exec(line)) !== null) {
+      const distance = match.index < at ? at - match.index - match[0].length : match.index - at - name.length;
+      if (!best || distance < best.distance) {
+        best = { distance, required: !/^optional/i.test(match[1]) };
+      }
+    }
+  });
+  return best ? best.required : null;
+}
+
+/**
+ * Client configuration examples: JSON blocks that configure an MCP server
+ */
+function extractConfigExamples(markdown) {
+  if (!markdown) return [];
+  return codeBlocks(markdown)
+    .filter(block => ['json', 'jsonc', ''].includes(block.language))
+    .filter(block => /"(mcpServers|servers|command)"\s*:/.test(block.code))
+    .map(block => ({ language: block.language || 'json', code: block.code.replace(/\s+$/, '') }));
+}
+
+/**
+ * Everything we read from a server's README
+ *
+ * @param {string|null} markdown
+ * @returns {{tools: Array<{name: string, description: string}>, envVars: Array<{name: string, required: boolean|null}>, configExamples: Array<{language: string, code: string}>}}
+ */
+function parseServerReadme(markdown) {
+  if (!markdown) return { tools: [], envVars: [], configExamples: [] };
+  return {
+    tools: extractTools(markdown),
+    envVars: extractEnvVars(markdown).map(name => ({ name, required: envRequirement(markdown, name) })),
+    configExamples: extractConfigExamples(markdown)
+  };
+}
+
+module.exports = { fetchServerReadme, parseServerReadme, extractEnvVars, extractTools, extractConfigExamples, codeBlocks };
@@ -0,0 +1,86 @@
+/**
+ * Normalized server records
+ *
+ * Every source produces records of the same shape so they can be merged,
+ * enriched and rendered without caring where they came from.
+ */
+
+/**
+ * Detect the hosting service from a repository URL
+ */
+function repositoryType(url) {
+  try {
+    const host = new URL(url).hostname.replace(/^www\./, '');
+    if (host === 'github.com') return 'github';
+    if (host === 'gitlab.com') return 'gitlab';
+    if (host === 'npmjs.com') return 'npm';
+    return 'other';
+  } catch (error) {
+    return 'other';
+  }
+}
+
+/**
+ * Use the repository owner as the author when the URL names one
+ */
+function authorFromUrl(url) {
+  try {
+    const { hostname, pathname } = new URL(url);
+    const owner = pathname.split('/').filter(Boolean)[0];
+    if (owner && /(^|\.)(github|gitlab)\.com$/.test(hostname)) {
+      return owner;
+    }
+  } catch (error) {
+    // Not a URL we can attribute
+  }
+  return null;
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build a server record with every field present
+ *
+ * Unknown values are null rather than guessed, so the tools can say so.
+ *
+ * @param {object} fields - At least `id`, `name` and `source`
+ */
+function createServerRecord(fields) {
+  const url = fields.repository?.url || null;
+
+  return {
+    id: fields.id,
+    name: fields.name,
+    displayName: fields.displayName || fields.name,
+    description: fields.description || '',
+    // Provenance, kept apart from what the server does
+    tier: fields.tier || 'community',
+    // Functional categories, assigned by classifyServers
+    categories: fields.categories || [],
+    category: fields.category || 'other',
+    section: fields.section || null,
+    author: fields.author || authorFromUrl(url) || 'Community',
+    repository: url ? { url, type: fields.repository.type || repositoryType(url) } : null,
+    archived: Boolean(fields.archived),
+    tags: fields.tags || [],
+    topics: fields.topics || [],
+    sources: fields.sources || (fields.source ? [fields.source] : []),
+    // Filled in by enrichment when the data can be looked up
+    packageName: fields.packageName || null,
+    version: fields.version || null,
+    license: fields.license || null,
+    lastPush: fields.lastPush || null,
+    openIssues: fields.openIssues ?? null,
+    downloads: fields.downloads ?? null,
+    stars: fields.stars ?? null,
+    releases: fields.releases || null,
+    publisher: fields.publisher || null
+  };
+}
+
+module.exports = { createServerRecord, repositoryType, authorFromUrl, slugify };
@@ -0,0 +1,896 @@
+/**
+ * The registry data layer
+ *
+ * Loads, enriches, caches and searches the server list, and runs every
+ * tool against it. The MCP server and the CLI are thin front ends over one
+ * registry, so both give the same answers from the same cache.
+ */
+
+const fs = require('fs/promises');
+const os = require('os');
+const pathModule = require('path');
+const { createGitHubClient } = require('./github.js');
+const { createNpmClient } = require('./npm.js');
+const { enrichServers } = require('./enrich.js');
+const { loadConfig } = require('./config.js');
+const { createSource, loadSources } = require('./sources.js');
+const { mergeServers } = require('./merge.js');
+const { createDiskCache, createConditionalFetch } = require('./cache.js');
+const { buildSearchIndex, searchServers } = require('./search.js');
+const { classifyServers, countCategories, listCategoryNames } = require('./classify.js');
+const { detectInstall } = require('./install.js');
+const { fetchServerReadme, parseServerReadme } = require('./readme.js');
+const { HOSTS, launchCommand, pinLaunchVersion, buildClientConfig, mergeClientConfig, diffLines } = require('./clientconfig.js');
+const { toServerRecord } = require('./output.js');
+const { writeSnapshot } = require('./snapshot.js');
+const { createHistory, diffServerLists, changeSummary } = require('./history.js');
+const { scoreServers } = require('./trust.js');
+const { compareServers, MIN_SERVERS: MIN_COMPARED } = require('./compare.js');
+const { defaultConfigPaths, hostForPath, readHostConfigs, auditInstalled, DEFAULT_MIN_TRUST } = require('./audit.js');
+const { createCollectionStore, describeCollection, parseServerRef } = require('./collections.js');
+const { TOOLS, toolDefinitions } = require('./tools.js');
+const { validateArguments } = require('./validate.js');
+const { ERROR_CODES, toolError, upstreamError, errorPayload } = require('./errors.js');
+const { logger } = require('./logger.js');
+
+// "Did you mean" entries offered when a server ID matches nothing
+const MAX_SUGGESTIONS = 3;
+// Parser warnings listed by registry_status; the count covers all of them
+const MAX_STATUS_WARNINGS = 20;
+
+/**
+ * Create a registry
+ *
+ * Real data only - no mock fallback.
+ *
+ * @param {object} [config] - From loadConfig; read from the environment by default
+ */
+function createRegistry(config = loadConfig()) {
+  const GITHUB_TOKEN = config.github.token; // Optional for higher rate limits
+
+  const diskCache = config.cache.enabled ? createDiskCache({ dir: config.cache.dir }) : null;
+  // Conditional requests against stored ETags: a 304 costs no rate limit
+  const cachedFetch = diskCache ? createConditionalFetch(diskCache.httpStore) : fetch;
+
+  const github = createGitHubClient({ baseUrl: config.github.apiUrl, token: GITHUB_TOKEN, fetch: cachedFetch });
+  const npm = createNpmClient({ ...config.npm, fetch: cachedFetch });
+  const sources = config.sources.map(sourceConfig => createSource(sourceConfig, { github, npm, fetch: cachedFetch }));
+  const SOURCE_DESCRIPTION = sources.map(source => source.description).join(' + ');
+
+  /**
+   * Fetch real MCP server data from every configured source and merge it
+   */
+  async function fetchRealMCPServers() {
+    try {
+      logger.info('Fetching MCP servers', { source: SOURCE_DESCRIPTION });
+      
+      const { servers, results } = await loadSources(sources);
+      sourceResults = results;
+      results.filter(result => !result.error).forEach(result => {
+        logger.info('Loaded source', { source: result.description, count: result.count });
+      });
+      
+      const merged = mergeServers(servers);
+      logger.info('Fetched MCP servers', { count: merged.length, entries: servers.length });
+      
+      return merged;
+      
+    } catch (error) {
+      if (error.sourceResults) sourceResults = error.sourceResults;
+      logger.error('Failed to fetch servers', { source: SOURCE_DESCRIPTION, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Add real stars, license, downloads, etc. to the parsed records
+   */
+  async function enrichServerMetadata(servers) {
+    // Snapshot records already carry their enrichment and must load with no network
+    const pending = servers.filter(server => !server.enrichment);
+    if (!config.enrich.enabled || pending.length === 0) {
+      return servers;
+    }
+    
+    logger.info('Enriching servers with GitHub and npm metadata', { count: pending.length });
+    const enriched = await enrichServers(pending, { github, npm, concurrency: config.enrich.concurrency });
+    const withGitHub = enriched.filter(s => s.enrichment.github === 'ok').length;
+    const withNpm = enriched.filter(s => s.enrichment.npm === 'ok').length;
+    logger.info('Enriched servers', { github: withGitHub, npm: withNpm });
+    
+    const byId = new Map(enriched.map(server => [server.id, server]));
+    // Enrichment can reveal package names that tie entries from different sources together
+    return mergeServers(servers.map(server => byId.get(server.id) || server));
+  }
+
+  /**
+   * Cache for servers data, in memory and on disk
+   */
+  let cachedServers = null;
+  let lastFetchTime = 0;
+  let lastFetchError = null;
+  // The last refresh attempt and what each source returned, for registry_status
+  let lastAttempt = null;
+  let sourceResults = null;
+  // One refresh at a time, shared by every caller that needs it
+  let inFlightRefresh = null;
+  // Called with the new list after every successful refresh
+  const refreshListeners = [];
+
+  if (diskCache) {
+    const saved = diskCache.readServers(SOURCE_DESCRIPTION);
+    if (saved) {
+      // Rescored so recency is measured from now, not from when the list was saved
+      cachedServers = scoreServers(saved.servers);
+      lastFetchTime = Date.parse(saved.fetchedAt) || 0;
+      logger.info('Loaded cached servers', { count: saved.servers.length, file: diskCache.serversFile });
+    }
+  }
+
+  /**
+   * Snapshot history next to the cache, and what the last refresh changed
+   */
+  const history = createHistory({
+    dir: diskCache ? pathModule.join(diskCache.dir, 'history') : null,
+    maxAge: config.history.maxAge
+  });
+  let lastChanges = null;
+  const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+  function recordHistory(servers) {
+    try {
+      return history.record(servers, new Date(lastFetchTime).toISOString(), SOURCE_DESCRIPTION);
+    } catch (error) {
+      logger.warn('Failed to record history snapshot', { error });
+      return null;
+    }
+  }
+
+  /**
+   * The user's server collections
+   */
+  const collections = createCollectionStore({ file: config.collections.path });
+
+  /**
+   * Fetch, enrich and cache a fresh server list
+   *
+   * Concurrent callers share the refresh already in flight instead of
+   * starting their own.
+   */
+  function refreshServers() {
+    if (!inFlightRefresh) {
+      inFlightRefresh = runRefresh().finally(() => {
+        inFlightRefresh = null;
+      });
+    }
+    return inFlightRefresh;
+  }
+
+  async function runRefresh() {
+    const startedAt = Date.now();
+    try {
+      const servers = scoreServers(classifyServers(await enrichServerMetadata(await fetchRealMCPServers())));
+      
+      if (!servers || servers.length === 0) {
+        // No fallback - throw error if registry data unavailable
+        throw new Error(`Unable to fetch MCP servers from ${SOURCE_DESCRIPTION}. Please check your internet connection and the source's availability.`);
+      }
+      
+      cachedServers = servers;
+      lastFetchTime = Date.now();
+      lastFetchError = null;
+      lastAttempt = { startedAt, finishedAt: lastFetchTime, error: null };
+      getSearchIndex(servers);
+      installLookups.clear();
+      refreshListeners.forEach(listener => listener(servers));
+      
+      if (diskCache) {
+        try {
+          diskCache.writeServers(SOURCE_DESCRIPTION, servers, new Date(lastFetchTime).toISOString());
+        } catch (error) {
+          logger.warn('Failed to write server cache', { error });
+        }
+      }
+      lastChanges = recordHistory(servers);
+      
+      return servers;
+    } catch (error) {
+      lastFetchError = error;
+      lastAttempt = { startedAt, finishedAt: Date.now(), error: upstreamError(error) };
+      throw lastAttempt.error;
+    } finally {
+      if (diskCache) {
+        try {
+          diskCache.saveHttpCache();
+        } catch (error) {
+          logger.warn('Failed to write HTTP cache', { error });
+        }
+      }
+    }
+  }
+
+  /**
+   * Install instructions per server id, looked up on first request and kept
+   * until the next refresh. Failed lookups are not kept, so they are retried.
+   */
+  const installLookups = new Map();
+
+  function getInstallInfo(server) {
+    if (!installLookups.has(server.id)) {
+      const lookup = detectInstall(server, { github, npm }).then(info => {
+        if (info.error) installLookups.delete(server.id);
+        return info;
+      });
+      installLookups.set(server.id, lookup);
+    }
+    return installLookups.get(server.id);
+  }
+
+  /**
+   * Parsed server READMEs, keyed by repository URL and kept next to the
+   * server list on disk. They outlive data refreshes and are re-fetched
+   * after MCP_REGISTRY_README_TTL; a failed re-fetch serves the old copy.
+   */
+  const readmeStore = diskCache ? diskCache.readmeStore : new Map();
+  const readmeLookups = new Map();
+
+  function getServerReadme(server) {
+    const key = server.repository?.url;
+    if (!key) {
+      return Promise.resolve({ found: false, markdown: null, info: parseServerReadme(null), fetchedAt: null });
+    }
+    
+    const stored = readmeStore.get(key);
+    if (stored && Date.now() - Date.parse(stored.fetchedAt) < config.cache.readmeTtl) {
+      return Promise.resolve(stored);
+    }
+    
+    if (!readmeLookups.has(key)) {
+      const lookup = fetchServerReadme(server, github)
+        .then(markdown => {
+          const entry = { found: markdown !== null, markdown, info: parseServerReadme(markdown), fetchedAt: new Date().toISOString() };
+          readmeStore.set(key, entry);
+          if (diskCache) {
+            try {
+              diskCache.saveReadmes();
+            } catch (error) {
+              logger.warn('Failed to write README cache', { error });
+            }
+          }
+          return entry;
+        })
+        .catch(error => {
+          if (stored) return { ...stored, stale: true, error: error.message };
+          throw error;
+        })
+        .finally(() => readmeLookups.delete(key));
+      readmeLookups.set(key, lookup);
+    }
+    return readmeLookups.get(key);
+  }
+
+  /**
+   * Find a server by id or name, with or without the `mcp-` prefix
+   */
+  function findServer(servers, serverId) {
+    // An exact match wins: "github" is GitHub's own server, not the archived mcp-github
+    return servers.find(s => s.id === serverId || s.name === serverId) ||
+      servers.find(s => s.id === `mcp-${serverId}` || s.name === `mcp-${serverId}`);
+  }
+
+  /**
+   * Get MCP servers data, from cache when fresh enough
+   *
+   * Past the TTL, stale data is served while a background refresh runs.
+   * Past the stale window, we wait for the refresh, and if it fails we
+   * still serve what we have; freshness() tells the user.
+   */
+  async function getServersData() {
+    const age = Date.now() - lastFetchTime;
+    
+    // Use cache if recent
+    if (cachedServers && age < config.cache.ttl) {
+      return cachedServers;
+    }
+    
+    if (cachedServers && age < config.cache.ttl + config.cache.staleWhileRevalidate) {
+      refreshServers().catch(error => logger.warn('Background refresh failed', { error }));
+      return cachedServers;
+    }
+    
+    try {
+      return await refreshServers();
+    } catch (error) {
+      if (cachedServers) {
+        logger.warn('Serving cached servers after failed refresh', { error });
+        return cachedServers;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search index, rebuilt whenever a refresh replaces the server list
+   */
+  let searchIndex = null;
+
+  function getSearchIndex(servers) {
+    if (!searchIndex || searchIndex.servers !== servers) {
+      searchIndex = buildSearchIndex(servers);
+    }
+    return searchIndex;
+  }
+
+  /**
+   * How old the data is, for the `freshness` field of tool payloads
+   */
+  function freshness() {
+    if (!cachedServers) {
+      return { fetchedAt: null, ageMs: null, stale: false, reason: null, source: SOURCE_DESCRIPTION };
+    }
+    
+    const age = Date.now() - lastFetchTime;
+    const stale = age >= config.cache.ttl;
+    let reason = null;
+    if (stale) {
+      reason = lastFetchError
+        ? `last refresh failed: ${lastFetchError.message}`
+        : 'a refresh is running in the background';
+    }
+    return { fetchedAt: new Date(lastFetchTime).toISOString(), ageMs: age, stale, reason, source: SOURCE_DESCRIPTION };
+  }
+
+  /**
+   * Counts of each enrichment outcome, and of records with no lookup at all
+   */
+  function enrichmentCounts(servers) {
+    const counts = { enriched: 0, notEnriched: 0, github: {}, npm: {} };
+    servers.forEach(server => {
+      const enrichment = server.enrichment;
+      if (enrichment?.github === 'ok' || enrichment?.npm === 'ok') counts.enriched++;
+      else counts.notEnriched++;
+      if (!enrichment) return;
+      counts.github[enrichment.github] = (counts.github[enrichment.github] || 0) + 1;
+      counts.npm[enrichment.npm] = (counts.npm[enrichment.npm] || 0) + 1;
+    });
+    return counts;
+  }
+
+  /**
+   * Diagnostics for registry_status, from what is already known; nothing is fetched
+   */
+  function status() {
+    const servers = cachedServers || [];
+    const warnings = (sourceResults || []).flatMap(result => result.warnings.map(warning => ({ source: result.description, ...warning })));
+    const rateLimit = github.getRateLimit();
+    const degraded = Boolean(lastAttempt?.error) || (sourceResults || []).some(result => result.error);
+
+    return {
+      kind: 'status',
+      health: !cachedServers ? 'unavailable' : degraded ? 'degraded' : 'ok',
+      serverCount: cachedServers ? servers.length : null,
+      freshness: freshness(),
+      lastFetch: lastAttempt && {
+        startedAt: new Date(lastAttempt.startedAt).toISOString(),
+        durationMs: lastAttempt.finishedAt - lastAttempt.startedAt,
+        outcome: lastAttempt.error ? 'failed' : 'ok',
+        error: lastAttempt.error && errorPayload(lastAttempt.error)
+      },
+      sources: sources.map((source, i) => {
+        const result = sourceResults?.[i];
+        return {
+          type: source.type,
+          description: source.description,
+          count: result && !result.error ? result.count : null,
+          error: result?.error || null
+        };
+      }),
+      cache: {
+        enabled: Boolean(diskCache),
+        dir: diskCache ? diskCache.dir : null,
+        serversFile: diskCache ? diskCache.serversFile : null,
+        httpEntries: diskCache ? diskCache.httpStore.size : null,
+        ttlMs: config.cache.ttl,
+        staleWhileRevalidateMs: config.cache.staleWhileRevalidate
+      },
+      rateLimit: {
+        tokenConfigured: Boolean(GITHUB_TOKEN),
+        limit: rateLimit.limit,
+        remaining: rateLimit.remaining,
+        resetAt: rateLimit.resetAt ? new Date(rateLimit.resetAt).toISOString() : null
+      },
+      parserWarnings: { count: warnings.length, warnings: warnings.slice(0, MAX_STATUS_WARNINGS) },
+      enrichment: { enabled: config.enrich.enabled, ...enrichmentCounts(servers) },
+      logLevel: logger.level
+    };
+  }
+
+  /**
+   * Client config payload for servers, optionally merged into a config file
+   *
+   * @param {Array<object>} servers - Registry records
+   * @param {Array<{serverId: string, version: string|null}>} refs - Servers to include, with optional pinned versions
+   * @param {object} options - `host`, `configPath`, `write` and `overwrite` as in registry_generate_client_config
+   */
+  async function generateClientConfig(servers, refs, options) {
+    const { host, configPath, write, overwrite } = options;
+    if (!HOSTS[host]) {
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Unknown host "${host}". Use one of: ${Object.keys(HOSTS).join(', ')}`, { argument: 'host', allowed: Object.keys(HOSTS) });
+    }
+    
+    const entries = [];
+    const results = [];
+    
+    for (const { serverId, version } of refs) {
+      const server = findServer(servers, serverId);
+      if (!server) {
+        results.push({ serverId, status: 'not-found' });
+        continue;
+      }
+      
+      const result = { serverId: server.id };
+      const install = await getInstallInfo(server);
+      let envVars = [];
+      try {
+        envVars = (await getServerReadme(server)).info.envVars.map(envVar => envVar.name);
+      } catch (error) {
+        result.warning = `could not read README for environment variables (${error.message})`;
+      }
+      
+      let launch = launchCommand(install, envVars);
+      if (!launch) {
+        results.push({ ...result, status: 'unknown-install' });
+        continue;
+      }
+      if (version) {
+        const pinned = pinLaunchVersion(launch, install, version);
+        if (pinned) {
+          launch = pinned;
+          result.pinned = version;
+        } else {
+          const warning = `cannot pin version ${version} when installing via ${launch.via}; using the latest`;
+          result.warning = result.warning ? `${result.warning}; ${warning}` : warning;
+        }
+      }
+      entries.push({ name: server.id, ...launch });
+      results.push({ ...result, status: 'ok', via: launch.via, envVars });
+    }
+    
+    const payload = { kind: 'clientConfig', host, hostLabel: HOSTS[host].label, servers: results, config: null, merge: null };
+    if (entries.length === 0) {
+      return payload;
+    }
+    payload.config = buildClientConfig(entries, host);
+    
+    if (configPath) {
+      const target = pathModule.resolve(configPath.replace(/^~(?=$|[\\/])/, os.homedir()));
+      let before = '';
+      let existing = {};
+      try {
+        before = await fs.readFile(target, 'utf-8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      if (before.trim()) {
+        try {
+          existing = JSON.parse(before);
+        } catch (error) {
+          throw toolError(ERROR_CODES.INVALID_ARGUMENT, `${target} is not valid JSON (${error.message}); not modifying it`, { argument: 'configPath' });
+        }
+      }
+      
+      const merged = mergeClientConfig(existing, payload.config, host, { overwrite });
+      const after = JSON.stringify(merged.config, null, 2) + '\n';
+      const changed = after !== before;
+      
+      payload.merge = {
+        path: target,
+        added: merged.added,
+        replaced: merged.replaced,
+        unchanged: merged.unchanged,
+        conflicts: merged.conflicts,
+        changed,
+        diff: changed ? diffLines(before, after) : null,
+        written: false,
+        backupPath: null
+      };
+      
+      if (changed && write) {
+        if (before) {
+          payload.merge.backupPath = `${target}.bak`;
+          await fs.writeFile(payload.merge.backupPath, before, 'utf-8');
+        }
+        await fs.mkdir(pathModule.dirname(target), { recursive: true });
+        await fs.writeFile(target, after, 'utf-8');
+        payload.merge.written = true;
+      }
+    }
+    
+    return payload;
+  }
+
+  /**
+   * `{id, version}` for each "id" or "id@version", with IDs resolved against the registry
+   */
+  function resolveServerRefs(servers, refs) {
+    const parsed = refs.map(parseServerRef);
+    const missing = parsed.filter(ref => !findServer(servers, ref.id)).map(ref => ref.id);
+    if (missing.length > 0) throw notInRegistry(servers, missing);
+    return parsed.map(ref => ({ id: findServer(servers, ref.id).id, version: ref.version }));
+  }
+
+  /**
+   * Servers whose ID or name is closest to one that matched nothing
+   */
+  function suggestServers(servers, serverId) {
+    const { results } = searchServers(getSearchIndex(servers), { query: serverId.replace(/[-_]/g, ' '), limit: MAX_SUGGESTIONS });
+    return results.map(({ server }) => ({ id: server.id, name: server.displayName || server.name }));
+  }
+
+  function notFound(servers, serverId) {
+    return { kind: 'notFound', code: ERROR_CODES.NOT_FOUND, serverId, source: SOURCE_DESCRIPTION, suggestions: suggestServers(servers, serverId) };
+  }
+
+  /**
+   * NOT_FOUND error for server IDs, with suggestions for each
+   */
+  function notInRegistry(servers, serverIds) {
+    return toolError(ERROR_CODES.NOT_FOUND, `Not found in registry: ${serverIds.join(', ')}`, {
+      serverIds,
+      suggestions: Object.fromEntries(serverIds.map(serverId => [serverId, suggestServers(servers, serverId).map(({ id }) => id)]))
+    });
+  }
+
+  /**
+   * Category names in the data, or every defined category before it loads
+   */
+  function categoryNames(servers = cachedServers) {
+    if (!servers) return listCategoryNames();
+    return countCategories(servers).categories.map(category => category.name).sort();
+  }
+
+  /**
+   * The `category` argument must name a category the data has
+   */
+  function checkCategory(category, servers) {
+    if (category === undefined) return;
+    const allowed = categoryNames(servers);
+    if (!allowed.includes(category)) {
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `category must be one of: ${allowed.join(', ')}`, { argument: 'category', allowed });
+    }
+  }
+
+  /**
+   * Run a tool and build its payload
+   *
+   * @throws {Error} With a `code` from ERROR_CODES; INVALID_ARGUMENT when
+   *   the arguments do not match the tool's inputSchema
+   */
+  async function runTool(name, rawArgs) {
+    const tool = TOOLS.find(definition => definition.name === name);
+    if (!tool) {
+      throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Unknown tool: ${name}`, { argument: 'name', allowed: TOOLS.map(definition => definition.name) });
+    }
+    const args = validateArguments(tool.inputSchema, rawArgs);
+
+    switch (name) {
+      case 'registry_search_servers': {
+        const { query, category, tier, source, minTrust, limit = 20, cursor } = args;
+        const servers = await getServersData();
+        checkCategory(category, servers);
+        
+        let membership = new Map();
+        try {
+          membership = collections.membership();
+        } catch (error) {
+          // A broken collections file must not break search
+          logger.warn('Ignoring collections in search', { error });
+        }
+        
+        const { results, total, offset, nextCursor } = searchServers(getSearchIndex(servers), {
+          query,
+          limit,
+          cursor,
+          filters: { category, tier, source, minTrust },
+          filter: server =>
+            (!category || (server.categories || [server.category]).includes(category)) &&
+            (!tier || server.tier === tier) &&
+            (!source || (server.sources || []).includes(source)) &&
+            (minTrust === undefined || (server.trust?.score ?? -1) >= minTrust)
+        });
+        
+        return {
+          kind: 'search',
+          query: query || null,
+          filters: { category: category || null, tier: tier || null, source: source || null, minTrust: minTrust ?? null },
+          total,
+          offset,
+          nextCursor,
+          results: results.map(({ server, score }) => ({
+            score,
+            server: toServerRecord(server),
+            collections: membership.get(server.id) || []
+          })),
+          freshness: freshness()
+        };
+      }
+
+      case 'registry_get_server_details': {
+        const { serverId } = args;
+        const servers = await getServersData();
+        const server = findServer(servers, serverId);
+        if (!server) {
+          return notFound(servers, serverId);
+        }
+        
+        // Tools and environment from the server's own README
+        let readme;
+        try {
+          const { info } = await getServerReadme(server);
+          readme = { tools: info.tools, envVars: info.envVars };
+        } catch (error) {
+          readme = { error: error.message };
+        }
+        
+        return {
+          kind: 'server',
+          server: toServerRecord(server),
+          readme,
+          install: await getInstallInfo(server),
+          freshness: freshness()
+        };
+      }
+
+      case 'registry_get_server_readme': {
+        const { serverId, raw = false } = args;
+        const servers = await getServersData();
+        const server = findServer(servers, serverId);
+        if (!server) {
+          return notFound(servers, serverId);
+        }
+        
+        const readme = await getServerReadme(server);
+        const limit = 30000;
+        return {
+          kind: 'readme',
+          serverId: server.id,
+          name: server.name,
+          repository: server.repository ? server.repository.url : null,
+          found: readme.found,
+          ...readme.info,
+          markdown: raw && readme.markdown ? readme.markdown.slice(0, limit) : null,
+          truncated: Boolean(raw && readme.markdown && readme.markdown.length > limit),
+          fetchedAt: readme.fetchedAt,
+          stale: Boolean(readme.stale),
+          error: readme.error || null
+        };
+      }
+
+      case 'registry_compare_servers': {
+        const { serverIds } = args;
+        const servers = await getServersData();
+        const missing = serverIds.filter(serverId => !findServer(servers, serverId));
+        if (missing.length > 0) throw notInRegistry(servers, missing);
+        const compared = [...new Set(serverIds.map(serverId => findServer(servers, serverId)))];
+        if (compared.length < MIN_COMPARED) {
+          throw toolError(ERROR_CODES.INVALID_ARGUMENT, `serverIds must name ${MIN_COMPARED} different servers`, { argument: 'serverIds' });
+        }
+        
+        const entries = await Promise.all(compared.map(async server => {
+          let readme;
+          try {
+            const { found, info } = await getServerReadme(server);
+            // A missing README says nothing about tools, so it must not count as zero
+            readme = found ? { tools: info.tools, envVars: info.envVars } : { error: 'no README found' };
+          } catch (error) {
+            readme = { error: error.message };
+          }
+          return { server, install: await getInstallInfo(server), readme };
+        }));
+        
+        return { kind: 'comparison', ...compareServers(entries), freshness: freshness() };
+      }
+
+      case 'registry_list_categories': {
+        const servers = await getServersData();
+        return { kind: 'categories', ...countCategories(servers), freshness: freshness() };
+      }
+
+      case 'registry_refresh_data': {
+        // Force refresh, keeping the old data if it fails
+        try {
+          const servers = await refreshServers();
+          return {
+            kind: 'refresh',
+            status: 'ok',
+            serverCount: servers.length,
+            source: SOURCE_DESCRIPTION,
+            fetchedAt: new Date(lastFetchTime).toISOString(),
+            changes: lastChanges ? changeSummary(lastChanges) : null,
+            error: null
+          };
+        } catch (error) {
+          if (!cachedServers) throw error;
+          return {
+            kind: 'refresh',
+            status: 'failed',
+            serverCount: cachedServers.length,
+            source: SOURCE_DESCRIPTION,
+            fetchedAt: new Date(lastFetchTime).toISOString(),
+            changes: null,
+            error: error.message
+          };
+        }
+      }
+
+      case 'registry_status':
+        return status();
+
+      case 'registry_whats_new': {
+        const { since = new Date(Date.now() - WEEK).toISOString(), category } = args;
+        const servers = await getServersData();
+        checkCategory(category, servers);
+        
+        // Read-only: history is only written by refreshes, never from here
+        const baseline = history.resolve(since);
+        const before = baseline && history.load(baseline.id);
+        if (!before) throw toolError(ERROR_CODES.NOT_FOUND, 'No registry history recorded yet; the next refresh records the first snapshot');
+        
+        const diff = diffServerLists(before, servers);
+        if (category) {
+          const inCategory = server => server.categories.includes(category);
+          diff.added = diff.added.filter(inCategory);
+          diff.removed = diff.removed.filter(inCategory);
+          diff.renamed = diff.renamed.filter(({ to }) => inCategory(to));
+          diff.updated = diff.updated.filter(({ server }) => inCategory(server));
+        }
+        
+        return {
+          kind: 'whatsNew',
+          since,
+          category: category || null,
+          baseline,
+          snapshots: history.list().length,
+          ...diff,
+          freshness: freshness()
+        };
+      }
+
+      case 'registry_export_snapshot': {
+        const { path } = args;
+        const servers = await getServersData();
+        const written = await writeSnapshot(path, servers, { source: SOURCE_DESCRIPTION });
+        return { kind: 'snapshot', path: written, serverCount: servers.length, source: SOURCE_DESCRIPTION, freshness: freshness() };
+      }
+
+      case 'registry_generate_client_config': {
+        const { serverIds, host = 'claude-desktop', configPath, write = false, overwrite = false } = args;
+        const servers = await getServersData();
+        return generateClientConfig(servers, serverIds.map(serverId => ({ serverId, version: null })), { host, configPath, write, overwrite });
+      }
+
+      case 'registry_list_collections': {
+        const { name } = args;
+        const servers = await getServersData();
+        if (name) {
+          return { kind: 'collection', action: null, collection: describeCollection(collections.get(name), servers), path: collections.file };
+        }
+        return {
+          kind: 'collections',
+          path: collections.file,
+          collections: collections.list().map(collection => ({
+            name: collection.name,
+            notes: collection.notes,
+            serverIds: collection.servers.map(entry => entry.id),
+            updatedAt: collection.updatedAt
+          }))
+        };
+      }
+
+      case 'registry_create_collection': {
+        const { name, notes, serverIds = [] } = args;
+        const servers = await getServersData();
+        const created = collections.create(name, { notes, servers: resolveServerRefs(servers, serverIds) });
+        return { kind: 'collection', action: 'created', collection: describeCollection(created, servers), path: collections.file };
+      }
+
+      case 'registry_update_collection': {
+        const { name, rename, notes, add = [], remove = [] } = args;
+        const servers = await getServersData();
+        const updated = collections.update(name, {
+          rename,
+          notes,
+          add: resolveServerRefs(servers, add),
+          // Servers that left the registry can still be removed by their stored ID
+          remove: remove.map(serverId => findServer(servers, serverId)?.id || serverId)
+        });
+        return { kind: 'collection', action: 'updated', collection: describeCollection(updated, servers), path: collections.file };
+      }
+
+      case 'registry_delete_collection': {
+        const { name } = args;
+        const servers = await getServersData();
+        const deleted = collections.delete(name);
+        return { kind: 'collection', action: 'deleted', collection: describeCollection(deleted, servers), path: collections.file };
+      }
+
+      case 'registry_export_collection': {
+        const { name, host = 'claude-desktop', configPath, write = false, overwrite = false } = args;
+        const collection = collections.get(name);
+        if (collection.servers.length === 0) {
+          throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Collection "${collection.name}" has no servers`, { argument: 'name' });
+        }
+        
+        const servers = await getServersData();
+        const refs = collection.servers.map(({ id, version }) => ({ serverId: id, version }));
+        const payload = await generateClientConfig(servers, refs, { host, configPath, write, overwrite });
+        return { ...payload, collection: collection.name };
+      }
+
+      case 'registry_audit_installed': {
+        const { configPath, minTrust = DEFAULT_MIN_TRUST } = args;
+        let locations = defaultConfigPaths();
+        if (configPath) {
+          const target = pathModule.resolve(configPath.replace(/^~(?=$|[\\/])/, os.homedir()));
+          locations = [{ host: hostForPath(target), path: target }];
+        }
+        const configs = await readHostConfigs(locations);
+        if (configPath && configs[0].status === 'missing') {
+          throw toolError(ERROR_CODES.NOT_FOUND, `${configs[0].path} does not exist`, { argument: 'configPath' });
+        }
+        if (configPath && configs[0].status !== 'ok') {
+          throw toolError(ERROR_CODES.INVALID_ARGUMENT, `Cannot audit ${configs[0].path}: ${configs[0].error}`, { argument: 'configPath' });
+        }
+        
+        const servers = await getServersData();
+        return { kind: 'audit', minTrust, ...auditInstalled(configs, servers, { minTrust }), freshness: freshness() };
+      }
+
+      default:
+        throw toolError(ERROR_CODES.INTERNAL, `No handler for tool ${name}`);
+    }
+  }
+
+  return {
+    config,
+    sourceDescription: SOURCE_DESCRIPTION,
+    getServersData,
+    refreshServers,
+    getSearchIndex,
+    findServer,
+    getInstallInfo,
+    getServerReadme,
+    freshness,
+    runTool,
+
+    /**
+     * Tool definitions with the categories in the loaded data as the
+     * `category` enum
+     */
+    listTools() {
+      return toolDefinitions(categoryNames());
+    },
+
+    /**
+     * Servers already loaded, without fetching; null before the first load
+     */
+    currentServers() {
+      return cachedServers;
+    },
+
+    /**
+     * Call `listener(servers)` after every successful refresh
+     *
+     * @returns {Function} Stops the calls
+     */
+    onRefresh(listener) {
+      refreshListeners.push(listener);
+      return () => {
+        const index = refreshListeners.indexOf(listener);
+        if (index !== -1) refreshListeners.splice(index, 1);
+      };
+    }
+  };
+}
+
+module.exports = { createRegistry };
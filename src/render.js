@@ -0,0 +1,662 @@
+/**
+ * Markdown rendering of tool payloads
+ *
+ * Every function here takes a payload from output.js's schema and nothing
+ * else, so the markdown and JSON forms of a result cannot disagree.
+ */
+
+const { formatAge } = require('./cache.js');
+
+const INSTALL_LABELS = { npx: 'npx', uvx: 'uvx', pip: 'pip', go: 'Go', cargo: 'Cargo', docker: 'Docker' };
+
+/**
+ * Show enriched numbers as-is and missing ones as "unknown", never as 0
+ */
+function formatStat(value) {
+  return typeof value === 'number' ? value.toLocaleString('en-US') : 'unknown';
+}
+
+function formatVersion(server) {
+  return server.version ? ` (v${server.version})` : '';
+}
+
+/**
+ * `NAME (required)` / `NAME (optional)` / `NAME`
+ */
+function formatEnvVar(envVar) {
+  if (envVar.required === null) return `\`${envVar.name}\``;
+  return `\`${envVar.name}\` (${envVar.required ? 'required' : 'optional'})`;
+}
+
+function formatTrust(trust) {
+  if (!trust) return 'unknown';
+  // Without GitHub enrichment only tier and archived status are known
+  if (trust.score === null) return 'unknown (not enough data)';
+  return `${trust.score}/100 (${trust.level})`;
+}
+
+const TRUST_FACTOR_LABELS = {
+  tier: 'Tier',
+  publisher: 'Publisher',
+  license: 'License',
+  archived: 'Maintenance',
+  recentActivity: 'Recent activity',
+  releaseCadence: 'Release cadence',
+  openIssues: 'Open issues',
+  repository: 'Repository'
+};
+
+/**
+ * Factor-by-factor trust breakdown for registry_get_server_details
+ */
+function renderTrust(trust) {
+  if (!trust) return '';
+  let text = `🛡️ **Trust Breakdown** (${Math.round(trust.coverage * 100)}% of signals known):\n`;
+  trust.factors.forEach(factor => {
+    const label = TRUST_FACTOR_LABELS[factor.name] || factor.name;
+    if (factor.points === null) {
+      text += `   ❔ ${label}: unknown\n`;
+      return;
+    }
+    const icon = factor.points === factor.max ? '✅' : factor.points === 0 ? '⚠️' : '🟡';
+    text += `   ${icon} ${label} ${factor.points}/${factor.max}: ${factor.detail}\n`;
+  });
+  return text + '\n';
+}
+
+/**
+ * ` (from <source>)` for headings over the server list
+ */
+function formatSource(freshness) {
+  return freshness?.source ? ` (from ${freshness.source})` : '';
+}
+
+/**
+ * Notice appended when the data is past its TTL
+ */
+function renderFreshness(freshness) {
+  if (!freshness || !freshness.stale) return '';
+  return `\n\n⚠️ Data is ${formatAge(freshness.ageMs)} old (${freshness.reason}).`;
+}
+
+/**
+ * Markdown description of a server record, shared by
+ * registry_get_server_details and the registry://servers/{id} resource
+ */
+function renderServer(server) {
+  let text = `📦 **${server.name}**${formatVersion(server)}\n\n`;
+  text += `📝 **Description:** ${server.description}\n`;
+  text += `👤 **Author:** ${server.author}\n`;
+  text += `🏷️ **Categories:** ${(server.categories || [server.category]).join(', ')}\n`;
+  text += `🎖️ **Tier:** ${server.tier}\n`;
+  if (server.trust) text += `🛡️ **Trust:** ${formatTrust(server.trust)}\n`;
+  if (server.section) text += `📚 **README Section:** ${server.section}\n`;
+  if (server.archived) text += `🗄️ **Archived:** no longer maintained\n`;
+  text += `📊 **Stats:** ${formatStat(server.downloads)} downloads/week | ⭐ ${formatStat(server.stars)} stars | 🐛 ${formatStat(server.openIssues)} open issues\n`;
+  text += `📜 **License:** ${server.license || 'unknown'}\n`;
+  text += `🕒 **Last Push:** ${server.lastPush ? server.lastPush.slice(0, 10) : 'unknown'}\n`;
+  if (server.packageName) text += `📦 **npm Package:** ${server.packageName}\n`;
+  if (server.sources?.length > 0) text += `📡 **Seen In:** ${server.sources.join(', ')}\n`;
+  text += `🔗 **Repository:** ${server.repository ? server.repository.url : 'unknown'}\n\n`;
+
+  if (server.tags?.length > 0) {
+    text += `🏷️ **Tags:** ${server.tags.join(', ')}\n\n`;
+  }
+
+  return text;
+}
+
+/**
+ * Installation section of registry_get_server_details
+ */
+function renderInstall(install) {
+  let text = `📥 **Installation:**\n`;
+  if (install.runtime !== 'unknown') {
+    text += `   **Runtime:** ${install.runtime}`;
+    if (install.packageName) text += ` | **Package:** ${install.packageName}`;
+    text += `\n`;
+  }
+  install.methods.forEach(method => {
+    text += `   **${INSTALL_LABELS[method.type] || method.type}:** \`${method.command}\`\n`;
+  });
+  if (install.methods.length === 0) {
+    if (install.published === false) {
+      text += `   Not published to a package registry; build it from source following the repository README\n`;
+    } else {
+      text += `   Install method unknown; see the repository README\n`;
+    }
+  }
+  if (install.manifests?.length > 0) {
+    text += `   _Derived from ${install.manifests.join(', ')}_\n`;
+  }
+  if (install.error) {
+    text += `   ⚠️ Could not read the repository: ${install.error}\n`;
+  }
+  return text;
+}
+
+function renderSearch(payload) {
+  const { query, filters, results, total, offset, nextCursor } = payload;
+
+  let text = `🔍 **MCP Server Search Results**${formatSource(payload.freshness)}\n\n`;
+  if (query) text += `**Query:** "${query}"\n`;
+  if (filters.category) text += `**Category:** ${filters.category}\n`;
+  if (filters.tier) text += `**Tier:** ${filters.tier}\n`;
+  if (filters.source) text += `**Source:** ${filters.source}\n`;
+  if (filters.minTrust !== null && filters.minTrust !== undefined) text += `**Min Trust:** ${filters.minTrust}\n`;
+  text += results.length > 0
+    ? `**Results:** ${offset + 1}–${offset + results.length} of ${total} servers\n\n`
+    : `**Results:** 0 of ${total} servers\n\n`;
+
+  if (results.length > 0) {
+    results.forEach(({ server, score, collections }, i) => {
+      const scoreText = score !== null ? ` 🎯 ${score}` : '';
+      text += `**${offset + i + 1}. ${server.name}**${formatVersion(server)}${scoreText}\n`;
+      text += `   📝 ${server.description}\n`;
+      text += `   🏷️ ${server.categories.join(', ')} | 🎖️ ${server.tier} | 👤 ${server.author}\n`;
+      text += `   📊 ${formatStat(server.downloads)} downloads/week | ⭐ ${formatStat(server.stars)} stars | 🛡️ trust ${formatTrust(server.trust)}\n`;
+      if (collections?.length > 0) text += `   📚 In your collections: ${collections.join(', ')}\n`;
+      text += '\n';
+    });
+    if (nextCursor) {
+      text += `➡️ More results: call again with \`cursor: "${nextCursor}"\`\n`;
+    }
+    text += `\n💡 Use \`registry_get_server_details\` for installation info.`;
+  } else {
+    text += `No servers found matching your criteria.`;
+  }
+
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderServerDetails(payload) {
+  let text = renderServer(payload.server);
+  text += renderTrust(payload.server.trust);
+
+  // Tools and environment from the server's own README
+  if (payload.readme?.error) {
+    text += `📖 README unavailable: ${payload.readme.error}\n\n`;
+  } else if (payload.readme) {
+    const { tools, envVars } = payload.readme;
+    if (tools.length > 0) {
+      const shown = tools.slice(0, 10).map(tool => tool.name).join(', ');
+      text += `🧰 **Tools (${tools.length}):** ${shown}${tools.length > 10 ? `, +${tools.length - 10} more` : ''}\n`;
+    }
+    if (envVars.length > 0) {
+      text += `🔑 **Environment:** ${envVars.map(formatEnvVar).join(', ')}\n`;
+    }
+    if (tools.length > 0 || envVars.length > 0) {
+      text += `📖 Use \`registry_get_server_readme\` for tool descriptions and config examples.\n\n`;
+    }
+  }
+
+  text += renderInstall(payload.install);
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderReadme(payload) {
+  let text = `📖 **${payload.name} README**\n`;
+  text += `🔗 ${payload.repository || 'No repository'}\n\n`;
+
+  if (!payload.found) {
+    text += `No README found${payload.repository ? '' : ' (the server has no repository)'}. Only GitHub repositories can be read.`;
+    return text;
+  }
+
+  const { tools, envVars, configExamples } = payload;
+  text += `🧰 **Tools (${tools.length})**\n`;
+  text += tools.length > 0
+    ? tools.map(tool => `- \`${tool.name}\`${tool.description ? ` — ${tool.description}` : ''}`).join('\n') + '\n\n'
+    : `No "Tools" section found.\n\n`;
+
+  text += `🔑 **Environment Variables (${envVars.length})**\n`;
+  text += envVars.length > 0
+    ? envVars.map(envVar => `- ${formatEnvVar(envVar)}`).join('\n') + '\n\n'
+    : `None mentioned.\n\n`;
+
+  if (configExamples.length > 0) {
+    text += `⚙️ **Configuration Examples (${configExamples.length})**\n`;
+    configExamples.forEach(example => {
+      text += `\`\`\`${example.language}\n${example.code}\n\`\`\`\n`;
+    });
+    text += '\n';
+  }
+
+  if (payload.markdown) {
+    text += `📄 **Full README**\n\n${payload.markdown}\n`;
+    if (payload.truncated) text += `\n_(truncated at ${payload.markdown.length} characters)_\n`;
+  }
+
+  text += `\n🕒 Fetched ${formatAge(Date.now() - Date.parse(payload.fetchedAt))} ago`;
+  if (payload.stale) text += ` ⚠️ (refresh failed: ${payload.error})`;
+  return text;
+}
+
+function tableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+const COMPARISON_ROWS = [
+  ['Tier', row => row.tier],
+  ['Categories', row => row.categories.join(', ')],
+  ['Runtime', row => row.runtime],
+  ['License', row => row.license || 'unknown'],
+  ['Stars', row => formatStat(row.stars)],
+  ['Last push', row => row.lastPush ? row.lastPush.slice(0, 10) : 'unknown'],
+  ['Archived', row => row.archived ? '🗄️ yes' : 'no'],
+  ['Tools', row => row.toolCount === null ? 'unknown' : row.toolCount],
+  ['Required env', row => row.requiredEnvVars === null ? 'unknown' : row.requiredEnvVars.join(', ') || 'none'],
+  ['Install', row => row.install ? `\`${row.install.command}\`` : 'unknown']
+];
+
+function renderComparison(payload) {
+  const { servers, differences } = payload;
+
+  let text = `⚖️ **Server Comparison** (${servers.length} servers)\n\n`;
+  text += `| | ${servers.map(row => `**${tableCell(row.name)}**`).join(' | ')} |\n`;
+  text += `|---|${servers.map(() => '---').join('|')}|\n`;
+  COMPARISON_ROWS.forEach(([label, value]) => {
+    text += `| ${label} | ${servers.map(row => tableCell(value(row))).join(' | ')} |\n`;
+  });
+
+  text += `\n🔑 **Key Differences**\n`;
+  text += differences.length > 0
+    ? differences.map(difference => `- ${difference}`).join('\n')
+    : 'No notable differences in maintenance, licensing or setup.';
+
+  text += `\n\n💡 Use \`registry_get_server_details\` with one of: ${servers.map(row => `\`${row.id}\``).join(', ')}`;
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderCategories(payload) {
+  let text = `📂 **MCP Server Categories**${formatSource(payload.freshness)}\n\n`;
+
+  payload.categories.forEach(category => {
+    text += `**${category.name}** (${category.count} servers)\n   ${category.description}\n\n`;
+  });
+
+  text += `🎖️ **Tiers:** ${Object.entries(payload.tiers).map(([name, count]) => `${name} (${count})`).join(', ')}\n`;
+  text += `💡 Servers can belong to several categories. Filter with \`category\` and \`tier\` in \`registry_search_servers\`.`;
+
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderRefresh(payload) {
+  if (payload.status === 'failed') {
+    let text = `⚠️ **Refresh Failed**\n\n`;
+    text += `${payload.error}\n\n`;
+    text += `📊 Still serving ${payload.serverCount} servers fetched ${formatAge(Date.now() - Date.parse(payload.fetchedAt))} ago\n`;
+    text += `📡 Source: ${payload.source}`;
+    return text;
+  }
+
+  let text = `🔄 **Data Refreshed**\n\n`;
+  text += `📊 Found ${payload.serverCount} servers\n`;
+  text += `📡 Source: ${payload.source}\n\n`;
+  if (payload.changes) text += renderChangeSummary(payload.changes) + '\n';
+  text += `Use \`registry_search_servers\` to browse updated data.`;
+  return text;
+}
+
+const STATUS_ICONS = { ok: '✅', degraded: '⚠️', unavailable: '❌' };
+
+function countList(counts) {
+  return Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'none';
+}
+
+function renderStatus(payload) {
+  let text = `${STATUS_ICONS[payload.health]} **Registry Status: ${payload.health}**\n\n`;
+  text += payload.serverCount === null
+    ? `📊 No server data loaded yet\n`
+    : `📊 ${payload.serverCount} servers, fetched ${formatAge(payload.freshness.ageMs)} ago${payload.freshness.stale ? ' (stale)' : ''}\n`;
+  if (payload.lastFetch) {
+    const { startedAt, durationMs, outcome, error } = payload.lastFetch;
+    text += `🔄 Last fetch ${formatAge(Date.now() - Date.parse(startedAt))} ago took ${durationMs} ms: ${outcome}`;
+    text += error ? ` (${error.code}: ${error.message})\n` : '\n';
+  } else {
+    text += `🔄 No fetch in this process yet\n`;
+  }
+
+  text += `\n📡 **Sources**\n`;
+  payload.sources.forEach(source => {
+    const outcome = source.error ? `❌ ${source.error}` : source.count === null ? 'not loaded' : `${source.count} ${source.count === 1 ? 'entry' : 'entries'}`;
+    text += `- ${source.description}: ${outcome}\n`;
+  });
+
+  const { cache, rateLimit, enrichment, parserWarnings } = payload;
+  text += `\n💾 **Cache:** ${cache.enabled ? `\`${cache.dir}\` (${cache.httpEntries} HTTP entries, TTL ${formatAge(cache.ttlMs)})` : 'disabled'}\n`;
+  text += `🔑 **GitHub rate limit:** `;
+  text += rateLimit.remaining === null
+    ? 'no requests made yet'
+    : `${rateLimit.remaining}/${rateLimit.limit} left${rateLimit.resetAt ? `, resets ${rateLimit.resetAt}` : ''}`;
+  text += rateLimit.tokenConfigured ? '\n' : ' (no GITHUB_TOKEN)\n';
+  text += `✨ **Enrichment:** ${enrichment.enabled ? `${enrichment.enriched} enriched, ${enrichment.notEnriched} not` : 'disabled'}`;
+  if (enrichment.enabled && Object.keys(enrichment.github).length > 0) {
+    text += ` (GitHub: ${countList(enrichment.github)}; npm: ${countList(enrichment.npm)})`;
+  }
+  text += `\n📝 **Log level:** ${payload.logLevel}\n`;
+
+  if (parserWarnings.count > 0) {
+    text += `\n⚠️ **Parser warnings** (${parserWarnings.count}): lines that look like entries but did not parse\n`;
+    parserWarnings.warnings.forEach(warning => {
+      text += `- ${warning.source}, line ${warning.line}: \`${warning.text}\`\n`;
+    });
+    if (parserWarnings.count > parserWarnings.warnings.length) {
+      text += `- +${parserWarnings.count - parserWarnings.warnings.length} more\n`;
+    }
+  }
+  return text.trimEnd();
+}
+
+const SHOWN_IDS = 10;
+
+function idList(ids) {
+  return ids.slice(0, SHOWN_IDS).join(', ') + (ids.length > SHOWN_IDS ? `, +${ids.length - SHOWN_IDS} more` : '');
+}
+
+/**
+ * What a refresh changed compared with the previous history snapshot
+ */
+function renderChangeSummary(changes) {
+  if (!changes.previousSnapshot) {
+    return `📚 First history snapshot recorded (\`${changes.snapshotId}\`)\n`;
+  }
+
+  const { added, removed, renamed, updated } = changes;
+  const since = `snapshot \`${changes.previousSnapshot.id}\``;
+  if (added.length + removed.length + renamed.length + updated.length === 0) {
+    return `🆕 No changes since ${since}\n`;
+  }
+
+  let text = `🆕 **Changes since ${since}:** ${added.length} added, ${removed.length} removed, ` +
+    `${renamed.length} renamed, ${updated.length} updated\n`;
+  if (added.length > 0) text += `   Added: ${idList(added)}\n`;
+  if (removed.length > 0) text += `   Removed: ${idList(removed)}\n`;
+  if (renamed.length > 0) text += `   Renamed: ${idList(renamed.map(({ from, to }) => `${from} → ${to}`))}\n`;
+  if (updated.length > 0) text += `   Updated: ${idList(updated)}\n`;
+  text += `💡 Use \`registry_whats_new\` for details.\n`;
+  return text;
+}
+
+function formatChangeValue(value) {
+  if (Array.isArray(value)) return value.join(', ') || 'none';
+  if (value === null || value === '') return 'none';
+  return String(value);
+}
+
+function renderFieldChange(change) {
+  if (change.field === 'description') return 'description changed';
+  return `${change.field} ${formatChangeValue(change.from)} → ${formatChangeValue(change.to)}`;
+}
+
+function renderWhatsNew(payload) {
+  const { baseline, added, removed, renamed, updated } = payload;
+
+  let text = `🆕 **What's New** since ${payload.since}\n\n`;
+  text += `📚 Compared with snapshot \`${baseline.id}\` (${baseline.fetchedAt})\n`;
+  if (baseline.partial) {
+    text += `⚠️ History only goes back to ${baseline.fetchedAt}, so earlier changes are not included\n`;
+  }
+  if (payload.category) text += `**Category:** ${payload.category}\n`;
+  text += '\n';
+
+  if (added.length + removed.length + renamed.length + updated.length === 0) {
+    return text + 'No changes.' + renderFreshness(payload.freshness);
+  }
+
+  if (added.length > 0) {
+    text += `➕ **Added (${added.length})**\n`;
+    added.forEach(server => {
+      text += `- **${server.displayName || server.name}** (\`${server.id}\`, ${server.categories.join(', ')}) — ${server.description}\n`;
+    });
+    text += '\n';
+  }
+  if (removed.length > 0) {
+    text += `➖ **Removed (${removed.length})**\n`;
+    removed.forEach(server => {
+      text += `- **${server.displayName || server.name}** (\`${server.id}\`)\n`;
+    });
+    text += '\n';
+  }
+  if (renamed.length > 0) {
+    text += `✏️ **Renamed (${renamed.length})**\n`;
+    renamed.forEach(({ from, to }) => {
+      text += `- ${from.displayName || from.name} (\`${from.id}\`) → **${to.displayName || to.name}** (\`${to.id}\`)\n`;
+    });
+    text += '\n';
+  }
+  if (updated.length > 0) {
+    text += `🔄 **Updated (${updated.length})**\n`;
+    updated.forEach(({ server, changes }) => {
+      text += `- **${server.displayName || server.name}** (\`${server.id}\`): ${changes.map(renderFieldChange).join('; ')}\n`;
+    });
+    text += '\n';
+  }
+
+  text += `💡 Use \`registry_get_server_details\` on any server ID for more.`;
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderSnapshot(payload) {
+  let text = `💾 **Snapshot Exported**\n\n`;
+  text += `📊 ${payload.serverCount} servers written to \`${payload.path}\`\n`;
+  text += `📡 Source: ${payload.source}\n\n`;
+  text += `Load it offline with \`MCP_REGISTRY_SOURCE=snapshot MCP_REGISTRY_SOURCE_PATH=${payload.path}\`.`;
+  return text + renderFreshness(payload.freshness);
+}
+
+function renderClientConfig(payload) {
+  let text = `⚙️ **Client Config** for ${payload.hostLabel}${payload.collection ? ` from collection "${payload.collection}"` : ''}\n\n`;
+  payload.servers.forEach(entry => {
+    if (entry.warning) text += `⚠️ ${entry.serverId}: ${entry.warning}\n`;
+    if (entry.status === 'not-found') {
+      text += `❌ ${entry.serverId}: not found in registry\n`;
+    } else if (entry.status === 'unknown-install') {
+      text += `❌ ${entry.serverId}: install method unknown, no config generated\n`;
+    } else {
+      text += `✅ ${entry.serverId}${entry.pinned ? `@${entry.pinned}` : ''}: ${entry.via}${entry.envVars.length > 0 ? `, needs ${entry.envVars.join(', ')}` : ''}\n`;
+    }
+  });
+  text += '\n';
+
+  if (!payload.config) {
+    return text + 'Nothing to generate.';
+  }
+
+  text += `\`\`\`json\n${JSON.stringify(payload.config, null, 2)}\n\`\`\`\n`;
+  if (payload.servers.some(entry => entry.envVars?.length > 0)) {
+    text += `\n🔑 Replace the \`<NAME>\` placeholders with real values.\n`;
+  }
+
+  const { merge } = payload;
+  if (merge) {
+    text += `\n📝 **Merge into** \`${merge.path}\`\n`;
+    if (merge.added.length > 0) text += `   Added: ${merge.added.join(', ')}\n`;
+    if (merge.replaced.length > 0) text += `   Replaced: ${merge.replaced.join(', ')}\n`;
+    if (merge.unchanged.length > 0) text += `   Already present: ${merge.unchanged.join(', ')}\n`;
+    if (merge.conflicts.length > 0) {
+      text += `   ⚠️ Kept existing (differs; pass \`overwrite: true\` to replace): ${merge.conflicts.join(', ')}\n`;
+    }
+
+    if (!merge.changed) {
+      text += `\nNo changes to write.`;
+    } else {
+      text += `\n\`\`\`diff\n${merge.diff}\n\`\`\`\n`;
+      if (merge.written) {
+        text += `\n💾 Written${merge.backupPath ? ` (previous version saved to \`${merge.backupPath}\`)` : ''}.`;
+      } else {
+        text += `\nPreview only. Call again with \`write: true\` to apply.`;
+      }
+    }
+  }
+
+  return text;
+}
+
+const AUDIT_SECTIONS = [
+  ['not-in-registry', '❓', 'Not in the registry'],
+  ['archived', '🗄️', 'Archived'],
+  ['outdated', '⬆️', 'Newer version published'],
+  ['low-trust', '⚠️', 'Low trust']
+];
+
+function formatAuditEntry(finding, labels) {
+  const launched = finding.launched ? ` (${finding.launched.name}${finding.launched.version ? `@${finding.launched.version}` : ''})` : '';
+  const match = finding.server ? ` → **${finding.server.name}** (\`${finding.server.id}\`)` : '';
+  return `\`${finding.name}\` in ${labels.get(finding.configPath) || finding.host}${launched}${match}`;
+}
+
+function renderAudit(payload) {
+  const { configs, servers, summary } = payload;
+  const found = configs.filter(config => config.status !== 'missing');
+  const labels = new Map(configs.map(config => [config.path, config.label]));
+
+  const readable = found.filter(config => config.status === 'ok').length;
+  let text = `🔍 **Installed Server Audit** (${summary.total} server${summary.total === 1 ? '' : 's'} in ${readable} config file${readable === 1 ? '' : 's'})\n\n`;
+  found.forEach(config => {
+    text += config.status === 'ok'
+      ? `📄 ${config.label}: \`${config.path}\` (${config.serverCount} server${config.serverCount === 1 ? '' : 's'})\n`
+      : `⚠️ ${config.label}: \`${config.path}\` could not be read: ${config.error}\n`;
+  });
+  if (found.length === 0) {
+    text += `No MCP host config found. Looked in:\n${configs.map(config => `- \`${config.path}\``).join('\n')}\n`;
+    return text + `\n💡 Pass \`configPath\` to audit another file.`;
+  }
+  text += '\n';
+
+  AUDIT_SECTIONS.forEach(([type, icon, title]) => {
+    const flagged = servers.filter(finding => finding.issues.some(issue => issue.type === type));
+    if (flagged.length === 0) return;
+    text += `${icon} **${title} (${flagged.length})**\n`;
+    flagged.forEach(finding => {
+      const issue = finding.issues.find(candidate => candidate.type === type);
+      text += `- ${formatAuditEntry(finding, labels)}${type === 'not-in-registry' ? '' : `: ${issue.message}`}\n`;
+    });
+    text += '\n';
+  });
+
+  const ok = servers.filter(finding => finding.issues.length === 0);
+  if (ok.length > 0) {
+    text += `✅ **No issues (${ok.length}):** ${ok.map(finding => `\`${finding.name}\``).join(', ')}\n\n`;
+  }
+  if (summary.total === 0) {
+    text += 'No servers configured.\n\n';
+  }
+
+  text += `💡 Trust scores below ${payload.minTrust} are flagged. Use \`registry_get_server_details\` on a server ID for more, or \`registry_search_servers\` to find alternatives.`;
+  return text + renderFreshness(payload.freshness);
+}
+
+const COLLECTION_TITLES = {
+  created: '🆕 **Created collection',
+  updated: '✏️ **Updated collection',
+  deleted: '🗑️ **Deleted collection'
+};
+
+function renderCollection(payload) {
+  const { collection, action } = payload;
+
+  let text = `${COLLECTION_TITLES[action] || '📚 **Collection'} "${collection.name}"** (${collection.servers.length} server${collection.servers.length === 1 ? '' : 's'})\n\n`;
+  if (collection.notes) text += `📝 ${collection.notes}\n\n`;
+
+  collection.servers.forEach(entry => {
+    if (!entry.found) {
+      text += `- ❌ \`${entry.id}\`${entry.pinned ? ` @ ${entry.pinned}` : ''}: no longer in the registry\n`;
+      return;
+    }
+    let line = `- **${entry.name}** (\`${entry.id}\`)`;
+    if (entry.pinned) {
+      line += ` pinned to ${entry.pinned}`;
+      if (entry.latestVersion && entry.latestVersion !== entry.pinned) line += `, latest ${entry.latestVersion}`;
+    }
+    if (entry.archived) line += ' 🗄️ archived';
+    text += line + '\n';
+  });
+  if (collection.servers.length === 0) text += 'No servers yet.\n';
+
+  text += action === 'deleted'
+    ? `\n💾 Removed from \`${payload.path}\`.`
+    : `\n💡 Use \`registry_export_collection\` to turn it into a client config.`;
+  return text;
+}
+
+function renderCollections(payload) {
+  let text = `📚 **Collections** (${payload.collections.length})\n\n`;
+  if (payload.collections.length === 0) {
+    return text + `No collections yet. Create one with \`registry_create_collection\`.`;
+  }
+  payload.collections.forEach(collection => {
+    text += `**${collection.name}** (${collection.serverIds.length} server${collection.serverIds.length === 1 ? '' : 's'})`;
+    text += collection.notes ? ` — ${collection.notes}\n` : '\n';
+    if (collection.serverIds.length > 0) text += `   ${collection.serverIds.join(', ')}\n`;
+  });
+  text += `\n💾 Stored in \`${payload.path}\``;
+  return text;
+}
+
+function renderNotFound(payload) {
+  let text = `❌ Server "${payload.serverId}" not found${payload.source ? ` in ${payload.source}` : ' in the registry'}.`;
+  if (payload.suggestions?.length > 0) {
+    text += '\n\n💡 Did you mean:\n';
+    text += payload.suggestions
+      .map(suggestion => `- **${suggestion.id}**${suggestion.name && suggestion.name !== suggestion.id ? ` (${suggestion.name})` : ''}`)
+      .join('\n');
+  }
+  return text;
+}
+
+function renderError(payload) {
+  let text = `❌ Error (${payload.code}): ${payload.message}`;
+  Object.entries(payload.details?.suggestions || {})
+    .filter(([, ids]) => ids.length > 0)
+    .forEach(([serverId, ids]) => {
+      text += `\n💡 For "${serverId}", did you mean: ${ids.join(', ')}?`;
+    });
+  return text;
+}
+
+/**
+ * Markdown renderer for each payload kind
+ */
+const RENDERERS = {
+  search: renderSearch,
+  server: renderServerDetails,
+  readme: renderReadme,
+  comparison: renderComparison,
+  categories: renderCategories,
+  refresh: renderRefresh,
+  status: renderStatus,
+  snapshot: renderSnapshot,
+  whatsNew: renderWhatsNew,
+  clientConfig: renderClientConfig,
+  audit: renderAudit,
+  collection: renderCollection,
+  collections: renderCollections,
+  notFound: renderNotFound,
+  error: renderError
+};
+
+module.exports = {
+  RENDERERS,
+  renderServer,
+  renderInstall,
+  renderTrust,
+  renderFreshness,
+  renderSearch,
+  renderServerDetails,
+  renderReadme,
+  renderComparison,
+  renderCategories,
+  renderRefresh,
+  renderStatus,
+  renderSnapshot,
+  renderWhatsNew,
+  renderClientConfig,
+  renderAudit,
+  renderCollection,
+  renderCollections,
+  renderNotFound,
+  renderError,
+  formatStat,
+  formatEnvVar
+};
@@ -0,0 +1,82 @@
+/**
+ * Repository URL helpers
+ */
+
+/**
+ * Split a repository URL into host, owner, repo and an optional ref/path
+ *
+ * Understands browser URLs (`/tree/<ref>/<path>`), clone URLs
+ * (`git+https://...git`) and `github:owner/repo` shorthands.
+ *
+ * @param {string} url
+ * @returns {{host: string, owner: string, repo: string, ref: string|null, path: string|null}|null}
+ */
+function parseRepositoryUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  const shorthand = url.match(/^(github|gitlab):([^/\s]+)\/([^/\s#]+)$/);
+  if (shorthand) {
+    return {
+      host: `${shorthand[1]}.com`,
+      owner: shorthand[2],
+      repo: shorthand[3].replace(/\.git$/, ''),
+      ref: null,
+      path: null
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.replace(/^git\+/, '').replace(/^git:\/\//, 'https://').replace(/^ssh:\/\/git@/, 'https://'));
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.replace(/^www\./, '');
+  const parts = parsed.pathname.split('/').filter(Boolean);
+  if (parts.length < 2) return null;
+
+  const [owner, rawRepo, kind, ref, ...rest] = parts;
+  const isTree = (kind === 'tree' || kind === 'blob') && ref;
+
+  return {
+    host,
+    owner,
+    repo: rawRepo.replace(/\.git$/, ''),
+    ref: isTree ? ref : null,
+    path: isTree && rest.length > 0 ? rest.join('/') : null
+  };
+}
+
+/**
+ * Canonical `host/owner/repo` key used to compare repository URLs
+ */
+function repositoryKey(url) {
+  const parsed = parseRepositoryUrl(url);
+  if (!parsed) return null;
+  return `${parsed.host}/${parsed.owner}/${parsed.repo}`.toLowerCase();
+}
+
+/**
+ * Normalized repository URL including any subdirectory, so entries of a
+ * monorepo stay distinct while clone/browser URL variants compare equal
+ */
+function normalizeRepositoryUrl(url) {
+  const parsed = parseRepositoryUrl(url);
+  if (!parsed) return null;
+  const base = `${parsed.host}/${parsed.owner}/${parsed.repo}`;
+  return (parsed.path ? `${base}/${parsed.path.replace(/\/+$/, '')}` : base).toLowerCase();
+}
+
+/**
+ * Whether a parsed repository location is on the GitHub instance at
+ * `webUrl`: github.com, or a GitHub Enterprise host
+ *
+ * @param {object|null} location - From parseRepositoryUrl
+ * @param {string} [webUrl] - A GitHub client's `webUrl`
+ */
+function isOnGitHub(location, webUrl = 'https://github.com') {
+  return Boolean(location) && location.host === new URL(webUrl).hostname.replace(/^www\./, '');
+}
+
+module.exports = { parseRepositoryUrl, repositoryKey, normalizeRepositoryUrl, isOnGitHub };
@@ -0,0 +1,179 @@
+/**
+ * The registry as MCP resources
+ *
+ * - `registry://servers` lists every server
+ * - `registry://servers/{id}` is one server as JSON and markdown
+ * - `registry://categories` lists categories and tiers
+ *
+ * Each resource has a fingerprint, so after a refresh we can tell which
+ * URIs changed and notify subscribers about just those.
+ */
+
+const crypto = require('crypto');
+const { countCategories } = require('./classify.js');
+
+const SERVERS_URI = 'registry://servers';
+const CATEGORIES_URI = 'registry://categories';
+const SERVER_URI_TEMPLATE = 'registry://servers/{id}';
+
+function serverUri(id) {
+  return `${SERVERS_URI}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Server id from a `registry://servers/{id}` URI, or null
+ */
+function parseServerUri(uri) {
+  const prefix = `${SERVERS_URI}/`;
+  if (!uri.startsWith(prefix) || uri.length === prefix.length) return null;
+  try {
+    return decodeURIComponent(uri.slice(prefix.length));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Static resources and the per-server template, for resources/list and
+ * resources/templates/list
+ */
+function listResources() {
+  return [
+    {
+      uri: SERVERS_URI,
+      name: 'MCP servers',
+      description: 'Every server in the registry with its categories, tier and repository',
+      mimeType: 'application/json'
+    },
+    {
+      uri: CATEGORIES_URI,
+      name: 'MCP server categories',
+      description: 'Functional categories and tiers with server counts',
+      mimeType: 'application/json'
+    }
+  ];
+}
+
+function listResourceTemplates() {
+  return [
+    {
+      uriTemplate: SERVER_URI_TEMPLATE,
+      name: 'MCP server',
+      description: 'Full record of one server, as JSON and as markdown',
+      mimeType: 'application/json'
+    }
+  ];
+}
+
+/**
+ * One line per server in `registry://servers`
+ */
+function serverSummary(server) {
+  return {
+    id: server.id,
+    uri: serverUri(server.id),
+    name: server.name,
+    description: server.description,
+    categories: server.categories || [server.category],
+    tier: server.tier,
+    repository: server.repository ? server.repository.url : null,
+    packageName: server.packageName || null,
+    archived: Boolean(server.archived)
+  };
+}
+
+function json(uri, data) {
+  return { uri, mimeType: 'application/json', text: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Contents for resources/read
+ *
+ * @param {string} uri
+ * @param {Array<object>} servers
+ * @param {object} [options]
+ * @param {Function} [options.formatMarkdown] - `(server) => string` for the markdown view of a server
+ * @returns {Array<object>|null} Contents, or null for an unknown URI
+ */
+function readResource(uri, servers, options = {}) {
+  if (uri === SERVERS_URI) {
+    return [json(uri, { count: servers.length, servers: servers.map(serverSummary) })];
+  }
+  if (uri === CATEGORIES_URI) {
+    return [json(uri, countCategories(servers))];
+  }
+
+  const id = parseServerUri(uri);
+  const server = id && servers.find(candidate => candidate.id === id);
+  if (!server) return null;
+
+  const contents = [json(uri, server)];
+  if (options.formatMarkdown) {
+    contents.push({ uri, mimeType: 'text/markdown', text: options.formatMarkdown(server) });
+  }
+  return contents;
+}
+
+function hash(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Fingerprint of every resource URI
+ *
+ * Enrichment timestamps change on every refresh and are left out, so an
+ * unchanged server keeps its fingerprint.
+ *
+ * @returns {Map<string, string>} uri -> hash
+ */
+function resourceFingerprints(servers) {
+  const fingerprints = new Map();
+  const stable = servers.map(server => server.enrichment
+    ? { ...server, enrichment: { ...server.enrichment, enrichedAt: undefined } }
+    : server);
+
+  fingerprints.set(SERVERS_URI, hash(stable.map(serverSummary)));
+  fingerprints.set(CATEGORIES_URI, hash(countCategories(servers)));
+  stable.forEach(server => fingerprints.set(serverUri(server.id), hash(server)));
+  return fingerprints;
+}
+
+/**
+ * What changed between two fingerprint sets
+ *
+ * @returns {{listChanged: boolean, updated: Array<string>}} `listChanged` when
+ *   servers were added or removed; `updated` lists URIs whose content differs
+ */
+function diffResources(previous, next) {
+  const updated = [];
+  let listChanged = false;
+
+  next.forEach((fingerprint, uri) => {
+    if (!previous.has(uri)) {
+      listChanged = true;
+    } else if (previous.get(uri) !== fingerprint) {
+      updated.push(uri);
+    }
+  });
+  previous.forEach((fingerprint, uri) => {
+    if (!next.has(uri)) {
+      listChanged = true;
+      updated.push(uri);
+    }
+  });
+
+  return { listChanged, updated };
+}
+
+module.exports = {
+  SERVERS_URI,
+  CATEGORIES_URI,
+  SERVER_URI_TEMPLATE,
+  serverUri,
+  parseServerUri,
+  listResources,
+  listResourceTemplates,
+  readResource,
+  resourceFingerprints,
+  diffResources
+};
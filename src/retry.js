@@ -0,0 +1,83 @@
+/**
+ * Retry with exponential backoff and jitter
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BASE_DELAY = 500;
+const DEFAULT_MAX_DELAY = 30 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential, capped, and
+ * jittered into the upper half so parallel callers spread out
+ */
+function backoffDelay(attempt, baseDelay = DEFAULT_BASE_DELAY, maxDelay = DEFAULT_MAX_DELAY) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Call `fn` until it succeeds, `shouldRetry` says stop, or retries run out
+ *
+ * @param {Function} fn - `(attempt) => Promise`
+ * @param {object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt (default: 3)
+ * @param {number} [options.baseDelay] - First backoff in ms (default: 500)
+ * @param {number} [options.maxDelay] - Backoff cap in ms (default: 30000)
+ * @param {Function} [options.shouldRetry] - `(error) => false | true | delayMs`;
+ *   a number overrides the computed backoff (e.g. from Retry-After)
+ * @param {Function} [options.sleep] - Injectable for tests
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const shouldRetry = options.shouldRetry || (() => true);
+  const wait = options.sleep || sleep;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const decision = attempt < retries ? shouldRetry(error) : false;
+      if (decision === false) {
+        throw error;
+      }
+      const delay = typeof decision === 'number'
+        ? decision
+        : backoffDelay(attempt, options.baseDelay, options.maxDelay);
+      await wait(delay);
+    }
+  }
+}
+
+// Connection failures worth another attempt; DNS misses included, they are often momentary
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Whether the request never got a response: a socket error, or the
+ * TypeError fetch throws with one as its `cause`
+ */
+function isNetworkError(error) {
+  if (NETWORK_ERROR_CODES.has(error.code)) return true;
+  return error instanceof TypeError && NETWORK_ERROR_CODES.has(error.cause?.code);
+}
+
+/**
+ * Default retry policy for HTTP errors carrying `status`: 5xx and network
+ * failures. Anything else, such as a malformed body, fails the same way again.
+ */
+function isTransientError(error) {
+  return error.status === undefined ? isNetworkError(error) : error.status >= 500;
+}
+
+module.exports = { withRetry, backoffDelay, isTransientError, sleep };
@@ -0,0 +1,280 @@
+/**
+ * Ranked full-text search over server records
+ *
+ * An inverted index is built once per data refresh. Queries are scored
+ * with BM25 per field, weighted so name matches outrank tag matches,
+ * which outrank description matches. Query terms that are not in the
+ * vocabulary fall back to prefix and typo-tolerant (edit distance)
+ * matches at a discount.
+ */
+
+const crypto = require('crypto');
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  tags: 2,
+  section: 1,
+  description: 1
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const PREFIX_FACTOR = 0.6;
+const FUZZY_FACTORS = { 1: 0.7, 2: 0.4 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'mcp', 'of', 'on', 'or', 'server', 'servers', 'that', 'the', 'to',
+  'with', 'your'
+]);
+
+/**
+ * Light suffix stripping so "databases", "database" and "querying"/"query"
+ * meet in the index. Applied the same way to documents and queries.
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ch|sh|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into stemmed index terms
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+function fieldText(server, field) {
+  switch (field) {
+    case 'name':
+      return [server.name, server.displayName, server.packageName].filter(Boolean).join(' ');
+    case 'tags':
+      return [...(server.tags || []), ...(server.categories || [server.category]), server.tier].filter(Boolean).join(' ');
+    case 'section':
+      return server.section;
+    default:
+      return server[field];
+  }
+}
+
+/**
+ * Build the inverted index
+ *
+ * @param {Array<object>} servers
+ * @returns {object} Index for searchServers
+ */
+function buildSearchIndex(servers) {
+  const postings = new Map();
+  const lengths = servers.map(() => ({}));
+  const totals = {};
+
+  servers.forEach((server, docIndex) => {
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      const tokens = tokenize(fieldText(server, field));
+      lengths[docIndex][field] = tokens.length;
+      totals[field] = (totals[field] || 0) + tokens.length;
+
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Map());
+        const docs = postings.get(token);
+        if (!docs.has(docIndex)) docs.set(docIndex, {});
+        const counts = docs.get(docIndex);
+        counts[field] = (counts[field] || 0) + 1;
+      });
+    });
+  });
+
+  const averageLengths = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    averageLengths[field] = servers.length > 0 ? (totals[field] || 0) / servers.length : 0;
+  });
+
+  return { servers, postings, lengths, averageLengths, vocabulary: [...postings.keys()] };
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up past `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Index terms a query term should match, with a discount factor each
+ */
+function expandTerm(index, term) {
+  const matches = new Map();
+  if (index.postings.has(term)) {
+    matches.set(term, 1);
+  }
+
+  const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  index.vocabulary.forEach(candidate => {
+    if (candidate === term) return;
+    let factor = 0;
+    if (term.length >= 3 && candidate.startsWith(term)) {
+      factor = PREFIX_FACTOR;
+    }
+    if (maxDistance > 0) {
+      const distance = editDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        factor = Math.max(factor, FUZZY_FACTORS[distance]);
+      }
+    }
+    if (factor > 0) {
+      matches.set(candidate, Math.max(matches.get(candidate) || 0, factor));
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * BM25 contribution of one index term to one document, summed over fields
+ */
+function scoreTerm(index, term, docIndex, counts) {
+  const docCount = index.servers.length;
+  const documentFrequency = index.postings.get(term).size;
+  const idf = Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+  let score = 0;
+  Object.entries(counts).forEach(([field, tf]) => {
+    const length = index.lengths[docIndex][field];
+    const average = index.averageLengths[field] || 1;
+    const saturation = (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / average));
+    score += FIELD_WEIGHTS[field] * idf * saturation;
+  });
+  return score;
+}
+
+/**
+ * Score every document against a query
+ *
+ * @returns {Map<number, number>} docIndex -> score
+ */
+function scoreQuery(index, query) {
+  const scores = new Map();
+
+  [...new Set(tokenize(query))].forEach(queryTerm => {
+    // Each query term counts once per document, via its best matching index term
+    const best = new Map();
+    expandTerm(index, queryTerm).forEach((factor, term) => {
+      index.postings.get(term).forEach((counts, docIndex) => {
+        const score = factor * scoreTerm(index, term, docIndex, counts);
+        if (score > (best.get(docIndex) || 0)) best.set(docIndex, score);
+      });
+    });
+    best.forEach((score, docIndex) => {
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+    });
+  });
+
+  return scores;
+}
+
+/**
+ * Opaque cursor: the next offset plus a fingerprint of the query and filters,
+ * so a cursor cannot be replayed against a different search
+ */
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(cursor, fingerprint) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (error) {
+    data = null;
+  }
+  if (!data || !Number.isInteger(data.o) || data.o < 0) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, 'Invalid cursor', { argument: 'cursor' });
+  }
+  if (data.f !== fingerprint) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, 'Cursor does not belong to this query; repeat the search without it', { argument: 'cursor' });
+  }
+  return data.o;
+}
+
+function fingerprintOf(query, filters) {
+  return crypto.createHash('sha1').update(JSON.stringify([query || '', filters || {}])).digest('hex').slice(0, 12);
+}
+
+/**
+ * Search the index
+ *
+ * @param {object} index - From buildSearchIndex
+ * @param {object} options
+ * @param {string} [options.query] - Free text; without it every server matches in registry order
+ * @param {Function} [options.filter] - `(server) => boolean`, applied before paging
+ * @param {object} [options.filters] - Plain description of `filter`, folded into the cursor
+ * @param {number} [options.limit] - Page size (default: 20)
+ * @param {string} [options.cursor] - From a previous page's `nextCursor`
+ * @returns {{results: Array<{server: object, score: number|null}>, total: number, offset: number, nextCursor: string|null}}
+ */
+function searchServers(index, options = {}) {
+  const { query, filter } = options;
+  const limit = options.limit || 20;
+  const fingerprint = fingerprintOf(query, options.filters);
+  const offset = options.cursor ? decodeCursor(options.cursor, fingerprint) : 0;
+
+  let ranked;
+  if (query && tokenize(query).length > 0) {
+    ranked = [...scoreQuery(index, query).entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map(([docIndex, score]) => ({ server: index.servers[docIndex], score: Math.round(score * 100) / 100 }));
+  } else {
+    ranked = index.servers.map(server => ({ server, score: null }));
+  }
+
+  if (filter) {
+    ranked = ranked.filter(result => filter(result.server));
+  }
+
+  const results = ranked.slice(offset, offset + limit);
+  const nextOffset = offset + results.length;
+
+  return {
+    results,
+    total: ranked.length,
+    offset,
+    nextCursor: nextOffset < ranked.length ? encodeCursor(nextOffset, fingerprint) : null
+  };
+}
+
+module.exports = { buildSearchIndex, searchServers, tokenize, stem, editDistance };
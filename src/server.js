@@ -0,0 +1,241 @@
+/**
+ * MCP server over a registry
+ *
+ * Exposes the registry's tools, resources, prompts and completions over
+ * MCP, and tells clients which resources a refresh changed.
+ */
+
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  CompleteRequestSchema,
+} = require('@modelcontextprotocol/sdk/types.js');
+const {
+  SERVER_URI_TEMPLATE,
+  listResources,
+  listResourceTemplates,
+  readResource,
+  resourceFingerprints,
+  diffResources
+} = require('./resources.js');
+const { PROMPTS, getPrompt, completePromptArgument } = require('./prompts.js');
+const { toServerRecord, resolveFormat, toolResult } = require('./output.js');
+const { RENDERERS, renderServer, renderError } = require('./render.js');
+const { ERROR_CODES, toolError, errorPayload } = require('./errors.js');
+const { logger } = require('./logger.js');
+const { createRegistry } = require('./registry.js');
+const { loadConfig } = require('./config.js');
+
+/**
+ * The `category` enum of the search tool, to notice when it changes
+ */
+function categoryEnum(tools) {
+  return tools.find(tool => tool.name === 'registry_search_servers').inputSchema.properties.category.enum;
+}
+
+/**
+ * Create an MCP server for a registry
+ *
+ * @param {object} registry - From createRegistry
+ * @param {object} [options]
+ * @param {Array<string>} [options.tools] - Names of the only tools to list and run (default: all)
+ * @returns {Server} Not yet connected to a transport
+ */
+function createMcpServer(registry, options = {}) {
+  const allowed = options.tools ? new Set(options.tools) : null;
+  const listTools = () => registry.listTools().filter(tool => !allowed || allowed.has(tool.name));
+
+  const server = new Server(
+    {
+      name: 'mcp-registry-interface',
+      version: '0.1.0',
+    },
+    {
+      capabilities: {
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        prompts: {},
+      },
+    }
+  );
+
+  /**
+   * Resource fingerprints of the data clients last saw, and the URIs they
+   * subscribed to
+   */
+  let resourceState = resourceFingerprints(registry.currentServers() || []);
+  const resourceSubscriptions = new Set();
+
+  /**
+   * Tell clients which resources a refresh changed
+   */
+  async function notifyResourceChanges(servers) {
+    const next = resourceFingerprints(servers);
+    const { listChanged, updated } = diffResources(resourceState, next);
+    resourceState = next;
+    
+    try {
+      if (listChanged) {
+        await server.sendResourceListChanged();
+      }
+      for (const uri of updated.filter(uri => resourceSubscriptions.has(uri))) {
+        await server.sendResourceUpdated({ uri });
+      }
+    } catch (error) {
+      // No client connected yet
+      logger.debug('Could not send resource notifications', { error });
+    }
+  }
+
+  /**
+   * Category enum last listed to clients
+   */
+  let listedCategories = JSON.stringify(categoryEnum(listTools()));
+
+  /**
+   * Tell clients to list tools again when a refresh changed the categories
+   */
+  async function notifyToolChanges() {
+    const next = JSON.stringify(categoryEnum(listTools()));
+    if (next === listedCategories) return;
+    listedCategories = next;
+    try {
+      await server.sendToolListChanged();
+    } catch (error) {
+      logger.debug('Could not send tool notifications', { error });
+    }
+  }
+
+  // HTTP mode creates a server per session, so stop listening when the session ends
+  server.onclose = registry.onRefresh(async servers => {
+    await notifyResourceChanges(servers);
+    await notifyToolChanges();
+  });
+
+  // Tool handlers
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools: listTools() };
+  });
+
+  server.setRequestHandler(ListResourcesRequestSchema, async () => {
+    return { resources: listResources() };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates: listResourceTemplates() };
+  });
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    const servers = await registry.getServersData();
+    const contents = readResource(uri, servers, { formatMarkdown: server => renderServer(toServerRecord(server)) });
+    if (!contents) {
+      throw new Error(`Unknown resource: ${uri}`);
+    }
+    return { contents };
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceSubscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return { prompts: PROMPTS };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args } = request.params;
+    const servers = await registry.getServersData();
+    return getPrompt(name, args || {}, {
+      servers,
+      searchIndex: registry.getSearchIndex(servers),
+      findServer: registry.findServer,
+      formatServerMarkdown: server => renderServer(toServerRecord(server)),
+      getInstallInfo: registry.getInstallInfo,
+      getServerReadme: registry.getServerReadme
+    });
+  });
+
+  // Argument completions for prompts and for the registry://servers/{id} template
+  server.setRequestHandler(CompleteRequestSchema, async (request) => {
+    const { ref, argument } = request.params;
+    const servers = await registry.getServersData();
+    if (ref.type === 'ref/prompt') {
+      return { completion: completePromptArgument(ref.name, argument.name, argument.value, servers) };
+    }
+    if (ref.type === 'ref/resource' && ref.uri === SERVER_URI_TEMPLATE && argument.name === 'id') {
+      return { completion: completePromptArgument(null, 'serverId', argument.value, servers) };
+    }
+    return { completion: { values: [], total: 0, hasMore: false } };
+  });
+
+  // Handle tool calls
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name } = request.params;
+    // null is not an argument object; validation rejects anything else that isn't one
+    const args = request.params.arguments ?? {};
+
+    let format;
+    try {
+      format = resolveFormat(args.format);
+      if (allowed && !allowed.has(name)) {
+        throw toolError(ERROR_CODES.INVALID_ARGUMENT, `${name} is not available on this server`, { argument: 'name', allowed: [...allowed] });
+      }
+      const payload = await registry.runTool(name, args);
+      const isError = payload.kind === 'notFound' || (payload.kind === 'clientConfig' && !payload.config);
+      return toolResult(payload, RENDERERS[payload.kind], format, { isError });
+    } catch (error) {
+      return toolResult(errorPayload(error), renderError, format, { isError: true });
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Create an MCP server with its own registry
+ *
+ * The usual way to embed the server: connect the result to any MCP
+ * transport. Nothing is fetched until the first request.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Settings as environment variables (`MCP_REGISTRY_*`, `GITHUB_TOKEN`); default process.env
+ * @param {object} [options.config] - A loadConfig result, used instead of env
+ * @param {object} [options.registry] - An existing registry to share, e.g. with an HTTP server
+ * @returns {Server} Not yet connected to a transport
+ */
+function createRegistryServer(options = {}) {
+  const registry = options.registry || createRegistry(options.config || loadConfig(options.env));
+  return createMcpServer(registry);
+}
+
+/**
+ * Serve a registry over stdio until the client disconnects
+ */
+async function serveStdio(registry) {
+  const server = createMcpServer(registry);
+  await server.connect(new StdioServerTransport());
+
+  logger.info('mcp-registry-interface running on stdio', {
+    source: registry.sourceDescription,
+    githubToken: Boolean(registry.config.github.token)
+  });
+  return server;
+}
+
+module.exports = { createMcpServer, createRegistryServer, serveStdio };
@@ -0,0 +1,69 @@
+/**
+ * JSON snapshots of the normalized server list
+ *
+ * A snapshot is everything `getServersData` returns plus a small header,
+ * so it can be loaded back with no network access.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const SNAPSHOT_FORMAT = 'mcp-registry-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Wrap a server list in the snapshot envelope
+ */
+function createSnapshot(servers, meta = {}) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    source: meta.source || null,
+    count: servers.length,
+    servers
+  };
+}
+
+/**
+ * Validate a parsed snapshot and return its servers
+ */
+function parseSnapshot(data) {
+  const snapshot = typeof data === 'string' ? JSON.parse(data) : data;
+
+  // A bare array of server records is accepted too
+  if (Array.isArray(snapshot)) {
+    return snapshot;
+  }
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !Array.isArray(snapshot.servers)) {
+    throw new Error('Not an MCP registry snapshot (expected a "servers" array)');
+  }
+
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${snapshot.version} is newer than supported version ${SNAPSHOT_VERSION}`);
+  }
+
+  return snapshot.servers;
+}
+
+/**
+ * Write servers to a snapshot file, creating parent directories
+ *
+ * @returns {Promise<string>} Absolute path written
+ */
+async function writeSnapshot(filePath, servers, meta) {
+  const target = path.resolve(filePath);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify(createSnapshot(servers, meta), null, 2) + '\n', 'utf-8');
+  return target;
+}
+
+/**
+ * Read servers back from a snapshot file
+ */
+async function readSnapshot(filePath) {
+  return parseSnapshot(await fs.readFile(filePath, 'utf-8'));
+}
+
+module.exports = { createSnapshot, parseSnapshot, writeSnapshot, readSnapshot, SNAPSHOT_FORMAT };
@@ -0,0 +1,375 @@
+/**
+ * Registry data sources
+ *
+ * A source is `{ type, description, load(options) }` where `load` resolves
+ * to the normalized server list. Markdown sources pass `options.onWarning`
+ * to the parser so bullets that look like entries but do not parse can be
+ * reported. Which ones run is chosen by configuration; their
+ * results are merged by mergeServers. Each record lists the source types
+ * it was seen in under `sources`.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { parseREADMEContent, parseMarkdownList, DEFAULT_REPOSITORY_URL, DEFAULT_BRANCH } = require('./parser.js');
+const { parseSnapshot, readSnapshot } = require('./snapshot.js');
+const { createServerRecord, slugify } = require('./record.js');
+const { logger } = require('./logger.js');
+
+const USER_AGENT = 'mcp-registry-interface/0.1.0';
+const MAX_REGISTRY_PAGES = 50;
+
+async function fetchText(fetchImpl, url, label) {
+  const response = await fetchImpl(url, { headers: { 'User-Agent': USER_AGENT } });
+
+  if (!response.ok) {
+    const error = new Error(`${label} error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * README of a GitHub (or GitHub Enterprise) repository, read through the API
+ *
+ * @param {object} options
+ * @param {object} options.github - Client from createGitHubClient
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {string} [options.branch] - Defaults to the repository's default branch
+ * @param {string} [options.readmePath] - File to read instead of the default README
+ */
+function createGitHubReadmeSource(options) {
+  const { github, owner, repo, branch, readmePath } = options;
+  const file = readmePath ? `/${readmePath.replace(/^\/+/, '')}` : '';
+
+  return {
+    type: 'github',
+    description: `GitHub ${owner}/${repo}${file}${branch ? `@${branch}` : ''}`,
+    async load({ onWarning } = {}) {
+      const content = readmePath
+        ? await github.getFile(owner, repo, readmePath, branch)
+        : await github.getReadme(owner, repo, branch);
+
+      return parseREADMEContent(content, {
+        repositoryUrl: `${github.webUrl}/${owner}/${repo}`,
+        branch: branch || DEFAULT_BRANCH,
+        basePath: readmePath ? path.posix.dirname(readmePath) : '',
+        source: 'github',
+        onWarning
+      });
+    }
+  };
+}
+
+/**
+ * README.md on the local disk
+ */
+function createFileReadmeSource(options) {
+  const { path: filePath, repositoryUrl, branch } = options;
+
+  return {
+    type: 'file',
+    description: `Local README ${filePath}`,
+    async load({ onWarning } = {}) {
+      const content = await fs.readFile(filePath, 'utf-8');
+      return parseREADMEContent(content, {
+        repositoryUrl: repositoryUrl || DEFAULT_REPOSITORY_URL,
+        branch: branch || DEFAULT_BRANCH,
+        source: 'file',
+        onWarning
+      });
+    }
+  };
+}
+
+/**
+ * JSON snapshot previously written by registry_export_snapshot
+ */
+function createSnapshotSource(options) {
+  const { path: filePath } = options;
+
+  return {
+    type: 'snapshot',
+    description: `Local snapshot ${filePath}`,
+    load() {
+      return readSnapshot(filePath);
+    }
+  };
+}
+
+/**
+ * Any HTTP URL serving either README markdown or a JSON snapshot
+ */
+function createUrlSource(options) {
+  const { url, repositoryUrl, branch } = options;
+  const fetchImpl = options.fetch || fetch;
+
+  return {
+    type: 'url',
+    description: `URL ${url}`,
+    async load({ onWarning } = {}) {
+      const response = await fetchText(fetchImpl, url, 'Registry URL');
+      const body = await response.text();
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('json') || /^\s*[[{]/.test(body)) {
+        return parseSnapshot(body).map(server => (
+          server.sources?.length ? server : { ...server, sources: ['url'] }
+        ));
+      }
+
+      return parseREADMEContent(body, {
+        repositoryUrl: repositoryUrl || DEFAULT_REPOSITORY_URL,
+        branch: branch || DEFAULT_BRANCH,
+        source: 'url',
+        onWarning
+      });
+    }
+  };
+}
+
+/**
+ * Official MCP Registry HTTP API (`/v0/servers` listings)
+ *
+ * Accepts both the flat (`servers[].name`) and the wrapped
+ * (`servers[].server.name`) response shapes and follows cursors.
+ *
+ * @param {object} options
+ * @param {string} options.url - Registry root, e.g. https://registry.modelcontextprotocol.io
+ * @param {Function} [options.fetch]
+ */
+function createMcpRegistrySource(options) {
+  const baseUrl = options.url.replace(/\/+$/, '');
+  const fetchImpl = options.fetch || fetch;
+
+  return {
+    type: 'mcp-registry',
+    description: `MCP Registry ${baseUrl}`,
+    async load() {
+      const servers = [];
+      let cursor = null;
+
+      for (let page = 0; page < MAX_REGISTRY_PAGES; page++) {
+        const query = new URLSearchParams({ limit: '100' });
+        if (cursor) query.set('cursor', cursor);
+
+        const response = await fetchText(fetchImpl, `${baseUrl}/v0/servers?${query}`, 'MCP Registry');
+        const data = await response.json();
+
+        (data.servers || []).forEach(item => {
+          const record = registryEntryToRecord(item.server || item);
+          if (record) servers.push(record);
+        });
+
+        cursor = data.metadata?.next_cursor || data.metadata?.nextCursor || null;
+        if (!cursor) break;
+      }
+
+      return servers;
+    }
+  };
+}
+
+function registryEntryToRecord(entry) {
+  if (!entry || !entry.name) return null;
+
+  const npmPackage = (entry.packages || []).find(pkg => (
+    (pkg.registry_name || pkg.registryType || pkg.registry_type) === 'npm'
+  ));
+  // Registry names look like io.github.owner/server-name
+  const shortName = entry.name.split('/').pop();
+
+  return createServerRecord({
+    id: slugify(shortName),
+    name: shortName,
+    displayName: entry.title || shortName,
+    description: entry.description,
+    tier: 'community',
+    repository: entry.repository?.url ? { url: entry.repository.url.replace(/\.git$/, '') } : null,
+    packageName: npmPackage ? (npmPackage.name || npmPackage.identifier) : null,
+    version: entry.version || entry.version_detail?.version || null,
+    source: 'mcp-registry'
+  });
+}
+
+/**
+ * awesome-mcp-servers style markdown lists
+ *
+ * @param {object} options
+ * @param {Array<string>} options.urls - Raw markdown URLs
+ * @param {Function} [options.fetch]
+ */
+function createAwesomeListSource(options) {
+  const fetchImpl = options.fetch || fetch;
+
+  return {
+    type: 'awesome',
+    description: `Curated lists (${options.urls.length})`,
+    async load({ onWarning } = {}) {
+      const lists = await Promise.all(options.urls.map(async url => {
+        const response = await fetchText(fetchImpl, url, 'Curated list');
+        return parseMarkdownList(await response.text(), {
+          repositoryUrl: rawUrlToRepository(url),
+          source: 'awesome',
+          // Several lists share one source, so say which one the line is in
+          onWarning: onWarning && (warning => onWarning({ ...warning, url }))
+        });
+      }));
+      return lists.flat();
+    }
+  };
+}
+
+/**
+ * raw.githubusercontent.com/owner/repo/branch/... -> github.com/owner/repo,
+ * for resolving relative links in a list
+ */
+function rawUrlToRepository(url) {
+  const match = url.match(/^https:\/\/raw\.githubusercontent\.com\/([^/]+)\/([^/]+)\//);
+  return match ? `https://github.com/${match[1]}/${match[2]}` : undefined;
+}
+
+/**
+ * npm packages tagged with a keyword (default `mcp-server`)
+ *
+ * @param {object} options
+ * @param {object} options.npm - Client from createNpmClient
+ * @param {string} [options.keyword]
+ * @param {number} [options.limit] - Max packages to list
+ */
+function createNpmSearchSource(options) {
+  const { npm } = options;
+  const keyword = options.keyword || 'mcp-server';
+  const limit = options.limit || 250;
+
+  return {
+    type: 'npm',
+    description: `npm keywords:${keyword}`,
+    async load() {
+      const servers = [];
+      let from = 0;
+
+      while (servers.length < limit) {
+        const size = Math.min(250, limit - servers.length);
+        const data = await npm.search(`keywords:${keyword}`, { size, from });
+        const objects = data.objects || [];
+
+        objects.forEach(({ package: pkg }) => {
+          servers.push(createServerRecord({
+            id: slugify(pkg.name),
+            name: pkg.name,
+            description: pkg.description,
+            tier: 'community',
+            author: pkg.publisher?.username || pkg.author?.name || null,
+            repository: pkg.links?.repository ? { url: pkg.links.repository } : null,
+            packageName: pkg.name,
+            version: pkg.version,
+            topics: (pkg.keywords || []).filter(k => k !== keyword),
+            source: 'npm'
+          }));
+        });
+
+        from += objects.length;
+        if (objects.length < size || from >= (data.total || 0)) break;
+      }
+
+      return servers;
+    }
+  };
+}
+
+/**
+ * Build the configured source
+ *
+ * @param {object} sourceConfig - One entry of `config.sources` from loadConfig
+ * @param {object} deps
+ * @param {object} deps.github - Client used by the github source
+ * @param {object} deps.npm - Client used by the npm source
+ * @param {Function} [deps.fetch] - fetch used by the url, mcp-registry and awesome sources
+ */
+function createSource(sourceConfig, deps = {}) {
+  switch (sourceConfig.type) {
+    case 'github':
+      return createGitHubReadmeSource({ ...sourceConfig, github: deps.github });
+
+    case 'file':
+    case 'snapshot': {
+      if (!sourceConfig.path) {
+        throw new Error(`MCP_REGISTRY_SOURCE_PATH is required for the "${sourceConfig.type}" source`);
+      }
+      const factory = sourceConfig.type === 'file' ? createFileReadmeSource : createSnapshotSource;
+      return factory(sourceConfig);
+    }
+
+    case 'url':
+      if (!sourceConfig.url) {
+        throw new Error('MCP_REGISTRY_SOURCE_URL is required for the "url" source');
+      }
+      return createUrlSource({ ...sourceConfig, fetch: deps.fetch });
+
+    case 'mcp-registry':
+      return createMcpRegistrySource({ url: sourceConfig.registryUrl, fetch: deps.fetch });
+
+    case 'awesome':
+      return createAwesomeListSource({ urls: sourceConfig.awesomeUrls, fetch: deps.fetch });
+
+    case 'npm':
+      return createNpmSearchSource({ npm: deps.npm, keyword: sourceConfig.npmKeyword, limit: sourceConfig.npmLimit });
+
+    default:
+      throw new Error(`Unknown registry source: ${sourceConfig.type}`);
+  }
+}
+
+/**
+ * Load every source, tolerating individual failures
+ *
+ * @returns {Promise<{servers: Array<object>, results: Array<{type: string, description: string, count: number, error: string|null, warnings: Array<object>}>}>}
+ *   Servers from all successful sources, in source order, and for each
+ *   source the lines its parser could not read
+ * @throws The first source's error when every source fails, with the
+ *   per-source results as `sourceResults`
+ */
+async function loadSources(sources) {
+  const warnings = sources.map(() => []);
+  const settled = await Promise.allSettled(sources.map((source, i) => source.load({
+    onWarning: warning => warnings[i].push(warning)
+  })));
+  const servers = [];
+  const results = settled.map((outcome, i) => {
+    const { type, description } = sources[i];
+    if (outcome.status === 'fulfilled') {
+      servers.push(...outcome.value);
+      if (warnings[i].length > 0) {
+        logger.warn('Skipped lines that look like entries but do not parse', { source: description, count: warnings[i].length });
+        warnings[i].forEach(warning => logger.debug('Unparsed line', { source: description, ...warning }));
+      }
+      return { type, description, count: outcome.value.length, error: null, warnings: warnings[i] };
+    }
+    logger.warn('Failed to load source', { source: description, error: outcome.reason });
+    return { type, description, count: 0, error: outcome.reason.message, warnings: [] };
+  });
+
+  if (settled.every(outcome => outcome.status === 'rejected')) {
+    // Callers still want to know why each one failed
+    const error = settled[0].reason;
+    error.sourceResults = results;
+    throw error;
+  }
+
+  return { servers, results };
+}
+
+module.exports = {
+  createSource,
+  loadSources,
+  createMcpRegistrySource,
+  createAwesomeListSource,
+  createNpmSearchSource,
+  createGitHubReadmeSource,
+  createFileReadmeSource,
+  createSnapshotSource,
+  createUrlSource
+};
@@ -0,0 +1,241 @@
+/**
+ * MCP tool definitions
+ *
+ * Shared by the MCP server, which lists them, and the CLI, which runs the
+ * same tools by name. Each inputSchema is also what the registry validates
+ * arguments against.
+ */
+
+const { TIERS } = require('./classify.js');
+const { HOSTS } = require('./clientconfig.js');
+const { MIN_SERVERS: MIN_COMPARED, MAX_SERVERS: MAX_COMPARED } = require('./compare.js');
+const { DEFAULT_MIN_TRUST } = require('./audit.js');
+const { withFormatArgument } = require('./output.js');
+const { SOURCE_TYPES } = require('./config.js');
+
+const MAX_LIMIT = 100;
+
+const TOOLS = [
+  {
+    name: 'registry_search_servers',
+    description: 'Search for MCP servers from GitHub repositories and registries',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Search query (name, description, tags); ranked, typo-tolerant' },
+        category: { type: 'string', description: 'Filter by functional category, e.g. database, web, filesystem' },
+        tier: { type: 'string', enum: TIERS, description: 'Filter by tier: official, integration or community' },
+        source: { type: 'string', enum: SOURCE_TYPES, description: 'Filter by source: github, file, snapshot, url, mcp-registry, awesome, npm' },
+        minTrust: { type: 'number', minimum: 0, maximum: 100, description: 'Only servers with at least this trust score (0-100)' },
+        limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: `Results per page, 1-${MAX_LIMIT} (default: 20)`, default: 20 },
+        cursor: { type: 'string', description: 'Opaque cursor from a previous page to fetch the next one' }
+      }
+    },
+  },
+  {
+    name: 'registry_get_server_details',
+    description: 'Get detailed information about a specific MCP server',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'string', minLength: 1, description: 'Server ID or name' }
+      },
+      required: ['serverId']
+    },
+  },
+  {
+    name: 'registry_get_server_readme',
+    description: "Read a server's own README: its tools, required environment variables and sample configuration",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverId: { type: 'string', minLength: 1, description: 'Server ID or name' },
+        raw: { type: 'boolean', description: 'Also include the full README markdown (default: false)', default: false }
+      },
+      required: ['serverId']
+    },
+  },
+  {
+    name: 'registry_compare_servers',
+    description: 'Compare 2 to 6 servers side by side: tier, runtime, license, stars, last push, tools, required environment variables and install method, with the key differences',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverIds: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+          minItems: MIN_COMPARED,
+          maxItems: MAX_COMPARED,
+          description: 'Server IDs or names'
+        }
+      },
+      required: ['serverIds']
+    }
+  },
+  {
+    name: 'registry_list_categories',
+    description: 'List server categories from GitHub data',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'registry_refresh_data',
+    description: 'Refresh server data from GitHub (bypasses cache)',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'registry_status',
+    description: 'Diagnostics: cache age and location, last fetch, per-source counts, GitHub rate limit, parser warnings and enrichment coverage. Does not fetch.',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'registry_whats_new',
+    description: 'List servers added, removed, renamed or updated since a date or history snapshot',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'ISO 8601 date or snapshot ID, e.g. 2025-03-01 or 20250301-093000 (default: 7 days ago)' },
+        category: { type: 'string', description: 'Only show changes in this category' }
+      }
+    }
+  },
+  {
+    name: 'registry_export_snapshot',
+    description: 'Write the current server list to a JSON snapshot file for offline use',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', minLength: 1, description: 'File to write, e.g. ./mcp-registry-snapshot.json' }
+      },
+      required: ['path']
+    }
+  },
+  {
+    name: 'registry_generate_client_config',
+    description: 'Generate a ready-to-paste MCP client config for one or more servers, optionally merged into an existing config file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        serverIds: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, description: 'Server IDs or names' },
+        host: { type: 'string', enum: Object.keys(HOSTS), description: 'Target host (default: claude-desktop)', default: 'claude-desktop' },
+        configPath: { type: 'string', description: 'Existing config file to merge into; shows a diff preview' },
+        write: { type: 'boolean', description: 'Write the merged config to configPath (default: false, preview only)', default: false },
+        overwrite: { type: 'boolean', description: 'Replace existing entries with the same name (default: false)', default: false }
+      },
+      required: ['serverIds']
+    }
+  },
+  {
+    name: 'registry_list_collections',
+    description: 'List your saved server collections, or show one with its servers and pinned versions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection to show (default: list all)' }
+      }
+    }
+  },
+  {
+    name: 'registry_create_collection',
+    description: 'Save a named collection of servers, e.g. a standard set for a team role',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection name, e.g. "backend dev"' },
+        notes: { type: 'string', description: 'Free-form notes' },
+        serverIds: { type: 'array', items: { type: 'string' }, description: 'Server IDs, optionally pinned as id@version' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'registry_update_collection',
+    description: 'Rename a collection, replace its notes, or add, re-pin and remove servers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection to change' },
+        rename: { type: 'string', description: 'New name' },
+        notes: { type: 'string', description: 'Replaces the notes' },
+        add: { type: 'array', items: { type: 'string' }, description: 'Server IDs to add, optionally as id@version; re-adding a server changes its pin' },
+        remove: { type: 'array', items: { type: 'string' }, description: 'Server IDs to remove' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'registry_delete_collection',
+    description: 'Delete a saved collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection to delete' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'registry_export_collection',
+    description: 'Export a collection as one MCP client config with its pinned versions, optionally merged into an existing config file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection to export' },
+        host: { type: 'string', enum: Object.keys(HOSTS), description: 'Target host (default: claude-desktop)', default: 'claude-desktop' },
+        configPath: { type: 'string', description: 'Existing config file to merge into; shows a diff preview' },
+        write: { type: 'boolean', description: 'Write the merged config to configPath (default: false, preview only)', default: false },
+        overwrite: { type: 'boolean', description: 'Replace existing entries with the same name (default: false)', default: false }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'registry_audit_installed',
+    description: 'Audit the MCP servers configured on this machine (Claude Desktop, VS Code, Cursor) against the registry: flags servers that are not listed, archived, outdated or low on trust',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        configPath: { type: 'string', description: 'Config file to audit instead of the default host config locations' },
+        minTrust: { type: 'number', minimum: 0, maximum: 100, description: `Flag servers with a trust score below this (default: ${DEFAULT_MIN_TRUST})`, default: DEFAULT_MIN_TRUST }
+      }
+    }
+  }
+].map(withFormatArgument);
+
+/**
+ * Tool definitions with the valid `category` values as an enum
+ *
+ * Categories come from the data, so the MCP server lists tools through
+ * this rather than TOOLS.
+ *
+ * @param {Array<string>} categories - Category names
+ */
+function toolDefinitions(categories) {
+  return TOOLS.map(tool => {
+    const { category } = tool.inputSchema.properties;
+    if (!category) return tool;
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: { ...tool.inputSchema.properties, category: { ...category, enum: categories } }
+      }
+    };
+  });
+}
+
+/**
+ * Tools that neither read nor write files on the machine running the
+ * server, nor act on its own host configs; the only ones a remote client
+ * may call in HTTP mode
+ */
+const READ_ONLY_TOOLS = [
+  'registry_search_servers',
+  'registry_get_server_details',
+  'registry_get_server_readme',
+  'registry_compare_servers',
+  'registry_list_categories',
+  'registry_status',
+  'registry_whats_new'
+];
+
+module.exports = { TOOLS, READ_ONLY_TOOLS, toolDefinitions, MAX_LIMIT };
@@ -0,0 +1,167 @@
+/**
+ * Trust and maintenance health score
+ *
+ * Each factor earns up to its weight in points. Factors that could not be
+ * looked up (no GitHub token, not on GitHub, lookup failed) are left out
+ * rather than counted as zero, and the score is the share of the points
+ * available from the known factors, 0-100. `coverage` says how much of
+ * the full weight was known. Below MIN_COVERAGE there is no score or
+ * level: tier and archived status alone would put most unenriched servers
+ * in the top band.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LEVELS = [
+  { name: 'high', min: 75 },
+  { name: 'medium', min: 50 },
+  { name: 'low', min: 0 }
+];
+
+// Share of the total weight that must be known for a score
+const MIN_COVERAGE = 0.5;
+
+// Issue ratios on tiny repositories say little, so stars count as at least this
+const MIN_STARS_FOR_RATIO = 10;
+
+const FACTORS = [
+  {
+    name: 'tier',
+    weight: 20,
+    score(server) {
+      const points = { official: 20, integration: 15, community: 5 }[server.tier];
+      if (points === undefined) return null;
+      return { points, detail: `${server.tier} server` };
+    }
+  },
+  {
+    name: 'publisher',
+    weight: 15,
+    score(server) {
+      const publisher = server.publisher;
+      if (!publisher || !publisher.type) return null;
+      if (publisher.type === 'organization' && publisher.verified) {
+        return { points: 15, detail: `published by ${publisher.login}, a verified organization` };
+      }
+      if (publisher.type === 'organization') {
+        return { points: 8, detail: `published by the organization ${publisher.login}${publisher.verified === null ? '' : ' (not verified)'}` };
+      }
+      return { points: 3, detail: `published by the personal account ${publisher.login}` };
+    }
+  },
+  {
+    name: 'license',
+    weight: 10,
+    score(server) {
+      if (server.enrichment?.github !== 'ok') return null;
+      return server.license
+        ? { points: 10, detail: `${server.license} license` }
+        : { points: 0, detail: 'no license' };
+    }
+  },
+  {
+    name: 'archived',
+    weight: 15,
+    score(server) {
+      return server.archived
+        ? { points: 0, detail: 'archived, no longer maintained' }
+        : { points: 15, detail: 'not archived' };
+    }
+  },
+  {
+    name: 'recentActivity',
+    weight: 15,
+    score(server, now) {
+      if (!server.lastPush) return null;
+      const days = (now - Date.parse(server.lastPush)) / DAY;
+      // A date rather than an age, so the record only changes when the repository does
+      const detail = `last push ${server.lastPush.slice(0, 10)}`;
+      if (days <= 90) return { points: 15, detail };
+      if (days <= 365) return { points: 8, detail };
+      if (days <= 730) return { points: 3, detail };
+      return { points: 0, detail };
+    }
+  },
+  {
+    name: 'releaseCadence',
+    weight: 10,
+    score(server, now) {
+      const releases = server.releases;
+      if (!releases) return null;
+      if (releases.lastYear >= 4) return { points: 10, detail: `${releases.lastYear} releases in the last year` };
+      if (releases.lastYear >= 1) return { points: 6, detail: `${releases.lastYear} release${releases.lastYear === 1 ? '' : 's'} in the last year` };
+      if (releases.latest && now - Date.parse(releases.latest) <= 2 * 365 * DAY) {
+        return { points: 3, detail: `last release ${releases.latest.slice(0, 10)}` };
+      }
+      return { points: 0, detail: releases.latest ? `last release ${releases.latest.slice(0, 10)}` : 'no GitHub releases' };
+    }
+  },
+  {
+    name: 'openIssues',
+    weight: 5,
+    score(server) {
+      if (typeof server.openIssues !== 'number' || typeof server.stars !== 'number') return null;
+      const ratio = server.openIssues / Math.max(server.stars, MIN_STARS_FOR_RATIO);
+      const detail = `${server.openIssues} open issues for ${server.stars} stars`;
+      if (ratio <= 0.05) return { points: 5, detail };
+      if (ratio <= 0.2) return { points: 3, detail };
+      return { points: 0, detail };
+    }
+  },
+  {
+    name: 'repository',
+    weight: 10,
+    score(server) {
+      const status = server.enrichment?.github;
+      if (status === 'ok') return { points: 10, detail: 'repository resolves' };
+      if (status === 'not-found') return { points: 0, detail: 'repository URL does not resolve' };
+      return null;
+    }
+  }
+];
+
+const TOTAL_WEIGHT = FACTORS.reduce((sum, factor) => sum + factor.weight, 0);
+
+/**
+ * Trust score for a server record
+ *
+ * @param {object} server - Enriched server record
+ * @param {number} [now] - Reference time for recency factors
+ * @returns {{score: number|null, level: string|null, coverage: number, factors: Array<{name: string, points: number|null, max: number, detail: string}>}}
+ */
+function trustScore(server, now = Date.now()) {
+  let earned = 0;
+  let available = 0;
+
+  const factors = FACTORS.map(factor => {
+    const result = factor.score(server, now);
+    if (!result) {
+      return { name: factor.name, points: null, max: factor.weight, detail: 'unknown' };
+    }
+    earned += result.points;
+    available += factor.weight;
+    return { name: factor.name, points: result.points, max: factor.weight, detail: result.detail };
+  });
+
+  const coverage = Math.round((available / TOTAL_WEIGHT) * 100) / 100;
+  if (coverage < MIN_COVERAGE) {
+    return { score: null, level: null, coverage, factors };
+  }
+
+  const score = Math.round((earned / available) * 100);
+  return {
+    score,
+    level: LEVELS.find(level => score >= level.min).name,
+    coverage,
+    factors
+  };
+}
+
+/**
+ * Attach a `trust` score to each server
+ */
+function scoreServers(servers, now = Date.now()) {
+  return servers.map(server => ({ ...server, trust: trustScore(server, now) }));
+}
+
+module.exports = { trustScore, scoreServers, FACTORS, LEVELS, MIN_COVERAGE };
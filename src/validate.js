@@ -0,0 +1,91 @@
+/**
+ * Tool argument validation against each tool's inputSchema
+ *
+ * Covers the JSON Schema keywords the tool definitions use: type, enum,
+ * minimum/maximum, minLength, minItems/maxItems, items and required.
+ * Arguments the schema does not declare are rejected, so a misspelt
+ * option fails loudly instead of being ignored.
+ */
+
+const { ERROR_CODES, toolError } = require('./errors.js');
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+function invalid(argument, message, extra = {}) {
+  return toolError(ERROR_CODES.INVALID_ARGUMENT, `${argument} ${message}`, { argument, ...extra });
+}
+
+/**
+ * Check one value against its property schema
+ */
+function checkValue(name, schema, value) {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    throw invalid(name, `must be ${article} ${schema.type}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw invalid(name, `must be one of: ${schema.enum.join(', ')}`, { allowed: schema.enum });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    throw invalid(name, `must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    throw invalid(name, `must be at most ${schema.maximum}`);
+  }
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    throw invalid(name, 'must not be empty');
+  }
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    throw invalid(name, `must list at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    throw invalid(name, `must list at most ${schema.maxItems} items`);
+  }
+  if (schema.items) {
+    value.forEach((item, i) => checkValue(`${name}[${i}]`, schema.items, item));
+  }
+}
+
+/**
+ * Validate tool arguments
+ *
+ * @param {object} schema - The tool's inputSchema
+ * @param {object} [args] - Arguments as sent; missing means none
+ * @returns {object} The arguments, `{}` when none were sent
+ * @throws {Error} INVALID_ARGUMENT, with `details.argument` naming the culprit
+ */
+function validateArguments(schema, args) {
+  if (args === undefined || args === null) args = {};
+  if (!TYPE_CHECKS.object(args)) {
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT, 'Arguments must be an object', { argument: null });
+  }
+
+  const properties = schema.properties || {};
+  const unknown = Object.keys(args).filter(name => !properties[name]);
+  if (unknown.length > 0) {
+    const known = Object.keys(properties);
+    throw toolError(ERROR_CODES.INVALID_ARGUMENT,
+      `Unknown argument${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}` +
+        (known.length > 0 ? `. Expected: ${known.join(', ')}` : '. This tool takes no arguments'),
+      { argument: unknown[0], allowed: known });
+  }
+
+  (schema.required || []).forEach(name => {
+    if (args[name] === undefined) throw invalid(name, 'is required');
+  });
+  Object.entries(args).forEach(([name, value]) => {
+    // undefined is how optional arguments are left out from JavaScript
+    if (value !== undefined) checkValue(name, properties[name], value);
+  });
+
+  return args;
+}
+
+module.exports = { validateArguments };
@@ -1,7 +1,35 @@
 #!/usr/bin/env node
 
 const { spawn } = require('child_process');
-const { readFileSync } = require('fs');
+const assert = require('assert');
+const fs = require('fs');
+const { readFileSync } = fs;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Local stand-in for GitHub and npm so tests never touch the network
+function startFakeServer(routes) {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      const route = routes[req.url.split('?')[0]];
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end('{"message":"Not Found"}');
+        return;
+      }
+      const { status = 200, body = {}, headers = {} } = typeof route === 'function' ? route(req) : route;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
 
 // Simple MCP client test
 async function testMCPTools() {
@@ -11,83 +39,1515 @@ async function testMCPTools() {
   console.log('1️⃣  Testing README parsing logic...');
   
   const sampleREADME = `
-# Model Context Protocol Servers
+# Model Context Protocol servers
+
+## 🌟 Reference Servers
+
+- **[Everything](src/everything)** - Reference / test server with prompts, resources, and tools
+- **[Filesystem](src/filesystem)** - Secure file operations with configurable access controls
+- **[Git](src/git)** - Tools to read, search, and manipulate Git repositories
+
+### Archived
+
+- **[PostgreSQL](https://github.com/modelcontextprotocol/servers-archived/tree/main/src/postgres)** - Read-only database access with schema inspection
+
+## 🤝 Third-Party Servers
 
-## Reference Servers
+### 🎖️ Official Integrations
 
-- **Filesystem** - Secure file operations with configurable access controls
-- **Git** - Tools to read, search, and manipulate Git repositories  
-- **Memory** - Knowledge graph-based persistent memory system
-- **Web Search** - Search the web and fetch web page contents
+- <img height="12" width="12" src="https://www.21st.dev/favicon.ico" alt="21st.dev Logo" /> **[21st.dev Magic](https://github.com/21st-dev/magic-mcp)** - Create crafted UI components inspired by the best 21st.dev design engineers.
 
-## Community Servers
+### 🌎 Community Servers
 
-- **Database Connector** - Connect to various SQL and NoSQL databases
-- **Email Client** - Send and receive emails through various providers
-- **Slack Bot** - Interact with Slack workspaces and channels
+> **Note:** Community servers are **untested** and should be used at **your own risk**.
+
+- **[Slack Bot](https://github.com/example/slack-mcp/)** - Interact with **Slack** workspaces via the [Web API](https://api.slack.com)
+- [Email Client](https://gitlab.com/someone/email-mcp) – Send and receive emails
+
+## 📚 Frameworks
+
+### For servers
+
+- **[FastMCP](https://github.com/punkpeye/fastmcp)** (TypeScript)
+
+## 🚀 Getting Started
+
+- **[Docs](https://modelcontextprotocol.io)** - Not a server
 `;
 
-  // Load the main file and extract the parsing function
-  const mainCode = readFileSync('./src/index.js', 'utf8');
-  
-  // Extract and test the parsing function
-  const parseFunction = mainCode.match(/function parseREADMEContent\(content\) \{[\s\S]*?\n\}/)[0];
-  
-  console.log('✅ Found parseREADMEContent function');
-  console.log('📊 Function length:', parseFunction.length, 'characters');
-  
+  const { parseREADMEContent } = require('./src/parser.js');
+  const servers = parseREADMEContent(sampleREADME, { source: 'github' });
+  const byId = Object.fromEntries(servers.map(s => [s.id, s]));
+
+  assert.strictEqual(servers.length, 8, 'parses every entry in known sections only');
+  assert.strictEqual(byId['mcp-filesystem'].repository.url,
+    'https://github.com/modelcontextprotocol/servers/tree/main/src/filesystem');
+  assert.strictEqual(byId['mcp-filesystem'].section, 'Reference Servers');
+  assert.strictEqual(byId['mcp-postgresql'].archived, true);
+  assert.strictEqual(byId['mcp-postgresql'].section, 'Archived');
+  assert.strictEqual(byId['21st-dev-magic'].tier, 'integration');
+  assert.strictEqual(byId['21st-dev-magic'].author, '21st-dev');
+  assert.strictEqual(byId['slack-bot'].repository.url, 'https://github.com/example/slack-mcp');
+  assert.strictEqual(byId['slack-bot'].description, 'Interact with Slack workspaces via the Web API');
+  assert.strictEqual(byId['email-client'].repository.type, 'gitlab');
+  assert.strictEqual(byId['email-client'].description, 'Send and receive emails');
+  assert.strictEqual(byId['fastmcp'].section, 'Frameworks');
+  assert.ok(!byId['docs'], 'ignores bullets outside registry sections');
+  const [anchored] = parseREADMEContent('## Community Servers\n\n- **[Notion](https://github.com/makenotion/notion-mcp-server/#readme)** - Notion API\n');
+  assert.strictEqual(anchored.repository.url, 'https://github.com/makenotion/notion-mcp-server', 'link fragments are dropped');
+  console.log(`✅ Parsed ${servers.length} entries with real repository URLs and sections`);
+
+  // Everything below goes through the public library entry point
+  const library = require('./src/index.js');
+
   console.log('\n2️⃣  Testing error handling...');
-  
-  // Test what happens when GitHub API is unavailable
+
+  const fileRegistry = file => library.createRegistry(library.loadConfig({
+    MCP_REGISTRY_SOURCE: 'file',
+    MCP_REGISTRY_SOURCE_PATH: file,
+    MCP_REGISTRY_ENRICH: 'false',
+    MCP_REGISTRY_CACHE: 'false'
+  }));
+  const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-empty-'));
+  try {
+    fs.writeFileSync(path.join(emptyDir, 'README.md'), '# Nothing listed yet\n');
+    await assert.rejects(fileRegistry(path.join(emptyDir, 'missing.md')).runTool('registry_search_servers', {}),
+      error => error.code === 'UPSTREAM_UNAVAILABLE' && error.cause.code === 'ENOENT');
+    await assert.rejects(fileRegistry(path.join(emptyDir, 'README.md')).runTool('registry_search_servers', {}),
+      /Unable to fetch MCP servers from Local README/, 'an empty list is an error, not mock data');
+  } finally {
+    fs.rmSync(emptyDir, { recursive: true, force: true });
+  }
   console.log('✅ Code properly throws errors instead of using mock data');
-  console.log('✅ No mock data fallback found in source');
-  
+
   console.log('\n3️⃣  Testing tool definitions...');
-  
-  // Check tool definitions
-  const toolDefinitions = [
+
+  const toolNames = library.TOOLS.map(tool => tool.name);
+  [
     'registry_search_servers',
-    'registry_get_server_details', 
+    'registry_get_server_details',
     'registry_list_categories',
-    'registry_refresh_data'
+    'registry_refresh_data',
+    'registry_export_snapshot'
+  ].forEach(tool => {
+    assert.ok(toolNames.includes(tool), `${tool} is defined`);
+    console.log(`✅ ${tool} - defined`);
+  });
+
+  console.log('\n4️⃣  Testing GitHub API integration...');
+
+  const gheConfig = library.loadConfig({ MCP_REGISTRY_GITHUB_API_URL: 'https://ghe.example.com/api/v3', GITHUB_TOKEN: 'secret' });
+  assert.strictEqual(gheConfig.github.apiUrl, 'https://ghe.example.com/api/v3');
+  assert.strictEqual(gheConfig.github.token, 'secret');
+  console.log('✅ GitHub API base URL and token configurable');
+
+  console.log('\n5️⃣  Testing the library entry point...');
+
+  // Importing must not start a server or read stdin
+  const imported = await new Promise(resolve => {
+    const child = spawn(process.execPath, ['-e', "const lib = require('./src/index.js'); console.log(typeof lib.createRegistryServer)"], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 10000);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+  assert.deepStrictEqual(imported, { code: 0, output: 'function\n' }, 'require() exits on its own');
+  const embedded = library.createRegistryServer({ env: { MCP_REGISTRY_SOURCE: 'file', MCP_REGISTRY_SOURCE_PATH: 'README.md' } });
+  assert.strictEqual(typeof embedded.connect, 'function', 'returns an MCP server ready for any transport');
+  console.log('✅ Importable without side effects; createRegistryServer builds an unconnected server');
+
+  console.log('\n6️⃣  Testing metadata enrichment...');
+
+  const { createGitHubClient } = require('./src/github.js');
+  const { createNpmClient } = require('./src/npm.js');
+  const { enrichServers } = require('./src/enrich.js');
+
+  let repoRequests = 0;
+  const fake = await startFakeServer({
+    '/repos/modelcontextprotocol/servers': () => {
+      repoRequests++;
+      return { body: { stargazers_count: 42000, pushed_at: '2025-05-01T10:00:00Z', license: { spdx_id: 'MIT' }, archived: false, open_issues_count: 300, owner: { login: 'modelcontextprotocol', type: 'Organization' } } };
+    },
+    '/repos/modelcontextprotocol/servers/releases': { body: [
+      { published_at: new Date(Date.now() - 10 * 86400000).toISOString() },
+      { published_at: new Date(Date.now() - 100 * 86400000).toISOString(), draft: true },
+      { published_at: '2020-01-01T00:00:00Z' }
+    ] },
+    '/orgs/modelcontextprotocol': { body: { login: 'modelcontextprotocol', is_verified: true } },
+    '/repos/example/slack-mcp': { body: { stargazers_count: 12, pushed_at: '2024-01-02T00:00:00Z', license: null, archived: true, open_issues_count: 3 } },
+    '/@modelcontextprotocol/server-filesystem/latest': { body: { version: '2025.3.28', repository: { url: 'git+https://github.com/modelcontextprotocol/servers.git' } } },
+    '/downloads/point/last-week/@modelcontextprotocol/server-filesystem': { body: { downloads: 98765 } },
+    // Same name as the repo but published from somewhere else: must not be attributed
+    '/slack-mcp/latest': { body: { version: '9.9.9', repository: 'github:someone-else/slack-mcp' } }
+  });
+
+  try {
+    const enriched = await enrichServers(servers, {
+      github: createGitHubClient({ baseUrl: fake.url, token: 'test-token' }),
+      npm: createNpmClient({ registryUrl: fake.url, downloadsUrl: fake.url }),
+      concurrency: 3
+    });
+    const enrichedById = Object.fromEntries(enriched.map(s => [s.id, s]));
+
+    assert.strictEqual(enriched.length, servers.length);
+    assert.strictEqual(enrichedById['mcp-filesystem'].stars, 42000);
+    assert.strictEqual(enrichedById['mcp-filesystem'].license, 'MIT');
+    assert.strictEqual(enrichedById['mcp-filesystem'].version, '2025.3.28');
+    assert.strictEqual(enrichedById['mcp-filesystem'].downloads, 98765);
+    assert.strictEqual(enrichedById['mcp-git'].downloads, null, 'unpublished packages stay unknown');
+    assert.strictEqual(enrichedById['slack-bot'].archived, true);
+    assert.strictEqual(enrichedById['slack-bot'].version, null, 'rejects npm packages from other repositories');
+    assert.strictEqual(enrichedById['fastmcp'].stars, null);
+    assert.strictEqual(enrichedById['fastmcp'].enrichment.github, 'not-found', 'repository URL does not resolve');
+    assert.deepStrictEqual(enrichedById['mcp-filesystem'].publisher, { login: 'modelcontextprotocol', type: 'organization', verified: true });
+    assert.strictEqual(enrichedById['mcp-filesystem'].releases.lastYear, 1, 'drafts and old releases do not count');
+    assert.strictEqual(enrichedById['slack-bot'].releases, null, 'failed release lookups stay unknown');
+    assert.strictEqual(enrichedById['email-client'].enrichment.github, 'not-applicable');
+    assert.strictEqual(repoRequests, 1, 'monorepo entries share one repository lookup');
+    assert.ok(!readFileSync('./src/parser.js', 'utf8').includes('Math.random'), 'no random stats');
+    console.log('✅ Real stars, licenses, versions and downloads; unknown stays null');
+  } finally {
+    await fake.close();
+  }
+
+  const budgetRequests = [];
+  const budgetReset = String(Math.floor(Date.now() / 1000) + 3600);
+  const budgetFake = await startFakeServer({
+    '/repos/acme/first': req => {
+      budgetRequests.push(req.url);
+      return { body: { stargazers_count: 7, owner: { login: 'acme', type: 'User' } }, headers: { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '5', 'x-ratelimit-reset': budgetReset } };
+    },
+    '/repos/acme/second': req => {
+      budgetRequests.push(req.url);
+      return { body: { stargazers_count: 9 } };
+    }
+  });
+  try {
+    const budgeted = await enrichServers([
+      { id: 'first', name: 'first', repository: { url: 'https://github.com/acme/first' } },
+      { id: 'second', name: 'second', repository: { url: 'https://github.com/acme/second' } }
+    ], { github: createGitHubClient({ baseUrl: budgetFake.url }), concurrency: 1, rateLimitReserve: 5 });
+    assert.strictEqual(budgeted[0].stars, 7);
+    assert.strictEqual(budgeted[0].releases, null, 'lookups stop at the reserve, even for the same repository');
+    assert.strictEqual(budgeted[1].enrichment.github, 'unavailable');
+    assert.deepStrictEqual(budgetRequests, ['/repos/acme/first'], 'the reserve is left for the next index fetch');
+  } finally {
+    await budgetFake.close();
+  }
+  console.log('✅ Enrichment stops before spending the rate-limit reserve');
+
+  console.log('\n7️⃣  Testing registry data sources...');
+
+  const { loadConfig } = require('./src/config.js');
+  const { createSource } = require('./src/sources.js');
+  const { writeSnapshot } = require('./src/snapshot.js');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-test-'));
+  try {
+    const readmePath = path.join(tmpDir, 'README.md');
+    fs.writeFileSync(readmePath, sampleREADME);
+
+    const fileSource = createSource(loadConfig({ MCP_REGISTRY_SOURCE: 'file', MCP_REGISTRY_SOURCE_PATH: readmePath }).sources[0]);
+    const fromFile = await fileSource.load();
+    assert.strictEqual(fromFile.length, servers.length);
+    console.log('✅ Local README source');
+
+    const snapshotPath = await writeSnapshot(path.join(tmpDir, 'nested', 'snapshot.json'), fromFile, { source: fileSource.description });
+    const snapshotSource = createSource(loadConfig({ MCP_REGISTRY_SOURCE: 'snapshot', MCP_REGISTRY_SOURCE_PATH: snapshotPath }).sources[0]);
+    assert.deepStrictEqual(await snapshotSource.load(), fromFile);
+    console.log('✅ Snapshot export and reload round-trips');
+
+    let requestedPath = null;
+    const fakeGitHub = await startFakeServer({
+      '/api/v3/repos/acme/mcp-list/contents/docs/SERVERS.md': req => {
+        requestedPath = req.url;
+        return { body: { content: Buffer.from('## Community Servers\n- **[Local](../servers/local)** - Relative link\n').toString('base64') } };
+      },
+      '/api/v3/repos/acme/mcp-list': { body: { stargazers_count: 31, license: { spdx_id: 'MIT' }, archived: false, owner: { login: 'acme', type: 'User' } } },
+      '/api/v3/repos/acme/mcp-list/contents/servers/local/README.md': { body: { content: Buffer.from('# Local\n\nSet `LOCAL_TOKEN` (required).\n').toString('base64') } },
+      '/api/v3/repos/acme/mcp-list/contents/servers/local/package.json': { body: { content: Buffer.from(JSON.stringify({ name: '@acme/local-mcp' })).toString('base64') } },
+      '/snapshot.json': { body: { format: 'mcp-registry-snapshot', version: 1, servers: fromFile.slice(0, 2) } },
+      '/README.md': { body: sampleREADME, headers: { 'Content-Type': 'text/markdown' } }
+    });
+    try {
+      const { createGitHubClient } = require('./src/github.js');
+      const enterpriseConfig = loadConfig({
+        MCP_REGISTRY_GITHUB_API_URL: `${fakeGitHub.url}/api/v3`,
+        MCP_REGISTRY_GITHUB_OWNER: 'acme',
+        MCP_REGISTRY_GITHUB_REPO: 'mcp-list',
+        MCP_REGISTRY_GITHUB_BRANCH: 'stable',
+        MCP_REGISTRY_GITHUB_PATH: 'docs/SERVERS.md'
+      });
+      const enterpriseSource = createSource(enterpriseConfig.sources[0], {
+        github: createGitHubClient({ baseUrl: enterpriseConfig.github.apiUrl })
+      });
+      const [local] = await enterpriseSource.load();
+      assert.strictEqual(requestedPath, '/api/v3/repos/acme/mcp-list/contents/docs/SERVERS.md?ref=stable');
+      assert.strictEqual(local.repository.url, `${fakeGitHub.url}/acme/mcp-list/tree/stable/servers/local`);
+      console.log('✅ GitHub source honours owner, repo, branch and path');
+
+      const { fetchServerReadme } = require('./src/readme.js');
+      const { detectInstall } = require('./src/install.js');
+      const enterpriseGitHub = createGitHubClient({ baseUrl: enterpriseConfig.github.apiUrl });
+      const onGitHubDotCom = { id: 'elsewhere', name: 'elsewhere', repository: { url: 'https://github.com/acme/mcp-list' } };
+      const [enterpriseEnriched, dotComEnriched] = await enrichServers([local, onGitHubDotCom], { github: enterpriseGitHub });
+      assert.strictEqual(enterpriseEnriched.stars, 31, 'repositories on the Enterprise host are enriched');
+      assert.strictEqual(dotComEnriched.enrichment.github, 'not-applicable', 'github.com is a different host');
+      assert.match(await fetchServerReadme(local, enterpriseGitHub), /LOCAL_TOKEN/);
+      assert.strictEqual(await fetchServerReadme(onGitHubDotCom, enterpriseGitHub), null);
+      assert.strictEqual((await detectInstall(local, { github: enterpriseGitHub })).packageName, '@acme/local-mcp');
+      console.log('✅ Enrichment, READMEs and install detection on GitHub Enterprise');
+
+      const jsonUrl = createSource({ type: 'url', url: `${fakeGitHub.url}/snapshot.json` });
+      assert.strictEqual((await jsonUrl.load()).length, 2);
+      const markdownUrl = createSource({ type: 'url', url: `${fakeGitHub.url}/README.md` });
+      assert.strictEqual((await markdownUrl.load()).length, servers.length);
+      console.log('✅ HTTP URL source reads snapshots and markdown');
+    } finally {
+      await fakeGitHub.close();
+    }
+
+    assert.throws(() => loadConfig({ MCP_REGISTRY_SOURCE: 'ftp' }), /Unknown MCP_REGISTRY_SOURCE/);
+    assert.throws(() => createSource({ type: 'snapshot' }), /MCP_REGISTRY_SOURCE_PATH is required/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  console.log('\n8️⃣  Testing federated sources and de-duplication...');
+
+  const { loadSources } = require('./src/sources.js');
+  const { mergeServers } = require('./src/merge.js');
+
+  const fakeRegistries = await startFakeServer({
+    '/v0/servers': req => {
+      const cursor = new URL(req.url, 'http://localhost').searchParams.get('cursor');
+      if (!cursor) {
+        return { body: {
+          servers: [{ name: 'io.github.example/slack-mcp', description: 'Slack from the registry', repository: { url: 'https://github.com/example/slack-mcp.git', source: 'github' }, version_detail: { version: '1.2.0' } }],
+          metadata: { next_cursor: 'page-2' }
+        } };
+      }
+      return { body: {
+        servers: [{ server: { name: 'io.github.acme/weather', description: 'Forecasts', repository: { url: 'https://github.com/acme/weather' }, version: '0.3.0', packages: [{ registryType: 'npm', identifier: '@acme/weather-mcp' }] } }],
+        metadata: {}
+      } };
+    },
+    '/awesome.md': {
+      headers: { 'Content-Type': 'text/markdown' },
+      body: [
+        '## Contents', '- [Communication](#communication)',
+        '### 💬 Communication',
+        '- [example/slack-mcp](https://github.com/Example/slack-mcp) 📇 ☁️ - Slack workspace access',
+        '- [other/chat](https://github.com/other/chat) 🐍 🏠 - Local chat history'
+      ].join('\n')
+    },
+    '/-/v1/search': { body: {
+      total: 2,
+      objects: [
+        { package: { name: '@acme/weather-mcp', version: '0.3.1', description: 'Weather', keywords: ['mcp-server', 'weather'], links: { repository: 'https://github.com/acme/weather' } } },
+        { package: { name: 'mcp-notes', version: '2.0.0', description: 'Notes', keywords: ['mcp-server'], links: {} } }
+      ]
+    } }
+  });
+
+  try {
+    const federatedConfig = loadConfig({
+      MCP_REGISTRY_SOURCE: 'file,mcp-registry,awesome,npm',
+      MCP_REGISTRY_SOURCE_PATH: path.join(__dirname, 'missing-readme.md'),
+      MCP_REGISTRY_API_URL: fakeRegistries.url,
+      MCP_REGISTRY_AWESOME_URLS: `${fakeRegistries.url}/awesome.md`,
+      MCP_REGISTRY_NPM_URL: fakeRegistries.url
+    });
+    const federatedSources = federatedConfig.sources.map(sourceConfig => createSource(sourceConfig, {
+      npm: createNpmClient(federatedConfig.npm)
+    }));
+
+    const { servers: loaded, results } = await loadSources(federatedSources);
+    assert.strictEqual(results[0].error !== null, true, 'a failing source is reported, not fatal');
+    assert.deepStrictEqual(results.slice(1).map(r => r.count), [2, 2, 2]);
+
+    const federated = mergeServers([...servers, ...loaded]);
+    const slack = federated.find(s => s.repository?.url.toLowerCase().includes('example/slack-mcp'));
+    assert.deepStrictEqual(slack.sources, ['github', 'mcp-registry', 'awesome']);
+    assert.strictEqual(slack.description, 'Interact with Slack workspaces via the Web API', 'first source wins');
+    assert.strictEqual(slack.version, '1.2.0', 'later sources fill gaps');
+
+    const weather = federated.filter(s => s.repository?.url === 'https://github.com/acme/weather');
+    assert.strictEqual(weather.length, 1);
+    assert.deepStrictEqual(weather[0].sources, ['mcp-registry', 'npm']);
+    assert.ok(federated.find(s => s.packageName === 'mcp-notes'));
+    assert.strictEqual(new Set(federated.map(s => s.id)).size, federated.length, 'ids stay unique');
+
+    // Different packages from one repository are not collapsed
+    const monorepo = mergeServers([
+      { id: 'a', name: 'a', packageName: 'pkg-a', repository: { url: 'https://github.com/org/mono' }, sources: ['npm'] },
+      { id: 'b', name: 'b', packageName: 'pkg-b', repository: { url: 'https://github.com/org/mono' }, sources: ['npm'] }
+    ]);
+    assert.strictEqual(monorepo.length, 2);
+
+    const clashing = mergeServers(['foo', 'foo', 'foo-2'].map((id, i) => ({
+      id, name: id, repository: { url: `https://github.com/org/clash-${i}` }, sources: ['npm']
+    })));
+    assert.deepStrictEqual(clashing.map(s => s.id), ['foo', 'foo-3', 'foo-2'], 'suffixes skip ids taken later in the list');
+    console.log(`✅ ${loaded.length + servers.length} entries merged into ${federated.length} servers with sources`);
+  } finally {
+    await fakeRegistries.close();
+  }
+
+  console.log('\n9️⃣  Testing persistent cache and conditional requests...');
+
+  const { createDiskCache, createConditionalFetch, resolveCacheDir, formatAge } = require('./src/cache.js');
+
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-cache-'));
+  let conditionalHits = 0;
+  const fakeEtag = await startFakeServer({
+    '/repos/modelcontextprotocol/servers/readme': req => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        conditionalHits++;
+        return { status: 304, body: '' };
+      }
+      return { headers: { ETag: '"v1"' }, body: { content: Buffer.from(sampleREADME).toString('base64') } };
+    }
+  });
+
+  try {
+    const firstCache = createDiskCache({ dir: cacheDir });
+    const firstClient = createGitHubClient({ baseUrl: fakeEtag.url, fetch: createConditionalFetch(firstCache.httpStore) });
+    assert.strictEqual(await firstClient.getReadme('modelcontextprotocol', 'servers'), sampleREADME);
+    firstCache.writeServers('GitHub modelcontextprotocol/servers', servers, '2025-01-01T00:00:00.000Z');
+    firstCache.saveHttpCache();
+
+    // A new session starts from the files on disk
+    const secondCache = createDiskCache({ dir: cacheDir });
+    const secondClient = createGitHubClient({ baseUrl: fakeEtag.url, fetch: createConditionalFetch(secondCache.httpStore) });
+    assert.strictEqual(await secondClient.getReadme('modelcontextprotocol', 'servers'), sampleREADME);
+    assert.strictEqual(conditionalHits, 1, '304 answered from the stored body');
+
+    const saved = secondCache.readServers('GitHub modelcontextprotocol/servers');
+    assert.strictEqual(saved.servers.length, servers.length);
+    assert.strictEqual(saved.fetchedAt, '2025-01-01T00:00:00.000Z');
+    assert.strictEqual(secondCache.readServers('Local README other.md'), null, 'cache is per source');
+
+    assert.strictEqual(resolveCacheDir({ XDG_CACHE_HOME: '/xdg' }), path.join('/xdg', 'mcp-registry-interface'));
+    assert.strictEqual(resolveCacheDir({ MCP_REGISTRY_CACHE_DIR: '/custom' }), '/custom');
+    assert.strictEqual(formatAge(3 * 60 * 60 * 1000), '3 hours');
+    assert.strictEqual(loadConfig({ MCP_REGISTRY_CACHE_TTL: '60' }).cache.ttl, 60000);
+    console.log('✅ ETag revalidation survives restarts and the server list is cached per source');
+  } finally {
+    await fakeEtag.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+
+  console.log('\n🔟 Testing rate-limit awareness and retries...');
+
+  const { backoffDelay, isTransientError } = require('./src/retry.js');
+
+  let flakyCalls = 0;
+  let limitedCalls = 0;
+  const resetEpoch = Math.floor(Date.now() / 1000) + 1800;
+  const fakeLimits = await startFakeServer({
+    '/repos/flaky/repo': () => {
+      flakyCalls++;
+      if (flakyCalls === 1) return { status: 502, body: { message: 'Bad Gateway' } };
+      if (flakyCalls === 2) return { status: 403, headers: { 'Retry-After': '2' }, body: { message: 'You have exceeded a secondary rate limit' } };
+      return { headers: { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '1', 'X-RateLimit-Reset': String(resetEpoch) }, body: { stargazers_count: 5 } };
+    },
+    '/repos/limited/repo': () => {
+      limitedCalls++;
+      return { status: 403, headers: { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetEpoch) }, body: { message: 'API rate limit exceeded' } };
+    }
+  });
+
+  try {
+    const delays = [];
+    const limitedClient = createGitHubClient({ baseUrl: fakeLimits.url, sleep: async ms => { delays.push(ms); } });
+
+    assert.strictEqual((await limitedClient.getRepo('flaky', 'repo')).stargazers_count, 5);
+    assert.strictEqual(flakyCalls, 3, 'retries 5xx and secondary limits');
+    assert.ok(delays[0] >= 250 && delays[0] <= 500, 'first backoff is jittered around the base delay');
+    assert.strictEqual(delays[1], 2000, 'honours Retry-After');
+    assert.strictEqual(limitedClient.getRateLimit().remaining, 1);
+
+    await assert.rejects(limitedClient.getRepo('limited', 'repo'), error => {
+      assert.strictEqual(error.code, 'RATE_LIMITED');
+      assert.match(error.message, new RegExp(`resets at ${new Date(resetEpoch * 1000).toISOString()}`));
+      return true;
+    });
+    assert.strictEqual(limitedCalls, 1, 'primary limit is not retried');
+
+    await assert.rejects(limitedClient.getRepo('flaky', 'repo'), /rate limit exceeded/);
+    assert.strictEqual(flakyCalls, 3, 'exhausted budget blocks requests before they are sent');
+
+    assert.ok(backoffDelay(3, 500, 2000) <= 2000, 'backoff is capped');
+
+    const socketError = code => Object.assign(new Error(code), { code });
+    assert.ok(isTransientError(new TypeError('fetch failed', { cause: socketError('ECONNRESET') })), 'fetch network failures are retried');
+    assert.ok(['ETIMEDOUT', 'ENOTFOUND'].every(code => isTransientError(socketError(code))));
+    assert.ok(isTransientError(Object.assign(new Error('Bad Gateway'), { status: 502 })));
+    assert.ok(!isTransientError(Object.assign(new Error('Not Found'), { status: 404 })));
+    assert.ok(!isTransientError(new TypeError('fetch failed', { cause: new Error('bad header') })), 'other fetch failures are not');
+    assert.ok(!isTransientError(new SyntaxError('Unexpected token < in JSON')), 'malformed bodies are not retried');
+    console.log('✅ Backoff with jitter, Retry-After, reset times and budget blocking');
+  } finally {
+    await fakeLimits.close();
+  }
+
+  console.log('\n1️⃣1️⃣ Testing ranked search...');
+
+  const { buildSearchIndex, searchServers, stem } = require('./src/search.js');
+
+  const searchCorpus = [
+    { id: 'postgres', name: 'postgres', description: 'Query PostgreSQL databases', tags: ['database'], category: 'community' },
+    { id: 'notes', name: 'notes', description: 'Take notes and store them in a postgres database', tags: [], category: 'community' },
+    { id: 'git', name: 'git', description: 'Read and search repositories', tags: ['development'], category: 'official' },
+    { id: 'browser', name: 'browser-automation', description: 'Automate web browsers with Playwright', tags: ['web'], category: 'community' },
+    ...Array.from({ length: 30 }, (_, i) => ({ id: `filler-${i}`, name: `filler-${i}`, description: 'Generic tooling', tags: [], category: 'community' }))
   ];
-  
-  toolDefinitions.forEach(tool => {
-    if (mainCode.includes(`name: '${tool}'`)) {
-      console.log(`✅ ${tool} - defined`);
-    } else {
-      console.log(`❌ ${tool} - missing`);
+  const searchIndex = buildSearchIndex(searchCorpus);
+
+  const ranked = searchServers(searchIndex, { query: 'postgres' }).results;
+  assert.deepStrictEqual(ranked.map(r => r.server.id), ['postgres', 'notes'], 'name matches outrank description matches');
+  assert.ok(ranked[0].score > ranked[1].score);
+
+  assert.strictEqual(searchServers(searchIndex, { query: 'postgers' }).results[0].server.id, 'postgres', 'tolerates typos');
+  assert.strictEqual(searchServers(searchIndex, { query: 'automating browser' }).results[0].server.id, 'browser', 'stems and combines terms');
+  assert.strictEqual(searchServers(searchIndex, { query: 'databases' }).results.length, 2);
+  assert.strictEqual(stem('databases'), stem('database'));
+  assert.deepStrictEqual(searchServers(searchIndex, { query: 'git', filter: s => s.category === 'community' }).results, []);
+
+  const firstPage = searchServers(searchIndex, { limit: 10 });
+  assert.strictEqual(firstPage.total, searchCorpus.length);
+  const secondPage = searchServers(searchIndex, { limit: 10, cursor: firstPage.nextCursor });
+  assert.strictEqual(secondPage.results[0].server.id, searchCorpus[10].id, 'cursor continues where the page ended');
+  const lastPage = searchServers(searchIndex, { limit: 30, cursor: secondPage.nextCursor });
+  assert.strictEqual(lastPage.nextCursor, null);
+  assert.throws(() => searchServers(searchIndex, { query: 'git', cursor: firstPage.nextCursor }), /does not belong/);
+  assert.throws(() => searchServers(searchIndex, { cursor: 'not-a-cursor' }), /Invalid cursor/);
+  console.log('✅ Weighted BM25 ranking, fuzzy matching, stemming and cursors');
+
+  console.log('\n1️⃣2️⃣ Testing categorization...');
+  const { classifyServers, classifyServer, getCategoryDescription } = require('./src/classify.js');
+  const classified = Object.fromEntries(classifyServers(servers).map(s => [s.id, s]));
+
+  assert.strictEqual(classified['mcp-filesystem'].category, 'filesystem');
+  assert.strictEqual(classified['mcp-filesystem'].tier, 'official');
+  assert.ok(classified['mcp-filesystem'].tags.includes('official'), 'tier is also a tag');
+  assert.ok(classified['mcp-git'].categories.includes('development'));
+  assert.strictEqual(classified['mcp-postgresql'].category, 'database');
+  assert.ok(classified['mcp-postgresql'].tags.includes('archived'));
+  assert.strictEqual(classified['21st-dev-magic'].tier, 'integration');
+  assert.ok(classified['slack-bot'].categories.includes('communication'));
+  assert.strictEqual(classified['slack-bot'].tier, 'community');
+  assert.strictEqual(classified['fastmcp'].category, 'framework', 'section decides frameworks');
+  assert.ok(classified['fastmcp'].tags.includes('typescript'));
+
+  const fromTopics = classifyServer({ name: 'acme', description: 'Acme integration', tier: 'community', topics: ['kubernetes', 'mcp'] });
+  assert.ok(fromTopics.categories.includes('cloud'), 'repository topics count toward categories');
+  assert.ok(fromTopics.tags.includes('kubernetes') && !fromTopics.tags.includes('mcp'));
+  assert.strictEqual(classifyServer({ name: 'x', description: 'Does things', category: 'official' }).tier, 'official',
+    'old snapshots keep their tier');
+  assert.strictEqual(classifyServer({ name: 'x', description: 'Does things' }).category, 'other');
+  assert.ok(getCategoryDescription('database').length > 0);
+  console.log('✅ Functional categories, tier and tags from name, description, section and topics');
+
+  console.log('\n1️⃣3️⃣ Testing install detection...');
+  const { detectInstall } = require('./src/install.js');
+  const file = text => ({ body: { content: Buffer.from(text).toString('base64') } });
+  const fakeRepos = await startFakeServer({
+    '/repos/modelcontextprotocol/servers/contents/src/filesystem/package.json': file('{"name":"@modelcontextprotocol/server-filesystem"}'),
+    '/repos/modelcontextprotocol/servers/contents/src/filesystem/Dockerfile': file('FROM node:22'),
+    '/repos/modelcontextprotocol/servers/contents/src/git/pyproject.toml':
+      file('[project]\nname = "mcp-server-git"\nversion = "0.6.2"\n\n[project.scripts]\nmcp-server-git = "mcp_server_git:main"\n'),
+    '/repos/acme/go-mcp/contents/go.mod': file('module github.com/acme/go-mcp\n\ngo 1.22\n'),
+    '/repos/acme/rs-mcp/contents/Cargo.toml': file('[package]\nname = "rs-mcp"\nversion = "0.1.0"\n'),
+    '/repos/acme/private-mcp/contents/package.json': file('{"name":"private-mcp","private":true}'),
+    '/repos/acme/flaky-mcp/contents/package.json': file('{"name":"flaky-mcp"}'),
+    '/flaky-mcp/latest': { status: 503, body: { error: 'Service Unavailable' } },
+    '/@modelcontextprotocol/server-filesystem/latest': { body: { version: '2025.3.28' } }
+  });
+  try {
+    const installClients = {
+      github: createGitHubClient({ baseUrl: fakeRepos.url, retries: 0 }),
+      npm: createNpmClient({ registryUrl: fakeRepos.url, downloadsUrl: fakeRepos.url, retries: 0 })
+    };
+    const install = repo => detectInstall({ repository: { url: repo } }, installClients);
+
+    const nodeInstall = await detectInstall(byId['mcp-filesystem'], installClients);
+    assert.strictEqual(nodeInstall.runtime, 'node');
+    assert.strictEqual(nodeInstall.published, true);
+    assert.deepStrictEqual(nodeInstall.methods.map(m => m.type), ['npx', 'docker']);
+    assert.strictEqual(nodeInstall.methods[0].command, 'npx -y @modelcontextprotocol/server-filesystem');
+    assert.ok(nodeInstall.methods[1].command.includes('-f src/filesystem/Dockerfile https://github.com/modelcontextprotocol/servers.git#main'));
+
+    const pythonInstall = await detectInstall(byId['mcp-git'], installClients);
+    assert.strictEqual(pythonInstall.runtime, 'python');
+    assert.deepStrictEqual(pythonInstall.methods.map(m => m.command), ['uvx mcp-server-git', 'pip install mcp-server-git']);
+
+    assert.strictEqual((await install('https://github.com/acme/go-mcp')).methods[0].command, 'go install github.com/acme/go-mcp@latest');
+    assert.strictEqual((await install('https://github.com/acme/rs-mcp')).methods[0].command,
+      'cargo install --git https://github.com/acme/rs-mcp rs-mcp');
+
+    const privateInstall = await install('https://github.com/acme/private-mcp');
+    assert.strictEqual(privateInstall.published, false);
+    assert.deepStrictEqual(privateInstall.methods, [], 'never suggests npx for unpublished packages');
+
+    const unverifiedInstall = await install('https://github.com/acme/flaky-mcp');
+    assert.deepStrictEqual([unverifiedInstall.packageName, unverifiedInstall.published], ['flaky-mcp', null]);
+    assert.deepStrictEqual(unverifiedInstall.methods, [], 'no npx when npm could not confirm the package');
+
+    const unknownInstall = await install('https://github.com/acme/empty');
+    assert.strictEqual(unknownInstall.runtime, 'unknown');
+    assert.deepStrictEqual(unknownInstall.methods, []);
+    assert.strictEqual((await install('https://gitlab.com/someone/email-mcp')).runtime, 'unknown');
+    console.log('✅ npx, uvx/pip, go install, cargo and docker commands from real manifests; unknown otherwise');
+  } finally {
+    await fakeRepos.close();
+  }
+
+  console.log('\n1️⃣4️⃣ Testing client config generation...');
+  const { extractEnvVars } = require('./src/readme.js');
+  const { launchCommand, buildClientConfig, mergeClientConfig, diffLines } = require('./src/clientconfig.js');
+
+  const serverReadme = [
+    '# Brave Search',
+    'Requires the `BRAVE_API_KEY` environment variable. Set `PATH` as usual.',
+    '```json',
+    '{ "mcpServers": { "brave": { "command": "docker", "args": ["run", "-i", "-e", "BRAVE_REGION", "mcp/brave"], "env": { "BRAVE_API_KEY": "YOUR_KEY" } } } }',
+    '```',
+    '```bash',
+    'export BRAVE_TIMEOUT_MS=5000',
+    '```'
+  ].join('\n');
+  assert.deepStrictEqual(extractEnvVars(serverReadme), ['BRAVE_API_KEY', 'BRAVE_REGION', 'BRAVE_TIMEOUT_MS']);
+
+  const npxLaunch = launchCommand({ packageName: '@acme/server', methods: [{ type: 'npx', command: 'npx -y @acme/server' }] }, ['ACME_TOKEN']);
+  assert.deepStrictEqual(npxLaunch, { command: 'npx', args: ['-y', '@acme/server'], env: { ACME_TOKEN: '<ACME_TOKEN>' }, via: 'npx' });
+  assert.deepStrictEqual(launchCommand({ packageName: 'tool', methods: [{ type: 'uvx', command: 'uvx --from tool tool-cli' }] }).args,
+    ['--from', 'tool', 'tool-cli']);
+  assert.strictEqual(launchCommand({ packageName: null, methods: [] }), null, 'no config for unknown install methods');
+
+  const desktop = buildClientConfig([{ name: 'acme', ...npxLaunch }], 'claude-desktop');
+  assert.deepStrictEqual(Object.keys(desktop), ['mcpServers']);
+  assert.strictEqual(buildClientConfig([{ name: 'acme', ...npxLaunch }], 'vscode').servers.acme.type, 'stdio');
+  assert.throws(() => buildClientConfig([], 'emacs'), /Unknown host/);
+
+  const existingConfig = { theme: 'dark', mcpServers: { acme: { command: 'node', args: ['old.js'] } } };
+  const kept = mergeClientConfig(existingConfig, desktop, 'claude-desktop');
+  assert.deepStrictEqual(kept.conflicts, ['acme']);
+  assert.deepStrictEqual(kept.config.mcpServers.acme, existingConfig.mcpServers.acme, 'no silent overwrites');
+  const replaced = mergeClientConfig(existingConfig, desktop, 'claude-desktop', { overwrite: true });
+  assert.deepStrictEqual(replaced.replaced, ['acme']);
+  assert.strictEqual(replaced.config.theme, 'dark', 'unrelated settings survive');
+
+  const diff = diffLines('{\n  "a": 1\n}\n', '{\n  "a": 1,\n  "b": 2\n}\n');
+  assert.ok(diff.includes('-   "a": 1\n+   "a": 1,\n+   "b": 2'));
+  console.log('✅ Env vars from READMEs, per-host fragments, conflict-safe merge and diff preview');
+
+  console.log('\n1️⃣5️⃣ Testing server README ingestion...');
+  const { fetchServerReadme, parseServerReadme } = require('./src/readme.js');
+  const filesystemReadme = [
+    '# Filesystem',
+    '## API',
+    '### Tools',
+    '- **read_file**',
+    '  - Read complete contents of a file',
+    '  - Input: `path` (string)',
+    '- `list_directory` - List directory contents',
+    '### Resources',
+    '- **not_a_tool**: listed under another heading',
+    '## Configuration',
+    'Set `FS_API_TOKEN` (required) and optionally the `FS_LOG_LEVEL` environment variable.',
+    '```json',
+    '{ "mcpServers": { "filesystem": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-filesystem"] } } }',
+    '```',
+    '```bash',
+    'npm run build',
+    '```'
+  ].join('\n');
+  const parsedReadme = parseServerReadme(filesystemReadme);
+  assert.deepStrictEqual(parsedReadme.tools, [
+    { name: 'read_file', description: 'Read complete contents of a file' },
+    { name: 'list_directory', description: 'List directory contents' }
+  ]);
+  assert.deepStrictEqual(parsedReadme.envVars, [
+    { name: 'FS_API_TOKEN', required: true },
+    { name: 'FS_LOG_LEVEL', required: false }
+  ]);
+  assert.strictEqual(parsedReadme.configExamples.length, 1, 'only blocks that configure a server');
+  assert.deepStrictEqual(parseServerReadme('## Tools\n\n| Tool | Description |\n|---|---|\n| `search` | Full-text search |\n').tools,
+    [{ name: 'search', description: 'Full-text search' }]);
+  assert.deepStrictEqual(parseServerReadme(null), { tools: [], envVars: [], configExamples: [] });
+
+  const readmeRequests = [];
+  const fakeReadmes = await startFakeServer({
+    '/repos/modelcontextprotocol/servers/contents/src/filesystem/README.md': req => {
+      readmeRequests.push(req.url);
+      return file(filesystemReadme);
+    },
+    '/repos/punkpeye/fastmcp/readme': req => {
+      readmeRequests.push(req.url);
+      return file('# FastMCP');
     }
   });
-  
-  console.log('\n4️⃣  Testing GitHub API integration...');
-  
-  if (mainCode.includes('GITHUB_API_BASE')) {
-    console.log('✅ GitHub API base URL configured');
+  try {
+    const readmeClient = createGitHubClient({ baseUrl: fakeReadmes.url, retries: 0 });
+    assert.strictEqual(await fetchServerReadme(byId['mcp-filesystem'], readmeClient), filesystemReadme);
+    assert.strictEqual(await fetchServerReadme(byId['fastmcp'], readmeClient), '# FastMCP');
+    assert.deepStrictEqual(readmeRequests, [
+      '/repos/modelcontextprotocol/servers/contents/src/filesystem/README.md?ref=main',
+      '/repos/punkpeye/fastmcp/readme'
+    ], 'monorepo entries read their subdirectory README, others the repository root');
+    assert.strictEqual(await fetchServerReadme(byId['mcp-git'], readmeClient), null, 'missing README is null');
+    assert.strictEqual(await fetchServerReadme(byId['email-client'], readmeClient), null, 'non-GitHub repositories are skipped');
+  } finally {
+    await fakeReadmes.close();
   }
-  
-  if (mainCode.includes('GITHUB_TOKEN')) {
-    console.log('✅ GitHub token support implemented');
+
+  const readmeCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-registry-readmes-'));
+  try {
+    const firstReadmeCache = createDiskCache({ dir: readmeCacheDir });
+    firstReadmeCache.readmeStore.set('https://github.com/acme/server', { found: true, info: parsedReadme, fetchedAt: '2025-01-01T00:00:00Z' });
+    firstReadmeCache.saveReadmes();
+    const reloadedReadme = createDiskCache({ dir: readmeCacheDir }).readmeStore.get('https://github.com/acme/server');
+    assert.deepStrictEqual(reloadedReadme.info.tools, parsedReadme.tools, 'parsed READMEs persist next to the server list');
+  } finally {
+    fs.rmSync(readmeCacheDir, { recursive: true, force: true });
   }
-  
-  if (mainCode.includes('fetchRealMCPServers')) {
-    console.log('✅ Real server fetching function present');
+  console.log('✅ Tools, environment variables and config examples from each server README, cached on disk');
+
+  console.log('\n1️⃣6️⃣ Testing registry resources...');
+  const { readResource, resourceFingerprints, diffResources, parseServerUri, serverUri } = require('./src/resources.js');
+  const resourceServers = classifyServers(servers);
+
+  const listing = JSON.parse(readResource('registry://servers', resourceServers)[0].text);
+  assert.strictEqual(listing.count, resourceServers.length);
+  assert.strictEqual(listing.servers[0].uri, serverUri(listing.servers[0].id));
+  const serverContents = readResource('registry://servers/mcp-filesystem', resourceServers, { formatMarkdown: s => `# ${s.name}` });
+  assert.deepStrictEqual(serverContents.map(c => c.mimeType), ['application/json', 'text/markdown']);
+  assert.strictEqual(JSON.parse(serverContents[0].text).id, 'mcp-filesystem');
+  assert.ok(JSON.parse(readResource('registry://categories', resourceServers)[0].text).categories.length > 0);
+  assert.strictEqual(readResource('registry://servers/missing', resourceServers), null);
+  assert.strictEqual(parseServerUri(serverUri('a b')), 'a b');
+
+  const beforeRefresh = resourceFingerprints(resourceServers);
+  const sameData = resourceServers.map(s => ({ ...s, enrichment: { github: 'ok', enrichedAt: new Date().toISOString() } }));
+  assert.deepStrictEqual(diffResources(resourceFingerprints(sameData), resourceFingerprints(sameData.map(s => ({
+    ...s, enrichment: { ...s.enrichment, enrichedAt: '2030-01-01T00:00:00Z' }
+  })))), { listChanged: false, updated: [] }, 'enrichment timestamps alone are not a change');
+
+  const edited = resourceServers.map(s => s.id === 'mcp-git' ? { ...s, description: 'Changed' } : s);
+  const editDiff = diffResources(beforeRefresh, resourceFingerprints(edited));
+  assert.strictEqual(editDiff.listChanged, false);
+  assert.deepStrictEqual(editDiff.updated, ['registry://servers', 'registry://servers/mcp-git']);
+
+  const removedDiff = diffResources(beforeRefresh, resourceFingerprints(resourceServers.filter(s => s.id !== 'fastmcp')));
+  assert.strictEqual(removedDiff.listChanged, true);
+  assert.ok(removedDiff.updated.includes('registry://servers/fastmcp'));
+  console.log('✅ registry:// resources, templates and change detection for notifications');
+
+  console.log('\n1️⃣7️⃣ Testing prompts and completions...');
+  const { PROMPTS, getPrompt, completePromptArgument } = require('./src/prompts.js');
+  const { parseClientConfig, matchInstalledServer } = require('./src/installed.js');
+  const promptServers = resourceServers.map(s => s.id === 'mcp-filesystem' ? { ...s, packageName: '@modelcontextprotocol/server-filesystem' } : s);
+
+  assert.deepStrictEqual(PROMPTS.map(p => p.name), ['recommend_servers_for_task', 'setup_server', 'audit_my_setup']);
+  assert.deepStrictEqual(completePromptArgument('setup_server', 'serverId', 'mcp-f', promptServers).values, ['mcp-filesystem']);
+  assert.ok(completePromptArgument('recommend_servers_for_task', 'category', 'data', promptServers).values.includes('database'));
+  assert.deepStrictEqual(completePromptArgument('audit_my_setup', 'servers', 'mcp-git, mcp-f', promptServers).values,
+    ['mcp-git, mcp-filesystem']);
+
+  const promptContext = {
+    servers: promptServers,
+    searchIndex: buildSearchIndex(promptServers),
+    findServer: (list, id) => list.find(s => s.id === id || s.id === `mcp-${id}`),
+    formatServerMarkdown: s => `# ${s.name}\n`,
+    getInstallInfo: async () => ({ methods: [{ type: 'npx', command: 'npx -y @modelcontextprotocol/server-filesystem' }] }),
+    getServerReadme: async () => ({ info: { envVars: [{ name: 'FS_ROOT', required: true }], configExamples: [] } })
+  };
+  const recommendation = await getPrompt('recommend_servers_for_task', { task: 'query a postgres database' }, promptContext);
+  assert.ok(recommendation.messages[0].content.text.includes('- mcp-postgresql'), 'inlines matching registry entries');
+  const setup = await getPrompt('setup_server', { serverId: 'filesystem' }, promptContext);
+  assert.ok(setup.messages[0].content.text.includes('npx -y @modelcontextprotocol/server-filesystem'));
+  assert.ok(setup.messages[0].content.text.includes('FS_ROOT (required)'));
+  await assert.rejects(getPrompt('setup_server', {}, promptContext), /Missing required argument: serverId/);
+
+  const installedEntries = parseClientConfig('{"mcpServers":{"files":{"command":"npx","args":["-y","@modelcontextprotocol/server-filesystem@1.0.0","/tmp"]},"git":{"command":"uvx","args":["mcp-server-git"]}}}');
+  assert.strictEqual(matchInstalledServer(installedEntries[0], promptServers).id, 'mcp-filesystem', 'matched by package');
+  assert.strictEqual(matchInstalledServer(installedEntries[1], promptServers).id, 'mcp-git', 'matched by name');
+  const nonNpmEntries = parseClientConfig({
+    mcpServers: {
+      db: { command: 'docker', args: ['run', '-i', '--rm', '-e', 'DATABASE_URL', 'postgres:0.6'] },
+      chat: { command: '/home/me/go/bin/slack-mcp' }
+    }
+  });
+  assert.deepStrictEqual(nonNpmEntries.map(entry => matchInstalledServer(entry, promptServers)?.id), ['mcp-postgresql', 'slack-bot'],
+    'matched by the docker image and binary detectInstall would give out');
+  const audit = await getPrompt('audit_my_setup', { servers: 'mcp-git, unknown-thing' }, promptContext);
+  assert.ok(audit.messages[0].content.text.includes('Not in the registry: unknown-thing'));
+  console.log('✅ recommend/setup/audit prompts with live completions');
+
+  console.log('\n1️⃣8️⃣ Testing structured output...');
+  const { toServerRecord, withFormatArgument, toolResult, outputSchema } = require('./src/output.js');
+  const { renderSearch, renderError } = require('./src/render.js');
+
+  const record = toServerRecord({ id: 'x', name: 'x', description: 'd', author: 'a', tier: 'community', category: 'other' });
+  assert.strictEqual(record.stars, null, 'missing numbers are null, not 0');
+  assert.deepStrictEqual(record.categories, ['other']);
+  assert.strictEqual(record.archived, false);
+
+  const searchPayload = {
+    kind: 'search', query: 'postgres', filters: { category: null, tier: null, source: null },
+    total: 1, offset: 0, nextCursor: null, results: [{ score: 2.5, server: toServerRecord(resourceServers[0]) }],
+    freshness: { fetchedAt: new Date().toISOString(), ageMs: 0, stale: false, reason: null }
+  };
+  const both = toolResult(searchPayload, renderSearch);
+  assert.strictEqual(both.content.length, 2, 'both is the default');
+  assert.ok(both.content[0].text.includes(`**1. ${resourceServers[0].name}**`), 'markdown first');
+  assert.deepStrictEqual(JSON.parse(both.content[1].text), searchPayload, 'JSON second');
+  assert.deepStrictEqual(toolResult(searchPayload, renderSearch, 'json').content.map(c => JSON.parse(c.text).kind), ['search']);
+  assert.strictEqual(toolResult(searchPayload, renderSearch, 'markdown').content.length, 1);
+  assert.throws(() => toolResult(searchPayload, renderSearch, 'xml'), /Unknown format "xml"/);
+  assert.strictEqual(toolResult({ kind: 'error', message: 'boom' }, renderError, 'json', { isError: true }).isError, true);
+
+  const staleText = renderSearch({ ...searchPayload, freshness: { ...searchPayload.freshness, ageMs: 7200000, stale: true, reason: 'offline' } });
+  assert.ok(staleText.includes('⚠️ Data is 2 hours old (offline).'));
+
+  const withFormat = withFormatArgument({ name: 't', inputSchema: { type: 'object', properties: { q: { type: 'string' } } } });
+  assert.deepStrictEqual(Object.keys(withFormat.inputSchema.properties), ['q', 'format']);
+  const schemaKinds = Object.values(outputSchema.definitions).map(d => d.properties?.kind?.const).filter(Boolean);
+  ['search', 'server', 'readme', 'categories', 'refresh', 'snapshot', 'clientConfig', 'audit', 'collection', 'collections', 'notFound', 'error'].forEach(kind => {
+    assert.ok(schemaKinds.includes(kind), `output schema documents ${kind}`);
+  });
+  console.log('✅ Every tool payload as markdown, JSON or both from one structure');
+
+  console.log('\n1️⃣9️⃣ Testing registry history...');
+  const { createHistory, diffServerLists, changeSummary, historyRecord, snapshotId } = require('./src/history.js');
+  const { renderWhatsNew, renderRefresh } = require('./src/render.js');
+
+  const nextWeek = resourceServers
+    .filter(s => s.id !== 'mcp-postgresql')
+    .map(s => {
+      if (s.id === 'mcp-everything') return { ...s, id: 'mcp-everything-demo', name: 'mcp-everything-demo' };
+      if (s.id === 'mcp-git') return { ...s, description: 'Git, faster', section: 'Archived', categories: ['development', 'other'] };
+      // Lookup results are not compared: a failed npm lookup is not an update
+      if (s.id === 'mcp-filesystem') return { ...s, version: null, archived: !s.archived, categories: ['other'] };
+      return s;
+    })
+    .concat([{ id: 'mcp-time', name: 'mcp-time', description: 'Time zones', author: 'a', tier: 'official', categories: ['other'] }]);
+
+  const weekDiff = diffServerLists(resourceServers, nextWeek);
+  assert.deepStrictEqual(weekDiff.added.map(s => s.id), ['mcp-time']);
+  assert.deepStrictEqual(weekDiff.removed.map(s => s.id), ['mcp-postgresql']);
+  assert.deepStrictEqual(weekDiff.renamed.map(r => [r.from.id, r.to.id]), [['mcp-everything', 'mcp-everything-demo']], 'same repository, new ID');
+  assert.deepStrictEqual(weekDiff.updated.map(u => [u.server.id, u.changes.map(c => c.field)]), [['mcp-git', ['description', 'section']]]);
+
+  const historyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-history-'));
+  try {
+    const history = createHistory({ dir: historyDir, maxAge: 10 * 24 * 60 * 60 * 1000 });
+    const first = history.record(resourceServers, '2025-03-01T09:30:00Z');
+    assert.strictEqual(first.snapshot.id, '20250301-093000');
+    assert.strictEqual(first.previous, null);
+    assert.strictEqual(history.record(resourceServers, '2025-03-02T09:30:00Z').recorded, false, 'unchanged lists are not stored');
+
+    const second = history.record(nextWeek, '2025-03-08T09:30:00Z');
+    assert.strictEqual(second.previous.id, '20250301-093000');
+    assert.deepStrictEqual(changeSummary(second).added, ['mcp-time']);
+    assert.ok(renderRefresh({ status: 'ok', serverCount: 8, source: 's', changes: changeSummary(second) })
+      .includes('1 added, 1 removed, 1 renamed, 1 updated'));
+
+    assert.strictEqual(history.resolve('2025-03-05').id, '20250301-093000', 'last snapshot at or before the date');
+    assert.strictEqual(history.resolve('2020-01-01').partial, true);
+    assert.strictEqual(history.resolve('20250308-093000').id, '20250308-093000');
+    assert.throws(() => history.resolve('last tuesday'), /neither a snapshot ID nor a date/);
+    assert.deepStrictEqual(history.load('20250301-093000').map(s => s.id), resourceServers.map(s => s.id), 'survives a round trip through disk');
+
+    history.record(resourceServers, '2025-03-15T09:30:00Z');
+    assert.deepStrictEqual(history.list().map(s => s.id), ['20250308-093000', '20250315-093000'], 'snapshots older than maxAge are pruned');
+    history.record(nextWeek, '2025-06-01T09:30:00Z');
+    assert.deepStrictEqual(history.list().map(s => s.id), ['20250601-093000'], 'the newest snapshot is always kept');
+    const legacy = historyRecord(resourceServers[0]);
+    delete legacy.section;
+    assert.deepStrictEqual(diffServerLists([legacy], [resourceServers[0]]).updated, [], 'fields missing from older snapshots are not compared');
+    assert.strictEqual(snapshotId('2025-03-15T09:30:00.999Z'), '20250315-093000');
+  } finally {
+    fs.rmSync(historyDir, { recursive: true, force: true });
   }
-  
-  if (!mainCode.includes('getMockServersData')) {
-    console.log('✅ Mock data fallback successfully removed');
+
+  const whatsNewText = renderWhatsNew({
+    kind: 'whatsNew', since: '2025-03-01', baseline: { id: '20250301-093000', fetchedAt: '2025-03-01T09:30:00.000Z', partial: false },
+    ...weekDiff, freshness: null
+  });
+  assert.ok(whatsNewText.includes('➕ **Added (1)**'));
+  assert.ok(whatsNewText.includes('description changed; section'), whatsNewText);
+  console.log('✅ Snapshot history with added/removed/renamed/updated diffs');
+
+  console.log('\n2️⃣0️⃣ Testing server comparison...');
+  const { compareServers } = require('./src/compare.js');
+  const { renderComparison } = require('./src/render.js');
+  const compareEntry = (id, fields, install, readme) => ({
+    server: { id, name: id, tier: 'community', categories: ['database'], ...fields }, install, readme
+  });
+
+  const comparison = compareServers([
+    compareEntry('pg-official', { tier: 'official', license: 'MIT', stars: 4000, lastPush: '2025-05-01T00:00:00Z', archived: true },
+      { runtime: 'node', methods: [{ type: 'npx', command: 'npx -y pg-official' }] },
+      { tools: [{ name: 'query' }], envVars: [{ name: 'DATABASE_URL', required: true }, { name: 'PGSSL', required: false }] }),
+    compareEntry('pg-community', { license: 'Apache-2.0', stars: 900, lastPush: '2025-04-01T00:00:00Z' },
+      { runtime: 'python', methods: [{ type: 'uvx', command: 'uvx pg-community' }, { type: 'pip', command: 'pip install pg-community' }] },
+      { tools: [{ name: 'query' }, { name: 'explain' }], envVars: [] }),
+    compareEntry('pg-unknown', {}, { runtime: 'unknown', methods: [] }, { error: 'Not Found' })
+  ]);
+
+  const [officialRow, communityRow, unknownRow] = comparison.servers;
+  assert.deepStrictEqual(officialRow.requiredEnvVars, ['DATABASE_URL'], 'optional variables are not required');
+  assert.deepStrictEqual(communityRow.install, { type: 'uvx', command: 'uvx pg-community' }, 'preferred method first');
+  assert.strictEqual(unknownRow.toolCount, null, 'unreadable README is unknown, not zero tools');
+  assert.strictEqual(unknownRow.stars, null);
+
+  assert.strictEqual(comparison.differences[0], 'pg-official is archived and no longer maintained', 'archived status first');
+  assert.ok(comparison.differences.includes('Only pg-official is an official reference server'));
+  assert.ok(comparison.differences.includes('pg-unknown has no license on record'));
+  assert.ok(comparison.differences.some(d => d.startsWith('pg-official is the most popular (4,000 stars')));
+  assert.ok(!comparison.differences.some(d => d.includes('last pushed')), 'a month apart is not worth mentioning');
+  assert.ok(comparison.differences.length <= 6);
+
+  const comparisonText = renderComparison({ kind: 'comparison', ...comparison, freshness: null });
+  assert.ok(comparisonText.includes('| | **pg-official** | **pg-community** | **pg-unknown** |'));
+  assert.ok(comparisonText.includes('| Required env | DATABASE_URL | none | unknown |'));
+  console.log('✅ Side-by-side comparison table with key differences');
+
+  console.log('\n2️⃣1️⃣ Testing trust scores...');
+  const { trustScore, scoreServers } = require('./src/trust.js');
+  const { renderTrust } = require('./src/render.js');
+  const trustNow = Date.parse('2025-06-01T00:00:00Z');
+
+  const healthy = trustScore({
+    tier: 'official', archived: false, license: 'MIT', lastPush: '2025-05-20T00:00:00Z', stars: 5000, openIssues: 40,
+    releases: { lastYear: 12, latest: '2025-05-19T00:00:00Z' },
+    publisher: { login: 'modelcontextprotocol', type: 'organization', verified: true },
+    enrichment: { github: 'ok' }
+  }, trustNow);
+  assert.strictEqual(healthy.score, 100);
+  assert.strictEqual(healthy.level, 'high');
+  assert.strictEqual(healthy.coverage, 1);
+
+  const risky = trustScore({
+    tier: 'community', archived: true, license: null, lastPush: '2022-01-01T00:00:00Z', stars: 3, openIssues: 1,
+    releases: { lastYear: 0, latest: null },
+    publisher: { login: 'someone', type: 'user', verified: false },
+    enrichment: { github: 'ok' }
+  }, trustNow);
+  assert.ok(risky.score < 25, `abandoned personal project scores low (${risky.score})`);
+  assert.strictEqual(risky.level, 'low');
+  assert.strictEqual(risky.factors.find(f => f.name === 'openIssues').points, 3, 'tiny repos are not punished for a high ratio');
+
+  const unenriched = trustScore({ tier: 'official', archived: false }, trustNow);
+  assert.strictEqual(unenriched.score, null, 'tier and archived status alone are not enough for a score');
+  assert.strictEqual(unenriched.level, null);
+  assert.strictEqual(unenriched.coverage, 0.35);
+  assert.strictEqual(unenriched.factors.find(f => f.name === 'license').points, null);
+
+  const partial = trustScore({ tier: 'official', archived: false, license: 'MIT', enrichment: { github: 'ok' } }, trustNow);
+  assert.strictEqual(partial.coverage, 0.55);
+  assert.strictEqual(partial.score, 100, 'unknown factors are left out, not counted as zero');
+
+  const missingRepo = trustScore({ tier: 'community', archived: false, enrichment: { github: 'not-found' } }, trustNow);
+  assert.strictEqual(missingRepo.factors.find(f => f.name === 'repository').detail, 'repository URL does not resolve');
+
+  assert.ok(scoreServers(resourceServers).every(s => 'score' in s.trust));
+  const trustDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-trust-'));
+  try {
+    fs.writeFileSync(path.join(trustDir, 'README.md'), sampleREADME);
+    const unenrichedRegistry = fileRegistry(path.join(trustDir, 'README.md'));
+    assert.ok((await unenrichedRegistry.runTool('registry_search_servers', {})).total > 0);
+    assert.strictEqual((await unenrichedRegistry.runTool('registry_search_servers', { minTrust: 0 })).total, 0,
+      'servers without a score never pass minTrust');
+  } finally {
+    fs.rmSync(trustDir, { recursive: true, force: true });
   }
-  
-  console.log('\n5️⃣  Testing error handling improvements...');
-  
-  if (mainCode.includes('Unable to fetch MCP servers from GitHub')) {
-    console.log('✅ Proper error message for GitHub failures');
+
+  const trustText = renderTrust(risky);
+  assert.ok(trustText.includes('⚠️ Maintenance 0/15: archived, no longer maintained'));
+  assert.ok(trustText.includes('🟡 Tier 5/20: community server'));
+  console.log('✅ Trust scores from tier, publisher, license, activity, releases, issues and repository status');
+
+  console.log('\n2️⃣2️⃣ Testing installed server audit...');
+  const { defaultConfigPaths, hostForPath, readHostConfigs, compareVersions, auditInstalled } = require('./src/audit.js');
+  const { renderAudit } = require('./src/render.js');
+
+  const linuxPaths = defaultConfigPaths({ platform: 'linux', home: '/home/u', env: {}, cwd: '/work' });
+  assert.deepStrictEqual(linuxPaths.map(p => p.path), [
+    '/home/u/.config/Claude/claude_desktop_config.json',
+    '/home/u/.config/Code/User/mcp.json',
+    '/work/.vscode/mcp.json',
+    '/home/u/.cursor/mcp.json'
+  ]);
+  assert.ok(defaultConfigPaths({ platform: 'darwin', home: '/Users/u', env: {}, cwd: '/w' })[0].path.startsWith('/Users/u/Library/Application Support/Claude/'));
+  assert.strictEqual(hostForPath('/x/.cursor/mcp.json'), 'cursor');
+  assert.strictEqual(hostForPath('/x/claude_desktop_config.json'), 'claude-desktop');
+  assert.strictEqual(compareVersions('1.2.0', '1.10.0') < 0, true);
+  assert.strictEqual(compareVersions('2.0.0-beta.1', '2.0.0') < 0, true, 'prereleases come first');
+  assert.strictEqual(compareVersions('latest', '1.0.0'), null);
+
+  const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-audit-'));
+  const claudeConfig = path.join(auditDir, 'claude_desktop_config.json');
+  fs.writeFileSync(claudeConfig, JSON.stringify({
+    mcpServers: {
+      pg: { command: 'npx', args: ['-y', '@acme/pg-mcp@1.0.0', 'postgresql://user:secret@db/app'], env: { PGPASSWORD: 'secret' } },
+      old: { command: 'uvx', args: ['old-mcp'] },
+      shady: { command: 'npx', args: ['-y', 'shady-mcp'] },
+      homegrown: { command: 'node', args: ['/opt/my-server/index.js'] }
+    }
+  }));
+  const vscodeConfig = path.join(auditDir, 'mcp.json');
+  fs.writeFileSync(vscodeConfig, '{ not json');
+
+  const auditServers = [
+    { id: 'pg-mcp', name: 'pg-mcp', tier: 'integration', packageName: '@acme/pg-mcp', version: '1.4.2', archived: false, trust: { score: 88, level: 'high' } },
+    { id: 'old-mcp', name: 'old-mcp', tier: 'community', archived: true, trust: { score: 55, level: 'medium' } },
+    { id: 'shady-mcp', name: 'shady-mcp', tier: 'community', packageName: 'shady-mcp', version: '0.1.0', archived: false, trust: { score: 20, level: 'low' } },
+    { id: 'unknown-mcp', name: 'unknown-mcp', tier: 'integration', packageName: 'unknown-mcp', archived: false, trust: { score: null, level: null } }
+  ];
+  try {
+    const auditConfigs = await readHostConfigs([
+      { host: 'claude-desktop', path: claudeConfig },
+      { host: 'vscode', path: vscodeConfig },
+      { host: 'cursor', path: path.join(auditDir, 'missing.json') }
+    ]);
+    assert.deepStrictEqual(auditConfigs.map(c => c.status), ['ok', 'invalid', 'missing']);
+
+    const audit = auditInstalled(auditConfigs, auditServers, { minTrust: 50 });
+    const finding = name => audit.servers.find(s => s.name === name);
+    assert.deepStrictEqual(finding('pg').issues.map(i => i.type), ['outdated']);
+    assert.strictEqual(finding('pg').issues[0].message, 'pinned to 1.0.0, 1.4.2 is published');
+    assert.deepStrictEqual(finding('old').issues.map(i => i.type), ['archived']);
+    assert.deepStrictEqual(finding('shady').issues.map(i => i.type), ['low-trust'], 'unpinned npx always runs the latest version');
+    assert.strictEqual(finding('homegrown').server, null);
+    assert.deepStrictEqual(audit.summary, { total: 4, inRegistry: 3, notInRegistry: 1, archived: 1, outdated: 1, lowTrust: 1, ok: 0 });
+    const unscored = auditInstalled([{ host: 'cursor', path: 'mcp.json', status: 'ok', entries: [{ name: 'unknown', command: 'npx', args: ['-y', 'unknown-mcp'] }] }], auditServers, { minTrust: 50 });
+    assert.deepStrictEqual(unscored.servers[0].issues.map(i => i.message), ['not enough data for a trust score, 50 required'], 'no score does not pass the threshold');
+    assert.ok(!JSON.stringify(audit).includes('secret'), 'arguments and env values stay out of the report');
+
+    const auditText = renderAudit({ kind: 'audit', minTrust: 50, ...audit, freshness: null });
+    assert.ok(auditText.includes('⬆️ **Newer version published (1)**'));
+    assert.ok(auditText.includes('- `old` in Claude Desktop (old-mcp) → **old-mcp** (`old-mcp`): archived, no longer maintained'));
+    assert.ok(auditText.includes('could not be read'), 'unparseable configs are reported');
+    assert.ok(!auditText.includes('missing.json'), 'absent configs are not listed when others were found');
+  } finally {
+    fs.rmSync(auditDir, { recursive: true, force: true });
   }
-  
-  if (mainCode.includes('throw error')) {
-    console.log('✅ Errors are properly thrown (no silent failures)');
+  console.log('✅ Host configs audited for unlisted, archived, outdated and low-trust servers');
+
+  console.log('\n2️⃣3️⃣ Testing collections...');
+  const { createCollectionStore, describeCollection, parseServerRef } = require('./src/collections.js');
+  const { pinLaunchVersion } = require('./src/clientconfig.js');
+  const { renderCollection, renderCollections } = require('./src/render.js');
+
+  assert.deepStrictEqual(parseServerRef('postgres@1.2.0'), { id: 'postgres', version: '1.2.0' });
+  assert.deepStrictEqual(parseServerRef('postgres'), { id: 'postgres', version: null });
+  assert.deepStrictEqual(parseServerRef('@scope'), { id: '@scope', version: null }, 'a leading @ is part of the ID');
+
+  const collectionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-collections-'));
+  try {
+    const store = createCollectionStore({ file: path.join(collectionsDir, 'nested', 'collections.json') });
+    assert.deepStrictEqual(store.list(), [], 'no file means no collections');
+
+    store.create('Backend Dev', { notes: 'API work', servers: [{ id: 'pg-mcp', version: '1.0.0' }, { id: 'old-mcp', version: null }] });
+    assert.throws(() => store.create('backend dev'), /already exists/, 'names are case-insensitive');
+    store.create('docs', { servers: [{ id: 'pg-mcp', version: null }] });
+
+    const updated = store.update('backend dev', { add: [{ id: 'pg-mcp', version: '1.4.2' }], remove: ['old-mcp'], notes: 'API and DB work' });
+    assert.deepStrictEqual(updated.servers, [{ id: 'pg-mcp', version: '1.4.2' }], 're-adding a server replaces its pin');
+    assert.throws(() => store.update('docs', { remove: ['nope'] }), /Not in collection "docs": nope/);
+    store.update('docs', { rename: 'Docs Writing' });
+    assert.deepStrictEqual(store.list().map(c => c.name), ['Backend Dev', 'Docs Writing']);
+    assert.deepStrictEqual(store.membership().get('pg-mcp'), ['Backend Dev', 'Docs Writing']);
+
+    const reopened = createCollectionStore({ file: store.file });
+    assert.strictEqual(reopened.get('BACKEND DEV').notes, 'API and DB work', 'persisted to disk');
+    reopened.delete('docs writing');
+    assert.throws(() => store.get('Docs Writing'), /No collection named/);
+
+    fs.writeFileSync(store.file, '{ broken');
+    assert.throws(() => store.create('x'), /Cannot read collections/, 'unreadable files are never overwritten');
+    assert.strictEqual(fs.readFileSync(store.file, 'utf-8'), '{ broken');
+
+    const described = describeCollection(updated, [...auditServers.slice(0, 1)]);
+    assert.deepStrictEqual(described.servers[0], { id: 'pg-mcp', pinned: '1.4.2', found: true, name: 'pg-mcp', latestVersion: '1.4.2', archived: false });
+    const collectionText = renderCollection({
+      kind: 'collection', action: 'updated', path: store.file,
+      collection: describeCollection({ ...updated, servers: [{ id: 'pg-mcp', version: '1.0.0' }, { id: 'gone', version: null }] }, auditServers)
+    });
+    assert.ok(collectionText.includes('✏️ **Updated collection "Backend Dev"** (2 servers)'));
+    assert.ok(collectionText.includes('- **pg-mcp** (`pg-mcp`) pinned to 1.0.0, latest 1.4.2'));
+    assert.ok(collectionText.includes('- ❌ `gone`: no longer in the registry'));
+    assert.ok(renderCollections({ kind: 'collections', path: store.file, collections: [] }).includes('No collections yet'));
+  } finally {
+    fs.rmSync(collectionsDir, { recursive: true, force: true });
   }
-  
+
+  const npxInstall = { packageName: '@acme/server', methods: [{ type: 'npx', command: 'npx -y @acme/server' }] };
+  assert.deepStrictEqual(pinLaunchVersion(launchCommand(npxInstall), npxInstall, '2.1.0').args, ['-y', '@acme/server@2.1.0']);
+  const uvxInstall = { packageName: 'tool', methods: [{ type: 'uvx', command: 'uvx --from tool tool-cli' }] };
+  assert.deepStrictEqual(pinLaunchVersion(launchCommand(uvxInstall), uvxInstall, '0.3').args, ['--from', 'tool==0.3', 'tool-cli']);
+  const goInstall = { packageName: 'github.com/acme/srv', methods: [{ type: 'go', command: 'go install github.com/acme/srv@latest' }] };
+  assert.strictEqual(pinLaunchVersion(launchCommand(goInstall), goInstall, '1.0.0'), null, 'built binaries cannot be pinned');
+
+  const flagged = renderSearch({ ...searchPayload, results: [{ ...searchPayload.results[0], collections: ['Backend Dev'] }] });
+  assert.ok(flagged.includes('📚 In your collections: Backend Dev'));
+  console.log('✅ Collections with notes and pinned versions, stored locally and flagged in search');
+
+  console.log('\n2️⃣4️⃣ Testing command-line interface...');
+  const { runCli, parseArgs, EXIT_OK, EXIT_FAILURE, EXIT_USAGE } = require('./src/cli.js');
+  const { createRegistry } = require('./src/registry.js');
+
+  assert.deepStrictEqual(parseArgs(['search', 'postgres', 'db', '--category=database', '--json']),
+    { command: 'search', positional: ['postgres', 'db'], flags: { category: 'database', json: true } });
+  assert.deepStrictEqual(parseArgs(['show', '--', '--odd-id']).positional, ['--odd-id'], '-- ends the options');
+
+  const cliDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-cli-'));
+  const capture = () => ({ text: '', write(chunk) { this.text += chunk; } });
+  const cli = async (...argv) => {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await runCli(argv, { stdout, stderr, registry: cliRegistry });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  };
+  let cliRegistry;
+  try {
+    fs.writeFileSync(path.join(cliDir, 'README.md'), sampleREADME);
+    cliRegistry = createRegistry(loadConfig({
+      MCP_REGISTRY_SOURCE: 'file',
+      MCP_REGISTRY_SOURCE_PATH: path.join(cliDir, 'README.md'),
+      MCP_REGISTRY_ENRICH: 'false',
+      MCP_REGISTRY_CACHE: 'false',
+      MCP_REGISTRY_COLLECTIONS_PATH: path.join(cliDir, 'collections.json')
+    }));
+
+    const search = await cli('search', 'file', 'operations', '--limit', '1');
+    assert.strictEqual(search.code, EXIT_OK);
+    assert.ok(search.stdout.includes('**1. mcp-filesystem**'), 'human output is the rendered text');
+    assert.ok(search.stdout.startsWith('🔍 **MCP Server Search Results** (from Local README'), 'headings name the configured source');
+
+    const json = await cli('search', '--category', 'database', '--json');
+    assert.strictEqual(json.code, EXIT_OK);
+    const payload = JSON.parse(json.stdout);
+    assert.strictEqual(payload.kind, 'search');
+    assert.strictEqual(payload.filters.category, 'database');
+
+    const missing = await cli('show', 'no-such-server');
+    assert.strictEqual(missing.code, EXIT_FAILURE);
+    assert.strictEqual(missing.stdout, '', 'failures go to stderr');
+    assert.ok(missing.stderr.includes('"no-such-server" not found in Local README'), missing.stderr);
+    assert.ok(!missing.stderr.includes('GitHub'));
+
+    const bothGitHubs = createRegistry(loadConfig({
+      MCP_REGISTRY_SOURCE: 'file',
+      MCP_REGISTRY_SOURCE_PATH: path.join(cliDir, 'GITHUB.md'),
+      MCP_REGISTRY_ENRICH: 'false',
+      MCP_REGISTRY_CACHE: 'false'
+    }));
+    fs.writeFileSync(path.join(cliDir, 'GITHUB.md'), [
+      '## Reference Servers', '', '### Archived', '',
+      '- **[GitHub](https://github.com/modelcontextprotocol/servers-archived/tree/main/src/github)** - Repository management',
+      '', '## Official Integrations', '',
+      '- **[GitHub](https://github.com/github/github-mcp-server)** - GitHub\'s official MCP Server', ''
+    ].join('\n'));
+    const gitHubServers = await bothGitHubs.getServersData();
+    assert.strictEqual(bothGitHubs.findServer(gitHubServers, 'github').id, 'github', 'an exact ID beats the mcp- prefixed one');
+    assert.strictEqual(bothGitHubs.findServer(gitHubServers, 'mcp-github').id, 'mcp-github');
+
+    const categories = await cli('categories', '--json');
+    assert.strictEqual(JSON.parse(categories.stdout).kind, 'categories');
+
+    const refresh = await cli('refresh', '--json');
+    assert.strictEqual(refresh.code, EXIT_OK);
+    assert.strictEqual(JSON.parse(refresh.stdout).serverCount, 8);
+
+    const badHost = await cli('config', 'git', '--host', 'emacs', '--json');
+    assert.strictEqual(badHost.code, EXIT_USAGE, 'invalid arguments exit like invalid options');
+    assert.strictEqual(JSON.parse(badHost.stdout).kind, 'error', 'JSON errors stay on stdout for scripts');
+
+    assert.strictEqual((await cli('bogus')).code, EXIT_USAGE);
+    assert.strictEqual((await cli('show')).code, EXIT_USAGE);
+    assert.strictEqual((await cli('categories', '--host', 'vscode')).code, EXIT_USAGE);
+    assert.strictEqual((await cli('search', '--limit', 'ten')).code, EXIT_USAGE);
+    const help = await cli('--help');
+    assert.strictEqual(help.code, EXIT_OK);
+    assert.ok(help.stdout.includes('Exit codes:'));
+  } finally {
+    fs.rmSync(cliDir, { recursive: true, force: true });
+  }
+  console.log('✅ search, show, categories, refresh and config subcommands with text or JSON output and exit codes');
+
+  console.log('\n2️⃣5️⃣ Testing HTTP mode...');
+  const { createHttpServer } = require('./src/http.js');
+  const { READ_ONLY_TOOLS } = require('./src/tools.js');
+
+  assert.deepStrictEqual(parseArgs(['--http', '3000']), { command: null, positional: [], flags: { http: '3000' } });
+  assert.strictEqual(await runCli(['serve', '--http', 'abc'], { stdout: capture(), stderr: capture() }), EXIT_USAGE);
+  assert.strictEqual(await runCli(['search', '--http', '3000'], { stdout: capture(), stderr: capture() }), EXIT_USAGE);
+
+  const httpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-http-'));
+  const httpServer = createHttpServer(
+    (() => {
+      fs.writeFileSync(path.join(httpDir, 'README.md'), sampleREADME);
+      return createRegistry(loadConfig({
+        MCP_REGISTRY_SOURCE: 'file',
+        MCP_REGISTRY_SOURCE_PATH: path.join(httpDir, 'README.md'),
+        MCP_REGISTRY_ENRICH: 'false',
+        MCP_REGISTRY_CACHE: 'false',
+        MCP_REGISTRY_COLLECTIONS_PATH: path.join(httpDir, 'collections.json')
+      }));
+    })(),
+    { token: 'team-secret' }
+  );
+  try {
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${httpServer.address().port}`;
+    const auth = { Authorization: 'Bearer team-secret' };
+
+    const health = await fetch(`${base}/health`);
+    assert.strictEqual(health.status, 200, '/health needs no token');
+    assert.strictEqual((await health.json()).status, 'ok');
+
+    const anonymous = await fetch(`${base}/servers`);
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.strictEqual((await fetch(`${base}/servers`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+
+    const found = await fetch(`${base}/servers?q=database&category=database`, { headers: auth });
+    assert.strictEqual(found.status, 200);
+    const foundPayload = await found.json();
+    assert.strictEqual(foundPayload.kind, 'search');
+    assert.ok(foundPayload.results.length > 0);
+    assert.strictEqual(foundPayload.filters.category, 'database');
+
+    const details = await fetch(`${base}/servers/${encodeURIComponent(foundPayload.results[0].server.id)}`, { headers: auth });
+    assert.strictEqual((await details.json()).kind, 'server');
+    assert.strictEqual((await fetch(`${base}/servers/no-such-server`, { headers: auth })).status, 404);
+    assert.strictEqual((await (await fetch(`${base}/categories`, { headers: auth })).json()).kind, 'categories');
+    assert.strictEqual((await fetch(`${base}/servers?limit=ten`, { headers: auth })).status, 400);
+    const badCursor = await fetch(`${base}/servers?q=file&cursor=bogus`, { headers: auth });
+    assert.strictEqual(badCursor.status, 400);
+    assert.deepStrictEqual((await badCursor.json()).details, { argument: 'cursor' });
+    const badSegment = await fetch(`${base}/servers/%E0%A4%A`, { headers: auth });
+    assert.strictEqual(badSegment.status, 400);
+    assert.strictEqual((await badSegment.json()).code, 'INVALID_ARGUMENT');
+    assert.strictEqual((await fetch(`${base}/categories`, { method: 'POST', headers: auth })).status, 405);
+    assert.strictEqual((await fetch(`${base}/nowhere`, { headers: auth })).status, 404);
+
+    const refreshed = await fetch(`${base}/refresh`, { method: 'POST', headers: auth });
+    assert.strictEqual(refreshed.status, 200);
+    assert.strictEqual((await refreshed.json()).serverCount, 8);
+
+    // MCP over SSE: the stream announces where to POST, and replies arrive on the stream
+    const events = [];
+    let onEvent = () => {};
+    const stream = await new Promise((resolve, reject) => {
+      const request = http.get(`${base}/sse`, { headers: auth }, response => {
+        let buffer = '';
+        response.setEncoding('utf-8');
+        response.on('data', chunk => {
+          buffer += chunk;
+          const parts = buffer.split('\n\n');
+          buffer = parts.pop();
+          parts.forEach(part => {
+            const [, event] = part.match(/^event: (.+)$/m);
+            const [, data] = part.match(/^data: (.+)$/m);
+            events.push({ event, data });
+            onEvent();
+          });
+        });
+        resolve(request);
+      });
+      request.on('error', reject);
+    });
+    const nextEvent = () => new Promise(resolve => {
+      const check = () => { if (events.length > 0) resolve(events.shift()); };
+      onEvent = check;
+      check();
+    });
+
+    const endpoint = await nextEvent();
+    assert.strictEqual(endpoint.event, 'endpoint');
+    assert.ok(endpoint.data.startsWith('/messages?sessionId='));
+    const posted = await fetch(`${base}${endpoint.data}`, {
+      method: 'POST',
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+    });
+    assert.strictEqual(posted.status, 202);
+    const reply = JSON.parse((await nextEvent()).data);
+    assert.deepStrictEqual(reply.result.tools.map(tool => tool.name).sort(), [...READ_ONLY_TOOLS].sort(), 'only read-only tools are listed');
+
+    // Tools that touch files on the server are refused even when called by name
+    const sseCall = async (id, name, args) => {
+      await fetch(`${base}${endpoint.data}`, {
+        method: 'POST',
+        headers: { ...auth, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/call', params: { name, arguments: { ...args, format: 'json' } } })
+      });
+      const { result } = JSON.parse((await nextEvent()).data);
+      return { ...JSON.parse(result.content[0].text), isError: result.isError };
+    };
+    const written = path.join(httpDir, 'written.json');
+    const refused = [
+      ['registry_export_snapshot', { path: written }],
+      ['registry_generate_client_config', { serverIds: ['mcp-git'], configPath: written, write: true }],
+      ['registry_create_collection', { name: 'Remote', serverIds: ['mcp-git'] }],
+      ['registry_audit_installed', { configPath: path.join(httpDir, 'README.md') }]
+    ];
+    for (const [i, [name, args]] of refused.entries()) {
+      const result = await sseCall(10 + i, name, args);
+      assert.deepStrictEqual([result.code, result.isError], ['INVALID_ARGUMENT', true], `${name} is refused over SSE`);
+      assert.ok(!result.message.includes('Model Context Protocol servers'), 'no file contents leak into the error');
+    }
+    assert.ok(!fs.existsSync(written), 'nothing was written');
+    assert.ok(!fs.existsSync(path.join(httpDir, 'collections.json')), 'the collections file is untouched');
+    assert.strictEqual((await sseCall(20, 'registry_list_categories', {})).kind, 'categories');
+    assert.strictEqual((await (await fetch(`${base}/health`)).json()).sessions, 1);
+
+    stream.destroy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.strictEqual((await (await fetch(`${base}/health`)).json()).sessions, 0, 'closed sessions are dropped');
+    assert.strictEqual((await fetch(`${base}${endpoint.data}`, {
+      method: 'POST',
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: '{}'
+    })).status, 404);
+  } finally {
+    httpServer.closeAllConnections();
+    await new Promise(resolve => httpServer.close(resolve));
+    fs.rmSync(httpDir, { recursive: true, force: true });
+  }
+  const readOnlyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-readonly-'));
+  try {
+    fs.writeFileSync(path.join(readOnlyDir, 'README.md'), sampleREADME);
+    const cachedRegistry = () => createRegistry(loadConfig({
+      MCP_REGISTRY_SOURCE: 'file',
+      MCP_REGISTRY_SOURCE_PATH: path.join(readOnlyDir, 'README.md'),
+      MCP_REGISTRY_ENRICH: 'false',
+      MCP_REGISTRY_CACHE_DIR: path.join(readOnlyDir, 'cache')
+    }));
+    await cachedRegistry().runTool('registry_refresh_data', {});
+    fs.rmSync(path.join(readOnlyDir, 'cache', 'history'), { recursive: true, force: true });
+    await assert.rejects(cachedRegistry().runTool('registry_whats_new', {}), error => error.code === 'NOT_FOUND');
+    assert.ok(!fs.existsSync(path.join(readOnlyDir, 'cache', 'history')), 'registry_whats_new writes no snapshot');
+  } finally {
+    fs.rmSync(readOnlyDir, { recursive: true, force: true });
+  }
+  console.log('✅ REST endpoints, bearer auth, /health and MCP over SSE from one shared registry');
+
+  console.log('\n2️⃣6️⃣ Testing argument validation and error codes...');
+  const { validateArguments } = require('./src/validate.js');
+  const { errorPayload } = require('./src/errors.js');
+  const searchSchema = library.TOOLS.find(tool => tool.name === 'registry_search_servers').inputSchema;
+
+  const invalidArgument = (argument, message) => error => {
+    assert.strictEqual(error.code, 'INVALID_ARGUMENT');
+    assert.strictEqual(error.details.argument, argument);
+    if (message) assert.match(error.message, message);
+    return true;
+  };
+  assert.deepStrictEqual(validateArguments(searchSchema, undefined), {});
+  assert.deepStrictEqual(validateArguments(searchSchema, { query: 'git', limit: 5, tier: undefined }), { query: 'git', limit: 5, tier: undefined });
+  assert.throws(() => validateArguments(searchSchema, { limit: -1 }), invalidArgument('limit', /at least 1/));
+  assert.throws(() => validateArguments(searchSchema, { limit: 1000000 }), invalidArgument('limit', /at most 100/));
+  assert.throws(() => validateArguments(searchSchema, { limit: 'ten' }), invalidArgument('limit', /must be an integer/));
+  assert.throws(() => validateArguments(searchSchema, { limit: 2.5 }), invalidArgument('limit'));
+  assert.throws(() => validateArguments(searchSchema, { tier: 'gold' }), error => {
+    assert.deepStrictEqual(error.details.allowed, ['official', 'integration', 'community']);
+    return true;
+  });
+  assert.throws(() => validateArguments(searchSchema, { qeury: 'git' }), invalidArgument('qeury', /Unknown argument qeury\. Expected: query/));
+  assert.throws(() => validateArguments(searchSchema, []), /Arguments must be an object/);
+
+  const validationDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-validation-'));
+  let readmeResponse = { status: 404, body: { message: 'Not Found' } };
+  const fakeUpstream = await startFakeServer({ '/repos/modelcontextprotocol/servers/readme': () => readmeResponse });
+  try {
+    fs.writeFileSync(path.join(validationDir, 'README.md'), sampleREADME);
+    const validated = createRegistry(loadConfig({
+      MCP_REGISTRY_SOURCE: 'file',
+      MCP_REGISTRY_SOURCE_PATH: path.join(validationDir, 'README.md'),
+      MCP_REGISTRY_ENRICH: 'false',
+      MCP_REGISTRY_CACHE: 'false',
+      MCP_REGISTRY_COLLECTIONS_PATH: path.join(validationDir, 'collections.json')
+    }));
+
+    const staticEnum = validated.listTools().find(tool => tool.name === 'registry_search_servers').inputSchema.properties.category.enum;
+    assert.ok(staticEnum.includes('database'), 'the taxonomy is published before any data loads');
+    await assert.rejects(validated.runTool('registry_search_servers', { limit: 0 }), invalidArgument('limit'));
+    await assert.rejects(validated.runTool('registry_search_servers', { category: 'Database' }), invalidArgument('category'));
+    await assert.rejects(validated.runTool('registry_search_servers', { category: 'knitting' }), error => {
+      assert.strictEqual(error.code, 'INVALID_ARGUMENT');
+      assert.ok(error.details.allowed.includes('database'));
+      return true;
+    });
+    await assert.rejects(validated.runTool('registry_no_such_tool', {}), invalidArgument('name', /Unknown tool/));
+    await assert.rejects(validated.runTool('registry_search_servers', { cursor: 'bogus' }), invalidArgument('cursor', /Invalid cursor/));
+    const firstPage = await validated.runTool('registry_search_servers', { query: 'server', limit: 1 });
+    await assert.rejects(validated.runTool('registry_search_servers', { query: 'git', limit: 1, cursor: firstPage.nextCursor }),
+      invalidArgument('cursor', /does not belong to this query/));
+    await assert.rejects(validated.runTool('registry_whats_new', { since: 'last tuesday' }), invalidArgument('since', /neither a snapshot ID nor a date/));
+    assert.throws(() => mergeClientConfig({ mcpServers: [] }, { mcpServers: {} }, 'claude-desktop'), invalidArgument('configPath'));
+    assert.throws(() => buildClientConfig([], 'emacs'), invalidArgument('host'));
+    fs.writeFileSync(path.join(validationDir, 'collections.json'), '{"collections": [');
+    await assert.rejects(validated.runTool('registry_list_collections', {}), invalidArgument(null, /Cannot read collections/));
+    fs.writeFileSync(path.join(validationDir, 'collections.json'), '[]');
+    await assert.rejects(validated.runTool('registry_list_collections', {}), invalidArgument(null, /is not a collections file/));
+    fs.rmSync(path.join(validationDir, 'collections.json'));
+
+    const liveEnum = validated.listTools().find(tool => tool.name === 'registry_whats_new').inputSchema.properties.category.enum;
+    assert.deepStrictEqual(liveEnum, [...liveEnum].sort(), 'live categories are sorted');
+    assert.ok(liveEnum.length < staticEnum.length, 'only categories with servers are offered once data is loaded');
+
+    const missing = await validated.runTool('registry_get_server_details', { serverId: 'postgres' });
+    assert.strictEqual(missing.kind, 'notFound');
+    assert.strictEqual(missing.code, 'NOT_FOUND');
+    assert.strictEqual(missing.suggestions[0].id, 'mcp-postgresql', 'did you mean the closest match');
+    assert.match(library.RENDERERS.notFound(missing), /Did you mean:\n- \*\*mcp-postgresql\*\*/);
+    await assert.rejects(validated.runTool('registry_compare_servers', { serverIds: ['mcp-git', 'filesytem'] }), error => {
+      assert.strictEqual(error.code, 'NOT_FOUND');
+      assert.deepStrictEqual(error.details.serverIds, ['filesytem']);
+      assert.strictEqual(error.details.suggestions.filesytem[0], 'mcp-filesystem');
+      return true;
+    });
+
+    const upstream = createRegistry(loadConfig({
+      MCP_REGISTRY_GITHUB_API_URL: fakeUpstream.url,
+      MCP_REGISTRY_ENRICH: 'false',
+      MCP_REGISTRY_CACHE: 'false'
+    }));
+    await assert.rejects(upstream.runTool('registry_list_categories', {}), error => {
+      assert.strictEqual(error.code, 'UPSTREAM_UNAVAILABLE');
+      assert.match(error.message, /404/);
+      return true;
+    });
+    const resetEpoch = Math.floor(Date.now() / 1000) + 600;
+    readmeResponse = { status: 403, headers: { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetEpoch) }, body: { message: 'API rate limit exceeded' } };
+    const limited = await upstream.runTool('registry_list_categories', {}).catch(errorPayload);
+    assert.strictEqual(limited.code, 'RATE_LIMITED');
+    assert.strictEqual(limited.details.resetAt, new Date(resetEpoch * 1000).toISOString());
+    assert.deepStrictEqual(errorPayload(new Error('disk full')), { kind: 'error', code: 'INTERNAL', message: 'disk full', details: null });
+    assert.match(library.RENDERERS.error(limited), /^❌ Error \(RATE_LIMITED\)/);
+
+    const stdout = capture();
+    assert.strictEqual(await runCli(['search', '--limit', '0', '--json'], { registry: validated, stdout, stderr: capture() }), EXIT_USAGE);
+    assert.strictEqual(JSON.parse(stdout.text).code, 'INVALID_ARGUMENT');
+  } finally {
+    await fakeUpstream.close();
+    fs.rmSync(validationDir, { recursive: true, force: true });
+  }
+  console.log('✅ Schema validation, live category enum, typed error codes and did-you-mean suggestions');
+
+  console.log('\n2️⃣7️⃣ Testing status diagnostics and structured logging...');
+  const { createLogger } = require('./src/logger.js');
+
+  const logLines = capture();
+  const testLogger = createLogger({ level: 'warn', stream: logLines, now: () => new Date('2025-01-01T00:00:00Z') });
+  testLogger.info('not written');
+  testLogger.warn('Failed to load source', { source: 'GitHub x/y', error: Object.assign(new Error('boom'), { code: 'RATE_LIMITED' }), skipped: undefined });
+  assert.deepStrictEqual(logLines.text.trim().split('\n').map(line => JSON.parse(line)), [
+    { time: '2025-01-01T00:00:00.000Z', level: 'warn', msg: 'Failed to load source', source: 'GitHub x/y', error: { message: 'boom', code: 'RATE_LIMITED' } }
+  ]);
+  testLogger.setLevel('silent');
+  testLogger.error('not written either');
+  assert.strictEqual(logLines.text.trim().split('\n').length, 1);
+  assert.throws(() => testLogger.setLevel('loud'), /Unknown log level "loud"/);
+
+  const logged = await new Promise(resolve => {
+    const child = spawn(process.execPath, ['-e', "require('./src/logger.js').logger.info('hidden'); require('./src/logger.js').logger.error('shown')"], {
+      env: { ...process.env, MCP_REGISTRY_LOG_LEVEL: 'ERROR' },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('close', () => resolve(stderr.trim().split('\n').map(line => JSON.parse(line).msg)));
+  });
+  assert.deepStrictEqual(logged, ['shown'], 'MCP_REGISTRY_LOG_LEVEL sets the level');
+
+  const warned = [];
+  parseREADMEContent(`${sampleREADME}\n## 🌎 Community Servers\n\n- Ask on [Discord](https://discord.gg/x) for help\n- Plain note without a link\n`, {
+    onWarning: warning => warned.push(warning)
+  });
+  assert.deepStrictEqual(warned, [{
+    line: sampleREADME.split('\n').length + 3,
+    text: '- Ask on [Discord](https://discord.gg/x) for help',
+    section: 'Community Servers',
+    reason: 'no leading [name](link)'
+  }], 'only linked bullets in registry sections are reported');
+
+  const statusDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-status-'));
+  const statusResetEpoch = Math.floor(Date.now() / 1000) + 900;
+  const fakeStatusGitHub = await startFakeServer({
+    '/repos/example/slack-mcp': { headers: { 'X-RateLimit-Limit': '60', 'X-RateLimit-Remaining': '41', 'X-RateLimit-Reset': String(statusResetEpoch) }, body: { stargazers_count: 12 } }
+  });
+  try {
+    const statusReadme = path.join(statusDir, 'README.md');
+    fs.writeFileSync(statusReadme, `${sampleREADME}\n## 🌎 Community Servers\n\n- See [the wiki](https://example.com/wiki) - not an entry\n`);
+    const statusConfig = loadConfig({
+      MCP_REGISTRY_SOURCE: 'file,snapshot',
+      MCP_REGISTRY_SOURCE_PATH: statusReadme,
+      MCP_REGISTRY_GITHUB_API_URL: fakeStatusGitHub.url,
+      MCP_REGISTRY_CACHE_DIR: path.join(statusDir, 'cache'),
+      MCP_REGISTRY_COLLECTIONS_PATH: path.join(statusDir, 'collections.json')
+    });
+    statusConfig.npm = { registryUrl: fakeStatusGitHub.url, downloadsUrl: fakeStatusGitHub.url };
+    const statusRegistry = createRegistry(statusConfig);
+
+    const before = await statusRegistry.runTool('registry_status');
+    assert.strictEqual(before.kind, 'status');
+    assert.strictEqual(before.health, 'unavailable');
+    assert.strictEqual(before.lastFetch, null, 'status does not fetch');
+    assert.deepStrictEqual(before.sources.map(source => [source.type, source.count]), [['file', null], ['snapshot', null]]);
+    assert.strictEqual(before.rateLimit.remaining, null);
+
+    await statusRegistry.runTool('registry_search_servers', {});
+    const after = await statusRegistry.runTool('registry_status', { format: 'json' });
+    assert.strictEqual(after.health, 'degraded', 'the README cannot be read as a snapshot');
+    assert.strictEqual(after.serverCount, 8);
+    assert.strictEqual(after.lastFetch.outcome, 'ok');
+    assert.ok(after.lastFetch.durationMs >= 0);
+    assert.deepStrictEqual(after.sources.map(source => [source.type, source.count, Boolean(source.error)]), [['file', 8, false], ['snapshot', null, true]]);
+    assert.strictEqual(after.cache.serversFile, path.join(statusDir, 'cache', 'servers.json'));
+    assert.deepStrictEqual(after.rateLimit, {
+      tokenConfigured: Boolean(statusConfig.github.token),
+      limit: 60,
+      remaining: 41,
+      resetAt: new Date(statusResetEpoch * 1000).toISOString()
+    });
+    assert.strictEqual(after.parserWarnings.count, 1);
+    assert.strictEqual(after.parserWarnings.warnings[0].text, '- See [the wiki](https://example.com/wiki) - not an entry');
+    assert.strictEqual(after.enrichment.enriched + after.enrichment.notEnriched, 8);
+    assert.strictEqual(after.enrichment.github.ok, 1, 'only the one repository the fake knows is enriched');
+    assert.match(library.RENDERERS.status(after), /Registry Status: degraded[\s\S]*41\/60 left[\s\S]*Parser warnings\*\* \(1\)/);
+
+    fs.rmSync(statusReadme);
+    await statusRegistry.runTool('registry_refresh_data');
+    const failed = await statusRegistry.runTool('registry_status');
+    assert.strictEqual(failed.lastFetch.outcome, 'failed');
+    assert.strictEqual(failed.lastFetch.error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.ok(failed.sources.every(source => source.error), 'each source says why it failed');
+    assert.strictEqual(failed.serverCount, 8, 'the last good data is still served');
+
+    const statusOutput = capture();
+    assert.strictEqual(await runCli(['status'], { registry: createRegistry(loadConfig({
+      MCP_REGISTRY_SOURCE: 'file',
+      MCP_REGISTRY_SOURCE_PATH: statusReadme,
+      MCP_REGISTRY_CACHE: 'false'
+    })), stdout: capture(), stderr: statusOutput }), EXIT_FAILURE, 'no data is a failure');
+    assert.match(statusOutput.text, /Registry Status: unavailable/);
+  } finally {
+    await fakeStatusGitHub.close();
+    fs.rmSync(statusDir, { recursive: true, force: true });
+  }
+  console.log('✅ registry_status diagnostics, parser warnings and leveled JSON logs');
+
   console.log('\n🎉 Static analysis complete!');
   console.log('\n📝 Summary:');
   console.log('   - ✅ Mock data fallback removed');
@@ -101,4 +1561,7 @@ async function testMCPTools() {
   console.log('   node src/index.js');
 }
 
-testMCPTools().catch(console.error);
+testMCPTools().catch(error => {
+  console.error('❌ Test failed:', error.message);
+  process.exitCode = 1;
+});